@@ -0,0 +1,1239 @@
+/**
+ * ASCII Core
+ * DOM-free image → ASCII conversion: character mapping, dithering,
+ * frame rendering and export
+ *
+ * Only depends on ImageData-shaped objects ({ width, height, data }), so it
+ * runs in the browser, in workers and in Node (with the `canvas` package
+ * providing pixels). AsciiVideoEngine builds on top of it.
+ *
+ * Ported core algorithms from @ascii-tools/core for self-contained operation
+ */
+
+// ============================================================================
+// CHARACTER SETS
+// ============================================================================
+
+const CHAR_SETS = {
+  simple: {
+    name: 'simple',
+    mode: 'luminance',
+    characters: ' .:-=+*#%@',
+  },
+  standard: {
+    name: 'standard',
+    mode: 'luminance',
+    characters: " .'`^\",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$",
+  },
+  blocks: {
+    name: 'blocks',
+    mode: 'luminance',
+    characters: ' \u2591\u2592\u2593\u2588', // ' ░▒▓█'
+  },
+  quadrants: {
+    name: 'quadrants',
+    mode: 'block',
+    // ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█' - ordered by binary index 0-15
+    characters: ' \u2598\u259D\u2580\u2596\u258C\u259E\u259B\u2597\u259A\u2590\u259C\u2584\u2599\u259F\u2588',
+  },
+  braille: {
+    name: 'braille',
+    mode: 'braille',
+  },
+  // Dense character sets for maximum detail
+  dense: {
+    name: 'dense',
+    mode: 'luminance',
+    characters: ' `.-\':_,^=;><+!rc*/z?sLTv)J7(|Fi{C}fI31tlu[neoZ5Yxjya]2ESwqkP6h9d4VpOGbUAKXHm8RD#$Bg0MNWQ%&@',
+  },
+  // Line-art: directional glyphs on edges, luminance ramp elsewhere
+  edges: {
+    name: 'edges',
+    mode: 'edge',
+    characters: ' .:-=+*#%@',
+  },
+  // Contours only: directional glyphs on edges, blank elsewhere
+  contour: {
+    name: 'contour',
+    mode: 'edge',
+    characters: ' ',
+  },
+};
+
+// ============================================================================
+// CHARSET REGISTRY (glyph density sorting)
+// ============================================================================
+
+// Size glyphs are rasterized at when measuring ink coverage
+const COVERAGE_FONT_SIZE = 32;
+
+/**
+ * Default canvas factory: OffscreenCanvas, else a DOM canvas. Node callers
+ * pass `createCanvas` from the `canvas` package instead.
+ */
+function createMeasureCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  throw new Error('registerCharset needs a canvas: pass { createCanvas } outside the browser');
+}
+
+/**
+ * Measure the fraction of a character cell each glyph covers with ink.
+ * The font must already be loaded (await document.fonts.ready).
+ */
+function measureGlyphCoverage(chars, font = 'monospace', createCanvas = createMeasureCanvas) {
+  const size = COVERAGE_FONT_SIZE;
+  const cellWidth = Math.ceil(size * 0.6);
+  const canvas = createCanvas(cellWidth, size);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const coverage = new Map();
+
+  ctx.font = `${size}px ${font}`;
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#fff';
+
+  for (const char of chars) {
+    if (coverage.has(char)) continue;
+
+    ctx.clearRect(0, 0, cellWidth, size);
+
+    // Center proportional glyphs in the cell
+    const advance = ctx.measureText(char).width;
+    ctx.fillText(char, (cellWidth - advance) / 2, 0);
+
+    const { data } = ctx.getImageData(0, 0, cellWidth, size);
+    let ink = 0;
+    for (let i = 3; i < data.length; i += 4) {
+      ink += data[i];
+    }
+
+    coverage.set(char, ink / (255 * cellWidth * size));
+  }
+
+  return coverage;
+}
+
+/**
+ * Register (or replace) a luminance charset. Glyphs are sorted from least
+ * to most ink as rendered in `font`, so ramps stay ordered when the font
+ * changes. Pass { sort: false } to keep the given order as-is.
+ */
+function registerCharset(name, chars, options = {}) {
+  const {
+    font = 'monospace',
+    mode = 'luminance',
+    sort = true,
+    createCanvas = createMeasureCanvas,
+  } = options;
+
+  // Code-point aware, duplicates removed
+  let glyphs = [...new Set(Array.from(chars))];
+
+  if (sort) {
+    const coverage = measureGlyphCoverage(glyphs, font, createCanvas);
+    glyphs = glyphs.sort((a, b) => coverage.get(a) - coverage.get(b));
+  }
+
+  CHAR_SETS[name] = {
+    name,
+    mode,
+    characters: glyphs.join(''),
+    font,
+  };
+
+  return CHAR_SETS[name];
+}
+
+// ============================================================================
+// IMAGE DATA
+// ============================================================================
+
+/**
+ * Create an ImageData, or a plain ImageData-shaped object where the
+ * ImageData constructor doesn't exist (Node)
+ */
+function createImageData(data, width, height) {
+  if (typeof ImageData === 'function') {
+    return new ImageData(data, width, height);
+  }
+  return { data, width, height };
+}
+
+// ============================================================================
+// LUMINANCE CALCULATION
+// ============================================================================
+
+/**
+ * Calculate luminance from RGB using Rec. 709 coefficients
+ */
+function calculateLuminance(r, g, b) {
+  return Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+}
+
+/**
+ * Get character for a luminance value
+ */
+function charForLuminance(luminance, characters, invert = false) {
+  const len = characters.length;
+  if (len === 0) return ' ';
+  if (len === 1) return characters;
+
+  const clamped = Math.max(0, Math.min(255, luminance));
+  let index = Math.floor((clamped / 255) * len);
+  index = Math.min(index, len - 1);
+
+  if (invert) {
+    index = len - 1 - index;
+  }
+
+  return characters[index];
+}
+
+/**
+ * Map ImageData to ASCII using luminance
+ */
+function mapLuminance(imageData, characters, invert = false) {
+  const { width, height, data } = imageData;
+  const rows = [];
+
+  for (let y = 0; y < height; y++) {
+    let row = '';
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const r = data[idx];
+      const g = data[idx + 1];
+      const b = data[idx + 2];
+
+      const luminance = calculateLuminance(r, g, b);
+      row += charForLuminance(luminance, characters, invert);
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// BRAILLE ENCODING (2x4 sub-pixel = 8x more detail)
+// ============================================================================
+
+// Braille dot pattern mapping:
+// 1 4    →  0x01 0x08
+// 2 5    →  0x02 0x10
+// 3 6    →  0x04 0x20
+// 7 8    →  0x40 0x80
+const BRAILLE_DOT_MAP = [
+  [0x01, 0x08],  // Row 0
+  [0x02, 0x10],  // Row 1
+  [0x04, 0x20],  // Row 2
+  [0x40, 0x80],  // Row 3
+];
+
+/**
+ * Get pixel luminance, handling out-of-bounds
+ */
+function getPixelLuminance(data, width, height, x, y) {
+  if (x < 0 || x >= width || y < 0 || y >= height) {
+    return 0;
+  }
+  const idx = (y * width + x) * 4;
+  return calculateLuminance(data[idx], data[idx + 1], data[idx + 2]);
+}
+
+/**
+ * Encode ImageData to braille characters (2x4 per character)
+ */
+function encodeBraille(imageData, threshold = 128) {
+  const { width, height, data } = imageData;
+  const rows = [];
+
+  // Each braille character represents 2x4 pixels
+  const charWidth = Math.ceil(width / 2);
+  const charHeight = Math.ceil(height / 4);
+
+  for (let charY = 0; charY < charHeight; charY++) {
+    let row = '';
+    for (let charX = 0; charX < charWidth; charX++) {
+      let pattern = 0;
+
+      // Sample 2x4 pixel block
+      for (let dy = 0; dy < 4; dy++) {
+        for (let dx = 0; dx < 2; dx++) {
+          const px = charX * 2 + dx;
+          const py = charY * 4 + dy;
+          const lum = getPixelLuminance(data, width, height, px, py);
+
+          if (lum > threshold) {
+            pattern |= BRAILLE_DOT_MAP[dy][dx];
+          }
+        }
+      }
+
+      // Braille block starts at U+2800
+      row += String.fromCodePoint(0x2800 + pattern);
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// QUADRANT BLOCK ENCODING (2x2 sub-pixel)
+// ============================================================================
+
+/**
+ * Encode ImageData to quadrant block characters (2x2 per character)
+ */
+function encodeBlocks(imageData, threshold = 128) {
+  const { width, height, data } = imageData;
+  const rows = [];
+
+  // Quadrant characters indexed by binary pattern:
+  // TL TR BL BR → bit pattern
+  const QUADRANT_CHARS = ' \u2598\u259D\u2580\u2596\u258C\u259E\u259B\u2597\u259A\u2590\u259C\u2584\u2599\u259F\u2588';
+
+  const charWidth = Math.ceil(width / 2);
+  const charHeight = Math.ceil(height / 2);
+
+  for (let charY = 0; charY < charHeight; charY++) {
+    let row = '';
+    for (let charX = 0; charX < charWidth; charX++) {
+      let pattern = 0;
+
+      // Sample 2x2 pixel block
+      // Bit order: TL=1, TR=2, BL=4, BR=8
+      const positions = [
+        { dx: 0, dy: 0, bit: 1 },  // Top-left
+        { dx: 1, dy: 0, bit: 2 },  // Top-right
+        { dx: 0, dy: 1, bit: 4 },  // Bottom-left
+        { dx: 1, dy: 1, bit: 8 },  // Bottom-right
+      ];
+
+      for (const { dx, dy, bit } of positions) {
+        const px = charX * 2 + dx;
+        const py = charY * 2 + dy;
+        const lum = getPixelLuminance(data, width, height, px, py);
+
+        if (lum > threshold) {
+          pattern |= bit;
+        }
+      }
+
+      row += QUADRANT_CHARS[pattern];
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// EDGE DETECTION (Sobel → directional glyphs)
+// ============================================================================
+
+// Glyphs by edge orientation, measured counter-clockwise from horizontal
+const EDGE_GLYPHS = {
+  horizontal: '-',
+  horizontalLow: '_', // Horizontal edge below a bright region
+  rising: '/',
+  vertical: '|',
+  falling: '\\',
+};
+
+/**
+ * Pick a directional glyph from a Sobel gradient
+ */
+function charForGradient(gx, gy) {
+  // The edge runs perpendicular to the gradient. Flip y so angles read
+  // as on screen, then fold into [0, 180).
+  let angle = Math.atan2(-gx, -gy) * 180 / Math.PI;
+  if (angle < 0) angle += 180;
+  if (angle >= 180) angle -= 180;
+
+  if (angle < 22.5 || angle >= 157.5) {
+    return gy < 0 ? EDGE_GLYPHS.horizontalLow : EDGE_GLYPHS.horizontal;
+  }
+  if (angle < 67.5) return EDGE_GLYPHS.rising;
+  if (angle < 112.5) return EDGE_GLYPHS.vertical;
+  return EDGE_GLYPHS.falling;
+}
+
+/**
+ * Map ImageData to ASCII using a Sobel pass: directional glyphs where the
+ * gradient magnitude exceeds edgeThreshold, luminance glyphs elsewhere
+ */
+function mapEdges(imageData, characters, options = {}) {
+  const { width, height, data } = imageData;
+  const { invert = false, edgeThreshold = 128 } = options;
+
+  const lum = new Float32Array(width * height);
+  for (let i = 0; i < lum.length; i++) {
+    lum[i] = calculateLuminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+  }
+
+  // Clamp to the frame edge so borders don't read as edges
+  const at = (x, y) => {
+    const cx = x < 0 ? 0 : x >= width ? width - 1 : x;
+    const cy = y < 0 ? 0 : y >= height ? height - 1 : y;
+    return lum[cy * width + cx];
+  };
+
+  const rows = [];
+
+  for (let y = 0; y < height; y++) {
+    let row = '';
+    for (let x = 0; x < width; x++) {
+      const tl = at(x - 1, y - 1), tc = at(x, y - 1), tr = at(x + 1, y - 1);
+      const ml = at(x - 1, y), mr = at(x + 1, y);
+      const bl = at(x - 1, y + 1), bc = at(x, y + 1), br = at(x + 1, y + 1);
+
+      const gx = (tr + 2 * mr + br) - (tl + 2 * ml + bl);
+      const gy = (bl + 2 * bc + br) - (tl + 2 * tc + tr);
+
+      if (Math.hypot(gx, gy) > edgeThreshold) {
+        row += charForGradient(gx, gy);
+      } else {
+        row += charForLuminance(lum[y * width + x], characters, invert);
+      }
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ============================================================================
+// UNIFIED CHARACTER MAPPING
+// ============================================================================
+
+/**
+ * Convert ImageData to ASCII lines
+ */
+function mapToCharacters(imageData, charsetName, options = {}) {
+  const charset = CHAR_SETS[charsetName] || CHAR_SETS.simple;
+  const { invert = false, threshold = 128, edgeThreshold = 128 } = options;
+
+  switch (charset.mode) {
+    case 'luminance':
+      return mapLuminance(imageData, charset.characters, invert);
+    case 'edge':
+      return mapEdges(imageData, charset.characters, { invert, edgeThreshold });
+    case 'block':
+      return encodeBlocks(imageData, threshold);
+    case 'braille':
+      return encodeBraille(imageData, threshold);
+    default:
+      return mapLuminance(imageData, charset.characters || ' .:-=+*#%@', invert);
+  }
+}
+
+// ============================================================================
+// DITHERING ALGORITHMS
+// ============================================================================
+
+/**
+ * Floyd-Steinberg error diffusion dithering
+ */
+function floydSteinbergDither(imageData) {
+  const { width, height } = imageData;
+  const data = new Uint8ClampedArray(imageData.data);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const oldR = data[idx];
+      const oldG = data[idx + 1];
+      const oldB = data[idx + 2];
+
+      // Quantize to black or white
+      const lum = calculateLuminance(oldR, oldG, oldB);
+      const newVal = lum > 128 ? 255 : 0;
+
+      data[idx] = newVal;
+      data[idx + 1] = newVal;
+      data[idx + 2] = newVal;
+
+      // Calculate error
+      const errR = oldR - newVal;
+      const errG = oldG - newVal;
+      const errB = oldB - newVal;
+
+      // Distribute error to neighbors
+      const distribute = (dx, dy, factor) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+          const nidx = (ny * width + nx) * 4;
+          data[nidx] = Math.max(0, Math.min(255, data[nidx] + errR * factor));
+          data[nidx + 1] = Math.max(0, Math.min(255, data[nidx + 1] + errG * factor));
+          data[nidx + 2] = Math.max(0, Math.min(255, data[nidx + 2] + errB * factor));
+        }
+      };
+
+      distribute(1, 0, 7 / 16);
+      distribute(-1, 1, 3 / 16);
+      distribute(0, 1, 5 / 16);
+      distribute(1, 1, 1 / 16);
+    }
+  }
+
+  return createImageData(data, width, height);
+}
+
+/**
+ * Atkinson dithering (classic Mac look)
+ */
+function atkinsonDither(imageData) {
+  const { width, height } = imageData;
+  const data = new Uint8ClampedArray(imageData.data);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const oldR = data[idx];
+      const oldG = data[idx + 1];
+      const oldB = data[idx + 2];
+
+      const lum = calculateLuminance(oldR, oldG, oldB);
+      const newVal = lum > 128 ? 255 : 0;
+
+      data[idx] = newVal;
+      data[idx + 1] = newVal;
+      data[idx + 2] = newVal;
+
+      // Atkinson distributes 1/8 of error to 6 neighbors (loses 1/4 of error)
+      const err = (oldR + oldG + oldB) / 3 - newVal;
+      const errPart = err / 8;
+
+      const distribute = (dx, dy) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+          const nidx = (ny * width + nx) * 4;
+          data[nidx] = Math.max(0, Math.min(255, data[nidx] + errPart));
+          data[nidx + 1] = Math.max(0, Math.min(255, data[nidx + 1] + errPart));
+          data[nidx + 2] = Math.max(0, Math.min(255, data[nidx + 2] + errPart));
+        }
+      };
+
+      distribute(1, 0);
+      distribute(2, 0);
+      distribute(-1, 1);
+      distribute(0, 1);
+      distribute(1, 1);
+      distribute(0, 2);
+    }
+  }
+
+  return createImageData(data, width, height);
+}
+
+/**
+ * Bayer ordered dithering
+ */
+function bayerDither(imageData, matrixSize = 4) {
+  const { width, height } = imageData;
+  const data = new Uint8ClampedArray(imageData.data);
+
+  // 4x4 Bayer matrix
+  const bayer4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5],
+  ];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const lum = calculateLuminance(data[idx], data[idx + 1], data[idx + 2]);
+
+      const threshold = (bayer4[y % 4][x % 4] / 16) * 255;
+      const newVal = lum > threshold ? 255 : 0;
+
+      data[idx] = newVal;
+      data[idx + 1] = newVal;
+      data[idx + 2] = newVal;
+    }
+  }
+
+  return createImageData(data, width, height);
+}
+
+/**
+ * Apply dithering algorithm
+ */
+function applyDithering(imageData, algorithm) {
+  switch (algorithm) {
+    case 'floyd-steinberg':
+      return floydSteinbergDither(imageData);
+    case 'atkinson':
+      return atkinsonDither(imageData);
+    case 'bayer':
+      return bayerDither(imageData);
+    default:
+      return imageData;
+  }
+}
+
+// ============================================================================
+// PALETTE QUANTIZATION
+// ============================================================================
+
+const PALETTES = {
+  // DEM Systems monochrome scale (see --color-* in main.css)
+  brand: ['#0a0a0a', '#4a4a4a', '#717171', '#9a9a9a', '#f5f5f5', '#ffffff'],
+  // Default 1-bit duotone pair
+  duotone: ['#0a0a0a', '#ffffff'],
+};
+
+/**
+ * Parse '#rgb', '#rrggbb' or [r, g, b] into [r, g, b]
+ */
+function parseColor(color) {
+  if (Array.isArray(color)) return color.slice(0, 3);
+
+  let hex = String(color).replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map((c) => c + c).join('');
+  }
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Build an N-color palette with median cut over a subsample of the frame
+ */
+function medianCutPalette(imageData, size = 8) {
+  const { data } = imageData;
+  const pixelCount = data.length / 4;
+  const stride = Math.max(1, Math.floor(pixelCount / 4096));
+
+  const pixels = [];
+  for (let i = 0; i < pixelCount; i += stride) {
+    pixels.push([data[i * 4], data[i * 4 + 1], data[i * 4 + 2]]);
+  }
+  if (pixels.length === 0) return [[0, 0, 0]];
+
+  // Channel with the widest spread in a box
+  const widestChannel = (box) => {
+    let best = 0;
+    let bestRange = -1;
+    for (let c = 0; c < 3; c++) {
+      let min = 255;
+      let max = 0;
+      for (const p of box) {
+        if (p[c] < min) min = p[c];
+        if (p[c] > max) max = p[c];
+      }
+      if (max - min > bestRange) {
+        bestRange = max - min;
+        best = c;
+      }
+    }
+    return { channel: best, range: bestRange };
+  };
+
+  let boxes = [pixels];
+  while (boxes.length < size) {
+    // Split the box with the largest spread at its median
+    let target = -1;
+    let targetInfo = null;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) return;
+      const info = widestChannel(box);
+      if (!targetInfo || info.range > targetInfo.range) {
+        target = i;
+        targetInfo = info;
+      }
+    });
+    if (target === -1 || targetInfo.range === 0) break;
+
+    const box = boxes[target].sort((a, b) => a[targetInfo.channel] - b[targetInfo.channel]);
+    const mid = Math.floor(box.length / 2);
+    boxes.splice(target, 1, box.slice(0, mid), box.slice(mid));
+  }
+
+  return boxes.map((box) => {
+    const sum = [0, 0, 0];
+    for (const p of box) {
+      sum[0] += p[0];
+      sum[1] += p[1];
+      sum[2] += p[2];
+    }
+    return sum.map((v) => Math.round(v / box.length));
+  });
+}
+
+/**
+ * Resolve the palette option to [[r, g, b], ...] (null when off).
+ * palette: 'brand' | 'duotone' | 'median-cut' | array of colors
+ */
+function resolvePalette(imageData, options) {
+  const { palette, paletteSize = 8, duotoneColors = PALETTES.duotone } = options;
+
+  if (!palette) return null;
+  if (Array.isArray(palette)) return palette.map(parseColor);
+
+  switch (palette) {
+    case 'brand':
+      return PALETTES.brand.map(parseColor);
+    case 'duotone':
+      return duotoneColors.slice(0, 2).map(parseColor);
+    case 'median-cut':
+      return medianCutPalette(imageData, paletteSize);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Nearest palette color lookup, memoized per integer RGB
+ */
+function createNearestColor(palette) {
+  const cache = new Map();
+
+  return (r, g, b) => {
+    r = r < 0 ? 0 : r > 255 ? 255 : Math.round(r);
+    g = g < 0 ? 0 : g > 255 ? 255 : Math.round(g);
+    b = b < 0 ? 0 : b > 255 ? 255 : Math.round(b);
+
+    const key = (r << 16) | (g << 8) | b;
+    let color = cache.get(key);
+    if (color) return color;
+
+    let bestDist = Infinity;
+    for (const p of palette) {
+      const dr = p[0] - r;
+      const dg = p[1] - g;
+      const db = p[2] - b;
+      const dist = dr * dr + dg * dg + db * db;
+      if (dist < bestDist) {
+        bestDist = dist;
+        color = p;
+      }
+    }
+
+    cache.set(key, color);
+    return color;
+  };
+}
+
+// Error diffusion kernels: [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+};
+
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+/**
+ * Dither in RGB against a palette instead of black/white
+ */
+function ditherToPalette(imageData, palette, algorithm) {
+  const { width, height, data: src } = imageData;
+  const nearest = createNearestColor(palette);
+  const work = Float32Array.from(src);
+  const data = new Uint8ClampedArray(src.length);
+  const kernel = DIFFUSION_KERNELS[algorithm];
+
+  // Ordered dither spread: roughly one palette step
+  const spread = 255 / Math.max(1, palette.length - 1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      let r = work[idx];
+      let g = work[idx + 1];
+      let b = work[idx + 2];
+
+      if (algorithm === 'bayer') {
+        const offset = (BAYER_4[y % 4][x % 4] / 16 - 0.5) * spread;
+        r += offset;
+        g += offset;
+        b += offset;
+      }
+
+      const color = nearest(r, g, b);
+      data[idx] = color[0];
+      data[idx + 1] = color[1];
+      data[idx + 2] = color[2];
+      data[idx + 3] = src[idx + 3];
+
+      if (!kernel) continue;
+
+      const errR = work[idx] - color[0];
+      const errG = work[idx + 1] - color[1];
+      const errB = work[idx + 2] - color[2];
+
+      for (const [dx, dy, weight] of kernel) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          const nidx = (ny * width + nx) * 4;
+          work[nidx] += errR * weight;
+          work[nidx + 1] += errG * weight;
+          work[nidx + 2] += errB * weight;
+        }
+      }
+    }
+  }
+
+  return createImageData(data, width, height);
+}
+
+/**
+ * Snap per-character colors to their nearest palette entry, in place
+ */
+function quantizeColors(colors, palette) {
+  const nearest = createNearestColor(palette);
+
+  for (let i = 0; i < colors.length; i += 3) {
+    const color = nearest(colors[i], colors[i + 1], colors[i + 2]);
+    colors[i] = color[0];
+    colors[i + 1] = color[1];
+    colors[i + 2] = color[2];
+  }
+
+  return colors;
+}
+
+// ============================================================================
+// TEMPORAL COHERENCE (anti-flicker)
+// ============================================================================
+
+/**
+ * Average luminance of each character's pixel block
+ */
+function sampleCellLuminance(imageData, cols, rows, cell) {
+  const { width, height, data } = imageData;
+  const luminance = new Float32Array(cols * rows);
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      let sum = 0;
+      let count = 0;
+
+      for (let dy = 0; dy < cell.y; dy++) {
+        const py = y * cell.y + dy;
+        if (py >= height) break;
+        for (let dx = 0; dx < cell.x; dx++) {
+          const px = x * cell.x + dx;
+          if (px >= width) break;
+          const idx = (py * width + px) * 4;
+          sum += calculateLuminance(data[idx], data[idx + 1], data[idx + 2]);
+          count++;
+        }
+      }
+
+      luminance[y * cols + x] = count ? sum / count : 0;
+    }
+  }
+
+  return luminance;
+}
+
+/**
+ * Stabilize a frame against the previous one, in place.
+ *
+ * hysteresis: a cell keeps its previous glyph until its luminance moves
+ * more than this many levels (0-255) away from when the glyph was set.
+ * colorSmoothing: weight of the previous color in an exponential moving
+ * average (0 = off, 0.9 = very smooth).
+ *
+ * `state` is any object owned by the caller; it is (re)initialized
+ * whenever the grid size, charset or inversion changes.
+ */
+function applyTemporalCoherence(frame, imageData, state, options) {
+  const { characterSet, invert, hysteresis = 0, colorSmoothing = 0 } = options;
+  const { lines, colors } = frame;
+  const cols = lines[0]?.length || 0;
+  const rows = lines.length;
+  const key = `${characterSet}|${invert}|${cols}x${rows}`;
+
+  if (hysteresis > 0) {
+    const luminance = sampleCellLuminance(imageData, cols, rows, getCellSize(characterSet));
+
+    if (state.key !== key || !state.glyphs) {
+      state.luminance = luminance;
+      state.glyphs = lines.map((line) => line.split(''));
+    } else {
+      for (let y = 0; y < rows; y++) {
+        const glyphs = state.glyphs[y];
+        const line = lines[y];
+        for (let x = 0; x < cols; x++) {
+          const i = y * cols + x;
+          if (Math.abs(luminance[i] - state.luminance[i]) > hysteresis) {
+            state.luminance[i] = luminance[i];
+            glyphs[x] = line[x];
+          }
+        }
+        lines[y] = glyphs.join('');
+      }
+    }
+  } else {
+    state.glyphs = null;
+  }
+
+  if (colors && colorSmoothing > 0) {
+    if (state.key !== key || !state.colors) {
+      state.colors = Float32Array.from(colors);
+    } else {
+      const keep = Math.min(colorSmoothing, 0.99);
+      for (let i = 0; i < colors.length; i++) {
+        state.colors[i] = state.colors[i] * keep + colors[i] * (1 - keep);
+        colors[i] = state.colors[i];
+      }
+    }
+  } else {
+    state.colors = null;
+  }
+
+  state.key = key;
+  return frame;
+}
+
+// ============================================================================
+// FRAME PIPELINE (shared by main thread and worker)
+// ============================================================================
+
+/**
+ * Get the source pixel block covered by one character of a charset
+ */
+function getCellSize(charsetName) {
+  const mode = (CHAR_SETS[charsetName] || CHAR_SETS.simple).mode;
+  if (mode === 'braille') return { x: 2, y: 4 };
+  if (mode === 'block') return { x: 2, y: 2 };
+  return { x: 1, y: 1 };
+}
+
+/**
+ * Calculate ASCII grid dimensions (in source pixels) for a source size,
+ * keeping the aspect ratio and snapping to the charset's pixel block
+ */
+function calculateAsciiDimensions(sourceWidth, sourceHeight, width, charsetName) {
+  const sourceAspect = sourceWidth / sourceHeight;
+
+  // Character aspect ratio (monospace chars are taller than wide)
+  const charAspect = 0.5;
+
+  // Braille needs dimensions divisible by 2x4, quadrants by 2x2
+  const cell = getCellSize(charsetName);
+  const asciiWidth = Math.floor(width / cell.x) * cell.x;
+  const asciiHeight = cell.y === 1
+    ? Math.round(asciiWidth / sourceAspect * charAspect)
+    : Math.floor((asciiWidth / sourceAspect) * charAspect / cell.y) * cell.y;
+
+  return { width: asciiWidth, height: asciiHeight };
+}
+
+/**
+ * Sample one RGB color per character from its pixel block
+ */
+function sampleCellColors(lines, imageData, charsetName) {
+  const { width, height, data } = imageData;
+  const cell = getCellSize(charsetName);
+  const cols = lines[0]?.length || 0;
+  const colors = new Uint8ClampedArray(cols * lines.length * 3);
+
+  for (let y = 0; y < lines.length; y++) {
+    for (let x = 0; x < cols; x++) {
+      const px = Math.min(x * cell.x, width - 1);
+      const py = Math.min(y * cell.y, height - 1);
+      const idx = (py * width + px) * 4;
+      const cidx = (y * cols + x) * 3;
+      colors[cidx] = data[idx];
+      colors[cidx + 1] = data[idx + 1];
+      colors[cidx + 2] = data[idx + 2];
+    }
+  }
+
+  return colors;
+}
+
+/**
+ * Dither and map a frame to ASCII lines (+ per-character colors when colored).
+ * Pass a persistent `temporalState` object to enable hysteresis/colorSmoothing.
+ * With a palette, dithering runs against it and output colors are snapped to it.
+ */
+function processAsciiFrame(imageData, options, temporalState = null) {
+  const { characterSet, dithering, invert, threshold, edgeThreshold, colored } = options;
+  const palette = resolvePalette(imageData, options);
+
+  if (dithering && dithering !== 'none') {
+    imageData = palette
+      ? ditherToPalette(imageData, palette, dithering)
+      : applyDithering(imageData, dithering);
+  }
+
+  const lines = mapToCharacters(imageData, characterSet, { invert, threshold, edgeThreshold });
+  const colors = colored ? sampleCellColors(lines, imageData, characterSet) : null;
+  const frame = { lines, colors, imageData, palette, luminance: null };
+
+  // Per-cell luminance for the pointer field's charset swap
+  if (options.cellLuminance) {
+    frame.luminance = sampleCellLuminance(imageData, lines[0]?.length || 0, lines.length, getCellSize(characterSet));
+  }
+
+  if (temporalState) {
+    applyTemporalCoherence(frame, imageData, temporalState, options);
+  }
+
+  // After smoothing, so blended colors land back on the palette
+  if (colors && palette) {
+    quantizeColors(colors, palette);
+  }
+
+  return frame;
+}
+
+/**
+ * Pixel size of rendered ASCII output for a font size
+ */
+function measureAsciiFrame(lines, fontSize) {
+  const charWidth = fontSize * 0.6;
+  const charHeight = fontSize;
+
+  return {
+    charWidth,
+    charHeight,
+    width: (lines[0]?.length || 1) * charWidth,
+    height: lines.length * charHeight,
+  };
+}
+
+/**
+ * Pointer field strength (0-1) at a point: quadratic ease-out from the
+ * pointer to `radius`, scaled by the field's intensity
+ */
+function pointerFieldFalloff(field, x, y) {
+  const dx = x - field.x;
+  const dy = y - field.y;
+  const distance = Math.sqrt(dx * dx + dy * dy);
+
+  if (distance >= field.radius) return 0;
+
+  const t = 1 - distance / field.radius;
+  return (1 - Math.pow(1 - t, 2)) * (field.intensity ?? 1);
+}
+
+/**
+ * Draw ASCII lines into a 2D context already sized with measureAsciiFrame.
+ * Works for both HTMLCanvasElement and OffscreenCanvas contexts.
+ *
+ * options.field distorts glyphs around a pointer (canvas pixels):
+ *   { x, y, radius, effect: 'brighten' | 'displace' | 'charset', strength,
+ *     intensity, characters }
+ * The 'charset' effect re-maps glyphs through `characters` and needs
+ * options.luminance (per-cell, see processAsciiFrame's cellLuminance).
+ */
+function drawAsciiFrame(ctx, lines, colors, options) {
+  const { charWidth, charHeight, width, height } = measureAsciiFrame(lines, options.fontSize);
+  const cols = lines[0]?.length || 0;
+  const field = options.field && options.field.radius > 0 ? options.field : null;
+  const strength = field?.strength ?? 1;
+  const luminance = options.luminance;
+
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.font = `${options.fontSize}px ${options.fontFamily || 'monospace'}`;
+  ctx.textBaseline = 'top';
+
+  if (!colors) {
+    ctx.fillStyle = '#0f0'; // Classic green terminal
+  }
+
+  for (let y = 0; y < lines.length; y++) {
+    const line = lines[y];
+    for (let x = 0; x < line.length; x++) {
+      const cidx = (y * cols + x) * 3;
+      let char = line[x];
+      let px = x * charWidth;
+      let py = y * charHeight;
+      let r = colors ? colors[cidx] : 0;
+      let g = colors ? colors[cidx + 1] : 255;
+      let b = colors ? colors[cidx + 2] : 0;
+
+      const t = field ? pointerFieldFalloff(field, px + charWidth / 2, py + charHeight / 2) : 0;
+
+      if (t > 0) {
+        if (field.effect === 'brighten') {
+          const amount = Math.min(1, t * strength);
+          r += (255 - r) * amount;
+          g += (255 - g) * amount;
+          b += (255 - b) * amount;
+        } else if (field.effect === 'displace') {
+          // Push away from the pointer
+          const dx = px + charWidth / 2 - field.x;
+          const dy = py + charHeight / 2 - field.y;
+          const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+          const offset = t * strength * charHeight * 2;
+          px += (dx / distance) * offset;
+          py += (dy / distance) * offset;
+        } else if (field.effect === 'charset' && luminance && field.characters) {
+          char = charForLuminance(luminance[y * cols + x], field.characters);
+        }
+      }
+
+      if (colors || field) {
+        ctx.fillStyle = `rgb(${r | 0},${g | 0},${b | 0})`;
+      }
+
+      ctx.fillText(char, px, py);
+    }
+  }
+}
+
+// ============================================================================
+// FRAME EXPORT (text, ANSI, HTML, SVG)
+// ============================================================================
+
+// Glyph color when colored output is off (matches the canvas renderer)
+const MONO_COLOR = [0, 255, 0];
+
+/**
+ * Escape a string for HTML/SVG text content
+ */
+function escapeMarkup(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Split a line into runs of identical color
+ */
+function colorRuns(line, colors, rowOffset) {
+  const runs = [];
+
+  for (let x = 0; x < line.length; x++) {
+    const cidx = (rowOffset + x) * 3;
+    const rgb = colors ? [colors[cidx], colors[cidx + 1], colors[cidx + 2]] : MONO_COLOR;
+    const last = runs[runs.length - 1];
+
+    if (last && last.rgb[0] === rgb[0] && last.rgb[1] === rgb[1] && last.rgb[2] === rgb[2]) {
+      last.text += line[x];
+    } else {
+      runs.push({ start: x, text: line[x], rgb });
+    }
+  }
+
+  return runs;
+}
+
+function formatText(lines) {
+  return lines.join('\n');
+}
+
+/**
+ * 24-bit color escape sequences, reset at the end of each line
+ */
+function formatAnsi(lines, colors) {
+  const cols = lines[0]?.length || 0;
+
+  return lines.map((line, y) => {
+    const runs = colorRuns(line, colors, y * cols);
+    return runs.map(({ text, rgb }) => `\x1b[38;2;${rgb[0]};${rgb[1]};${rgb[2]}m${text}`).join('') + '\x1b[0m';
+  }).join('\n');
+}
+
+/**
+ * Standalone HTML document with inline-styled spans (email-safe)
+ */
+function formatHtml(lines, colors, { fontSize = 10, fontFamily = 'monospace', background = '#000', title = 'ASCII frame' } = {}) {
+  const cols = lines[0]?.length || 0;
+
+  const body = lines.map((line, y) => {
+    return colorRuns(line, colors, y * cols)
+      .map(({ text, rgb }) => `<span style="color:rgb(${rgb[0]},${rgb[1]},${rgb[2]})">${escapeMarkup(text)}</span>`)
+      .join('');
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeMarkup(title)}</title>
+</head>
+<body style="margin:0;background:${background}">
+<pre style="margin:0;font-family:${fontFamily};font-size:${fontSize}px;line-height:1">${body}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * SVG with one <text> per line and a <tspan> per color run
+ */
+function formatSvg(lines, colors, { fontSize = 10, fontFamily = 'monospace', background = '#000' } = {}) {
+  const { charWidth, charHeight, width, height } = measureAsciiFrame(lines, fontSize);
+  const cols = lines[0]?.length || 0;
+
+  const rows = lines.map((line, y) => {
+    const spans = colorRuns(line, colors, y * cols)
+      .map(({ start, text, rgb }) => `<tspan x="${start * charWidth}" fill="rgb(${rgb[0]},${rgb[1]},${rgb[2]})">${escapeMarkup(text)}</tspan>`)
+      .join('');
+    return `<text y="${y * charHeight}" xml:space="preserve">${spans}</text>`;
+  }).join('\n');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="${background}"/>
+<g font-family="${fontFamily}" font-size="${fontSize}" dominant-baseline="hanging">
+${rows}
+</g>
+</svg>
+`;
+}
+
+/**
+ * Serialize a processed frame ({ lines, colors }) to 'text', 'ansi', 'html' or 'svg'
+ */
+function exportAsciiFrame(frame, format = 'text', options = {}) {
+  const { lines, colors } = frame;
+
+  switch (format) {
+    case 'text':
+      return formatText(lines);
+    case 'ansi':
+      return formatAnsi(lines, colors);
+    case 'html':
+      return formatHtml(lines, colors, options);
+    case 'svg':
+      return formatSvg(lines, colors, options);
+    default:
+      throw new Error(`Unknown ASCII export format: ${format}`);
+  }
+}
+
+export {
+  CHAR_SETS,
+  registerCharset,
+  measureGlyphCoverage,
+  calculateLuminance,
+  mapToCharacters,
+  mapEdges,
+  encodeBraille,
+  applyDithering,
+  applyTemporalCoherence,
+  PALETTES,
+  medianCutPalette,
+  ditherToPalette,
+  calculateAsciiDimensions,
+  processAsciiFrame,
+  measureAsciiFrame,
+  drawAsciiFrame,
+  exportAsciiFrame,
+  escapeMarkup,
+};
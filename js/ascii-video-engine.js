@@ -2,386 +2,46 @@
  * ASCII Video Engine
  * Real-time video to ASCII art conversion with color support
  *
- * Ported core algorithms from @ascii-tools/core for self-contained operation
+ * Conversion itself lives in ascii-core.js (DOM-free); this module handles
+ * video playback, frame extraction, output and the optional worker.
  */
 
-// ============================================================================
-// CHARACTER SETS
-// ============================================================================
-
-const CHAR_SETS = {
-  simple: {
-    name: 'simple',
-    mode: 'luminance',
-    characters: ' .:-=+*#%@',
-  },
-  standard: {
-    name: 'standard',
-    mode: 'luminance',
-    characters: " .'`^\",:;Il!i><~+_-?][}{1)(|\\/tfjrxnuvczXYUJCLQ0OZmwqpdbkhao*#MW&8%B@$",
-  },
-  blocks: {
-    name: 'blocks',
-    mode: 'luminance',
-    characters: ' \u2591\u2592\u2593\u2588', // ' ░▒▓█'
-  },
-  quadrants: {
-    name: 'quadrants',
-    mode: 'block',
-    // ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█' - ordered by binary index 0-15
-    characters: ' \u2598\u259D\u2580\u2596\u258C\u259E\u259B\u2597\u259A\u2590\u259C\u2584\u2599\u259F\u2588',
-  },
-  braille: {
-    name: 'braille',
-    mode: 'braille',
-  },
-  // Dense character sets for maximum detail
-  dense: {
-    name: 'dense',
-    mode: 'luminance',
-    characters: ' `.-\':_,^=;><+!rc*/z?sLTv)J7(|Fi{C}fI31tlu[neoZ5Yxjya]2ESwqkP6h9d4VpOGbUAKXHm8RD#$Bg0MNWQ%&@',
-  },
-};
+import {
+  CHAR_SETS,
+  registerCharset,
+  mapToCharacters,
+  mapEdges,
+  applyDithering,
+  calculateAsciiDimensions,
+  processAsciiFrame,
+  measureAsciiFrame,
+  drawAsciiFrame,
+  exportAsciiFrame,
+  escapeMarkup,
+} from './ascii-core.js';
 
 // ============================================================================
-// LUMINANCE CALCULATION
+// WORKER SUPPORT
 // ============================================================================
 
 /**
- * Calculate luminance from RGB using Rec. 709 coefficients
+ * Check whether worker mode can run in this browser
  */
-function calculateLuminance(r, g, b) {
-  return Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
-}
-
-/**
- * Get character for a luminance value
- */
-function charForLuminance(luminance, characters, invert = false) {
-  const len = characters.length;
-  if (len === 0) return ' ';
-  if (len === 1) return characters;
-
-  const clamped = Math.max(0, Math.min(255, luminance));
-  let index = Math.floor((clamped / 255) * len);
-  index = Math.min(index, len - 1);
-
-  if (invert) {
-    index = len - 1 - index;
-  }
-
-  return characters[index];
+function supportsWorkerMode() {
+  return typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof OffscreenCanvas.prototype.transferToImageBitmap === 'function'
+    && typeof createImageBitmap === 'function';
 }
 
 /**
- * Map ImageData to ASCII using luminance
+ * Classify a frame source: a MediaStream plays through a hidden video,
+ * anything else (canvas, OffscreenCanvas, ImageBitmap, image) is drawn as-is
  */
-function mapLuminance(imageData, characters, invert = false) {
-  const { width, height, data } = imageData;
-  const rows = [];
-
-  for (let y = 0; y < height; y++) {
-    let row = '';
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4;
-      const r = data[idx];
-      const g = data[idx + 1];
-      const b = data[idx + 2];
-
-      const luminance = calculateLuminance(r, g, b);
-      row += charForLuminance(luminance, characters, invert);
-    }
-    rows.push(row);
-  }
-
-  return rows;
-}
-
-// ============================================================================
-// BRAILLE ENCODING (2x4 sub-pixel = 8x more detail)
-// ============================================================================
-
-// Braille dot pattern mapping:
-// 1 4    →  0x01 0x08
-// 2 5    →  0x02 0x10
-// 3 6    →  0x04 0x20
-// 7 8    →  0x40 0x80
-const BRAILLE_DOT_MAP = [
-  [0x01, 0x08],  // Row 0
-  [0x02, 0x10],  // Row 1
-  [0x04, 0x20],  // Row 2
-  [0x40, 0x80],  // Row 3
-];
-
-/**
- * Get pixel luminance, handling out-of-bounds
- */
-function getPixelLuminance(data, width, height, x, y) {
-  if (x < 0 || x >= width || y < 0 || y >= height) {
-    return 0;
-  }
-  const idx = (y * width + x) * 4;
-  return calculateLuminance(data[idx], data[idx + 1], data[idx + 2]);
-}
-
-/**
- * Encode ImageData to braille characters (2x4 per character)
- */
-function encodeBraille(imageData, threshold = 128) {
-  const { width, height, data } = imageData;
-  const rows = [];
-
-  // Each braille character represents 2x4 pixels
-  const charWidth = Math.ceil(width / 2);
-  const charHeight = Math.ceil(height / 4);
-
-  for (let charY = 0; charY < charHeight; charY++) {
-    let row = '';
-    for (let charX = 0; charX < charWidth; charX++) {
-      let pattern = 0;
-
-      // Sample 2x4 pixel block
-      for (let dy = 0; dy < 4; dy++) {
-        for (let dx = 0; dx < 2; dx++) {
-          const px = charX * 2 + dx;
-          const py = charY * 4 + dy;
-          const lum = getPixelLuminance(data, width, height, px, py);
-
-          if (lum > threshold) {
-            pattern |= BRAILLE_DOT_MAP[dy][dx];
-          }
-        }
-      }
-
-      // Braille block starts at U+2800
-      row += String.fromCodePoint(0x2800 + pattern);
-    }
-    rows.push(row);
-  }
-
-  return rows;
-}
-
-// ============================================================================
-// QUADRANT BLOCK ENCODING (2x2 sub-pixel)
-// ============================================================================
-
-/**
- * Encode ImageData to quadrant block characters (2x2 per character)
- */
-function encodeBlocks(imageData, threshold = 128) {
-  const { width, height, data } = imageData;
-  const rows = [];
-
-  // Quadrant characters indexed by binary pattern:
-  // TL TR BL BR → bit pattern
-  const QUADRANT_CHARS = ' \u2598\u259D\u2580\u2596\u258C\u259E\u259B\u2597\u259A\u2590\u259C\u2584\u2599\u259F\u2588';
-
-  const charWidth = Math.ceil(width / 2);
-  const charHeight = Math.ceil(height / 2);
-
-  for (let charY = 0; charY < charHeight; charY++) {
-    let row = '';
-    for (let charX = 0; charX < charWidth; charX++) {
-      let pattern = 0;
-
-      // Sample 2x2 pixel block
-      // Bit order: TL=1, TR=2, BL=4, BR=8
-      const positions = [
-        { dx: 0, dy: 0, bit: 1 },  // Top-left
-        { dx: 1, dy: 0, bit: 2 },  // Top-right
-        { dx: 0, dy: 1, bit: 4 },  // Bottom-left
-        { dx: 1, dy: 1, bit: 8 },  // Bottom-right
-      ];
-
-      for (const { dx, dy, bit } of positions) {
-        const px = charX * 2 + dx;
-        const py = charY * 2 + dy;
-        const lum = getPixelLuminance(data, width, height, px, py);
-
-        if (lum > threshold) {
-          pattern |= bit;
-        }
-      }
-
-      row += QUADRANT_CHARS[pattern];
-    }
-    rows.push(row);
-  }
-
-  return rows;
-}
-
-// ============================================================================
-// UNIFIED CHARACTER MAPPING
-// ============================================================================
-
-/**
- * Convert ImageData to ASCII lines
- */
-function mapToCharacters(imageData, charsetName, options = {}) {
-  const charset = CHAR_SETS[charsetName] || CHAR_SETS.simple;
-  const { invert = false, threshold = 128 } = options;
-
-  switch (charset.mode) {
-    case 'luminance':
-      return mapLuminance(imageData, charset.characters, invert);
-    case 'block':
-      return encodeBlocks(imageData, threshold);
-    case 'braille':
-      return encodeBraille(imageData, threshold);
-    default:
-      return mapLuminance(imageData, charset.characters || ' .:-=+*#%@', invert);
-  }
-}
-
-// ============================================================================
-// DITHERING ALGORITHMS
-// ============================================================================
-
-/**
- * Floyd-Steinberg error diffusion dithering
- */
-function floydSteinbergDither(imageData) {
-  const { width, height } = imageData;
-  const data = new Uint8ClampedArray(imageData.data);
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4;
-      const oldR = data[idx];
-      const oldG = data[idx + 1];
-      const oldB = data[idx + 2];
-
-      // Quantize to black or white
-      const lum = calculateLuminance(oldR, oldG, oldB);
-      const newVal = lum > 128 ? 255 : 0;
-
-      data[idx] = newVal;
-      data[idx + 1] = newVal;
-      data[idx + 2] = newVal;
-
-      // Calculate error
-      const errR = oldR - newVal;
-      const errG = oldG - newVal;
-      const errB = oldB - newVal;
-
-      // Distribute error to neighbors
-      const distribute = (dx, dy, factor) => {
-        const nx = x + dx;
-        const ny = y + dy;
-        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-          const nidx = (ny * width + nx) * 4;
-          data[nidx] = Math.max(0, Math.min(255, data[nidx] + errR * factor));
-          data[nidx + 1] = Math.max(0, Math.min(255, data[nidx + 1] + errG * factor));
-          data[nidx + 2] = Math.max(0, Math.min(255, data[nidx + 2] + errB * factor));
-        }
-      };
-
-      distribute(1, 0, 7 / 16);
-      distribute(-1, 1, 3 / 16);
-      distribute(0, 1, 5 / 16);
-      distribute(1, 1, 1 / 16);
-    }
-  }
-
-  return new ImageData(data, width, height);
-}
-
-/**
- * Atkinson dithering (classic Mac look)
- */
-function atkinsonDither(imageData) {
-  const { width, height } = imageData;
-  const data = new Uint8ClampedArray(imageData.data);
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4;
-      const oldR = data[idx];
-      const oldG = data[idx + 1];
-      const oldB = data[idx + 2];
-
-      const lum = calculateLuminance(oldR, oldG, oldB);
-      const newVal = lum > 128 ? 255 : 0;
-
-      data[idx] = newVal;
-      data[idx + 1] = newVal;
-      data[idx + 2] = newVal;
-
-      // Atkinson distributes 1/8 of error to 6 neighbors (loses 1/4 of error)
-      const err = (oldR + oldG + oldB) / 3 - newVal;
-      const errPart = err / 8;
-
-      const distribute = (dx, dy) => {
-        const nx = x + dx;
-        const ny = y + dy;
-        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-          const nidx = (ny * width + nx) * 4;
-          data[nidx] = Math.max(0, Math.min(255, data[nidx] + errPart));
-          data[nidx + 1] = Math.max(0, Math.min(255, data[nidx + 1] + errPart));
-          data[nidx + 2] = Math.max(0, Math.min(255, data[nidx + 2] + errPart));
-        }
-      };
-
-      distribute(1, 0);
-      distribute(2, 0);
-      distribute(-1, 1);
-      distribute(0, 1);
-      distribute(1, 1);
-      distribute(0, 2);
-    }
-  }
-
-  return new ImageData(data, width, height);
-}
-
-/**
- * Bayer ordered dithering
- */
-function bayerDither(imageData, matrixSize = 4) {
-  const { width, height } = imageData;
-  const data = new Uint8ClampedArray(imageData.data);
-
-  // 4x4 Bayer matrix
-  const bayer4 = [
-    [0, 8, 2, 10],
-    [12, 4, 14, 6],
-    [3, 11, 1, 9],
-    [15, 7, 13, 5],
-  ];
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = (y * width + x) * 4;
-      const lum = calculateLuminance(data[idx], data[idx + 1], data[idx + 2]);
-
-      const threshold = (bayer4[y % 4][x % 4] / 16) * 255;
-      const newVal = lum > threshold ? 255 : 0;
-
-      data[idx] = newVal;
-      data[idx + 1] = newVal;
-      data[idx + 2] = newVal;
-    }
-  }
-
-  return new ImageData(data, width, height);
-}
-
-/**
- * Apply dithering algorithm
- */
-function applyDithering(imageData, algorithm) {
-  switch (algorithm) {
-    case 'floyd-steinberg':
-      return floydSteinbergDither(imageData);
-    case 'atkinson':
-      return atkinsonDither(imageData);
-    case 'bayer':
-      return bayerDither(imageData);
-    default:
-      return imageData;
-  }
+function getSourceKind(source) {
+  if (!source) return 'playlist';
+  if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) return 'stream';
+  return 'image';
 }
 
 // ============================================================================
@@ -392,6 +52,7 @@ export class AsciiVideoEngine {
   constructor(options = {}) {
     this.container = options.container;
     this.videoPlaylist = options.playlist || [];
+    this.source = options.source || null; // MediaStream, canvas or ImageBitmap instead of a playlist
     this.targetFps = options.targetFps || 24;
     this.width = options.width || 120;
     this.characterSet = options.characterSet || 'braille';
@@ -399,11 +60,28 @@ export class AsciiVideoEngine {
     this.colored = options.colored ?? true;
     this.invert = options.invert ?? false;
     this.threshold = options.threshold ?? 128;
+    this.edgeThreshold = options.edgeThreshold ?? 128; // Sobel magnitude for edge/contour sets
+    this.hysteresis = options.hysteresis ?? 0; // Luminance delta before a glyph may change (0 = off)
+    this.colorSmoothing = options.colorSmoothing ?? 0; // Previous-color weight, 0-1 (0 = off)
+    this.palette = options.palette || null; // 'brand', 'duotone', 'median-cut' or array of colors
+    this.paletteSize = options.paletteSize || 8; // Colors for 'median-cut'
+    this.duotoneColors = options.duotoneColors || ['#0a0a0a', '#ffffff'];
     this.fontSize = options.fontSize || 10;
     this.renderMode = options.renderMode || 'canvas'; // 'canvas' or 'dom'
+    // Cursor distortion (canvas mode): { radius, effect: 'brighten' | 'displace' | 'charset', strength, charset }
+    this.pointerField = options.pointerField || null;
+    this.useWorker = options.useWorker ?? false;
+    this.workerUrl = options.workerUrl || new URL('./ascii-worker.js', import.meta.url);
+
+    // Adaptive quality: trade width / dithering / fps for frame time
+    this.adaptiveQuality = options.adaptiveQuality ?? false;
+    this.qualityBudget = options.qualityBudget ?? null; // ms per frame (default: half the frame interval)
+    this.minWidth = options.minWidth || 40;
+    this.minFps = options.minFps || 12;
 
     // Internal state
     this.video = null;
+    this.imageSource = null;
     this.canvas = null;
     this.ctx = null;
     this.outputCanvas = null;
@@ -414,6 +92,23 @@ export class AsciiVideoEngine {
     this.lastFrameTime = 0;
     this.frameInterval = 1000 / this.targetFps;
 
+    // Per-cell history for hysteresis / color smoothing
+    this.temporalState = {};
+
+    // Pointer position in output canvas pixels (null when outside) and
+    // the eased field intensity, so the effect fades in and out
+    this.pointer = null;
+    this.fieldIntensity = 0;
+
+    // Worker mode (null when running on the main thread)
+    this.worker = null;
+    this.workerBusy = false;
+    this.workerFrameId = 0;
+
+    // Last processed frame ({ lines, colors }) and pending exportFrames() captures
+    this.lastFrame = null;
+    this.captures = [];
+
     // Stats
     this.stats = {
       fps: 0,
@@ -422,14 +117,57 @@ export class AsciiVideoEngine {
       processingTime: 0,
     };
 
+    // Governor state: the settings asked for, and what is running now
+    this.preferredQuality = {
+      width: this.width,
+      dithering: this.dithering,
+      targetFps: this.targetFps,
+    };
+    this.governor = {
+      averageTime: 0,
+      samples: 0,
+      lastChange: 0,
+    };
+
     // Callbacks
     this.onFrame = options.onFrame || null;
     this.onStats = options.onStats || null;
+    this.onQualityChange = options.onQualityChange || null;
 
     this._init();
   }
 
   _init() {
+    this._setupSource();
+
+    // Hidden canvas for frame extraction
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+    // Setup output
+    if (this.renderMode === 'canvas') {
+      this._setupCanvasOutput();
+    } else {
+      this._setupDomOutput();
+    }
+
+    if (this.useWorker) {
+      this._setupWorker();
+    }
+  }
+
+  /**
+   * Create the frame source: a hidden video for the playlist or a
+   * MediaStream, or the given canvas / ImageBitmap used directly
+   */
+  _setupSource() {
+    const kind = getSourceKind(this.source);
+
+    if (kind === 'image') {
+      this.imageSource = this.source;
+      return;
+    }
+
     // Create hidden video element
     this.video = document.createElement('video');
     this.video.muted = true;
@@ -437,24 +175,105 @@ export class AsciiVideoEngine {
     this.video.preload = 'auto';
     this.video.crossOrigin = 'anonymous';
 
-    // Playlist handling
-    if (this.videoPlaylist.length > 0) {
+    if (kind === 'stream') {
+      this.video.srcObject = this.source;
+    } else if (this.videoPlaylist.length > 0) {
+      // Playlist handling
       this.video.src = this.videoPlaylist[0];
       this.video.addEventListener('ended', () => this._nextVideo());
     }
 
-    // Hidden canvas for frame extraction
-    this.canvas = document.createElement('canvas');
-    this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.video.load();
+  }
 
-    // Setup output
-    if (this.renderMode === 'canvas') {
-      this._setupCanvasOutput();
-    } else {
-      this._setupDomOutput();
+  _releaseSource() {
+    if (this.video) {
+      this.video.pause();
+      if (this.video.srcObject) {
+        // Stream tracks belong to the caller - just detach
+        this.video.srcObject = null;
+      } else {
+        this.video.src = '';
+        this.video.load();
+      }
+      this.video = null;
     }
 
-    this.video.load();
+    this.imageSource = null;
+  }
+
+  /**
+   * Drawable for the current frame
+   */
+  _getFrameSource() {
+    return this.imageSource || this.video;
+  }
+
+  /**
+   * Move dithering, mapping and glyph rendering to a worker.
+   * Stays on the main thread if workers or OffscreenCanvas are unavailable.
+   */
+  _setupWorker() {
+    if (!supportsWorkerMode()) return;
+
+    try {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (err) {
+      console.warn('ASCII worker unavailable, using main thread:', err);
+      this.worker = null;
+      return;
+    }
+
+    this.worker.onmessage = (e) => this._handleWorkerFrame(e.data);
+    this.worker.onerror = (err) => {
+      console.warn('ASCII worker failed, using main thread:', err.message);
+      this._teardownWorker();
+    };
+
+    this._syncWorkerOptions();
+  }
+
+  _teardownWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    this.workerBusy = false;
+  }
+
+  _syncWorkerOptions() {
+    this.worker?.postMessage({ type: 'options', options: this._getFrameOptions() });
+  }
+
+  /**
+   * Options that drive the frame pipeline (sent to the worker as-is)
+   */
+  _getFrameOptions() {
+    return {
+      characterSet: this.characterSet,
+      dithering: this.dithering,
+      colored: this.colored,
+      invert: this.invert,
+      threshold: this.threshold,
+      edgeThreshold: this.edgeThreshold,
+      hysteresis: this.hysteresis,
+      colorSmoothing: this.colorSmoothing,
+      palette: this.palette,
+      paletteSize: this.paletteSize,
+      duotoneColors: this.duotoneColors,
+      fontSize: this.fontSize,
+      fontFamily: this._getFontFamily(),
+      renderMode: this.renderMode,
+      cellLuminance: this.pointerField?.effect === 'charset',
+      // Registered charsets only exist in this thread's registry
+      charset: CHAR_SETS[this.characterSet],
+    };
+  }
+
+  /**
+   * Font for the current charset (registered charsets carry their own)
+   */
+  _getFontFamily() {
+    return CHAR_SETS[this.characterSet]?.font || 'monospace';
   }
 
   _setupCanvasOutput() {
@@ -465,6 +284,54 @@ export class AsciiVideoEngine {
     if (this.container) {
       this.container.appendChild(this.outputCanvas);
     }
+
+    this.pointerMoveHandler = this._onPointerMove.bind(this);
+    this.pointerLeaveHandler = this._onPointerLeave.bind(this);
+    this.outputCanvas.addEventListener('pointermove', this.pointerMoveHandler);
+    this.outputCanvas.addEventListener('pointerleave', this.pointerLeaveHandler);
+  }
+
+  _onPointerMove(e) {
+    const rect = this.outputCanvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    // CSS pixels → canvas pixels
+    this.pointer = {
+      x: (e.clientX - rect.left) * (this.outputCanvas.width / rect.width),
+      y: (e.clientY - rect.top) * (this.outputCanvas.height / rect.height),
+    };
+  }
+
+  _onPointerLeave() {
+    // Keep the last position so the field can fade out in place
+    this.pointer = this.pointer && { ...this.pointer, left: true };
+  }
+
+  /**
+   * Field for this frame (draw options), or null when inactive
+   */
+  _getPointerField() {
+    const config = this.pointerField;
+    if (!config || !this.pointer) return null;
+
+    // Ease toward full strength while hovering, toward zero after leaving
+    const target = this.pointer.left ? 0 : 1;
+    this.fieldIntensity += (target - this.fieldIntensity) * 0.15;
+    if (this.pointer.left && this.fieldIntensity < 0.01) {
+      this.pointer = null;
+      this.fieldIntensity = 0;
+      return null;
+    }
+
+    return {
+      x: this.pointer.x,
+      y: this.pointer.y,
+      radius: config.radius ?? 120,
+      effect: config.effect || 'brighten',
+      strength: config.strength ?? 1,
+      intensity: this.fieldIntensity,
+      characters: (CHAR_SETS[config.charset || 'dense'] || CHAR_SETS.dense).characters,
+    };
   }
 
   _setupDomOutput() {
@@ -489,38 +356,26 @@ export class AsciiVideoEngine {
    * Calculate ASCII dimensions maintaining aspect ratio
    */
   _calculateDimensions() {
-    const videoWidth = this.video.videoWidth || 1920;
-    const videoHeight = this.video.videoHeight || 1080;
-    const videoAspect = videoWidth / videoHeight;
-
-    // Character aspect ratio (monospace chars are taller than wide)
-    const charAspect = 0.5;
-
-    let asciiWidth = this.width;
-    let asciiHeight;
-
-    // For braille, we need dimensions divisible by 2x4
-    // For quadrants, divisible by 2x2
-    if (this.characterSet === 'braille') {
-      // Braille: 2x4 pixels per character
-      asciiWidth = Math.floor(this.width / 2) * 2;
-      asciiHeight = Math.floor((asciiWidth / videoAspect) * charAspect / 4) * 4;
-    } else if (this.characterSet === 'quadrants') {
-      // Quadrants: 2x2 pixels per character
-      asciiWidth = Math.floor(this.width / 2) * 2;
-      asciiHeight = Math.floor((asciiWidth / videoAspect) * charAspect / 2) * 2;
-    } else {
-      // Standard: 1:1 character to "pixel"
-      asciiHeight = Math.round(asciiWidth / videoAspect * charAspect);
-    }
-
-    return { width: asciiWidth, height: asciiHeight };
+    const sourceWidth = this.imageSource ? this.imageSource.width : this.video.videoWidth;
+    const sourceHeight = this.imageSource ? this.imageSource.height : this.video.videoHeight;
+
+    return calculateAsciiDimensions(
+      sourceWidth || 1920,
+      sourceHeight || 1080,
+      this.width,
+      this.characterSet
+    );
   }
 
   /**
    * Extract frame from video and convert to ASCII
    */
   _processFrame() {
+    if (this.worker) {
+      this._processFrameInWorker();
+      return;
+    }
+
     const startTime = performance.now();
 
     const dims = this._calculateDimensions();
@@ -529,34 +384,109 @@ export class AsciiVideoEngine {
     this.canvas.width = dims.width;
     this.canvas.height = dims.height;
 
-    // Draw video frame
-    this.ctx.drawImage(this.video, 0, 0, dims.width, dims.height);
+    // Draw source frame
+    this.ctx.drawImage(this._getFrameSource(), 0, 0, dims.width, dims.height);
 
-    // Get image data
-    let imageData = this.ctx.getImageData(0, 0, dims.width, dims.height);
+    // Dither and convert to ASCII
+    const { lines, colors, luminance, imageData } = processAsciiFrame(
+      this.ctx.getImageData(0, 0, dims.width, dims.height),
+      this._getFrameOptions(),
+      this.temporalState
+    );
 
-    // Apply dithering if requested
-    if (this.dithering && this.dithering !== 'none') {
-      imageData = applyDithering(imageData, this.dithering);
+    // Render output
+    if (this.renderMode === 'canvas') {
+      this._renderToCanvas(lines, colors, luminance);
+    } else {
+      this._renderToDom(lines, colors);
     }
 
-    // Convert to ASCII
-    const lines = mapToCharacters(imageData, this.characterSet, {
-      invert: this.invert,
-      threshold: this.threshold,
+    this._updateStats(performance.now() - startTime);
+    this._commitFrame(lines, colors);
+
+    this.onFrame?.(lines, imageData);
+  }
+
+  /**
+   * Hand the current video frame to the worker as an ImageBitmap.
+   * Frames are dropped while the previous one is still in flight.
+   */
+  _processFrameInWorker() {
+    if (this.workerBusy) return;
+    this.workerBusy = true;
+
+    const dims = this._calculateDimensions();
+    const id = ++this.workerFrameId;
+
+    createImageBitmap(this._getFrameSource(), {
+      resizeWidth: dims.width,
+      resizeHeight: dims.height,
+      resizeQuality: 'low',
+    }).then((bitmap) => {
+      if (!this.worker) {
+        bitmap.close();
+        return;
+      }
+      this.worker.postMessage({ type: 'frame', id, bitmap, field: this._getPointerField() }, [bitmap]);
+    }).catch(() => {
+      // Video not ready yet (no decoded frame) - try again next tick
+      this.workerBusy = false;
     });
+  }
 
-    // Render output
-    if (this.renderMode === 'canvas') {
-      this._renderToCanvas(lines, imageData);
-    } else {
-      this._renderToDom(lines, imageData);
+  /**
+   * Receive a processed frame back from the worker
+   */
+  _handleWorkerFrame(msg) {
+    if (msg.type !== 'frame') return;
+    this.workerBusy = false;
+
+    if (!this.isPlaying || !this.worker) {
+      msg.bitmap?.close();
+      return;
     }
 
-    // Update stats
-    this.stats.processingTime = performance.now() - startTime;
+    const { lines, colors, bitmap } = msg;
+    const imageData = new ImageData(msg.pixels, msg.width, msg.height);
+
+    if (this.renderMode === 'canvas' && bitmap) {
+      this._resizeOutputCanvas(bitmap.width, bitmap.height);
+      this.outputCtx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+    } else if (this.renderMode === 'dom') {
+      this._renderToDom(lines, colors);
+    }
+
+    this._updateStats(msg.processingTime);
+    this._commitFrame(lines, colors);
+
+    this.onFrame?.(lines, imageData);
+  }
+
+  /**
+   * Keep the frame for export and feed any pending captures
+   */
+  _commitFrame(lines, colors) {
+    this.lastFrame = { lines, colors };
+
+    if (this.captures.length === 0) return;
+
+    this.captures = this.captures.filter((capture) => {
+      capture.frames.push(exportAsciiFrame(this.lastFrame, capture.format, capture.options));
+      if (capture.frames.length < capture.count) return true;
+      capture.resolve(capture.frames);
+      return false;
+    });
+  }
+
+  _updateStats(processingTime) {
+    this.stats.processingTime = processingTime;
     this.stats.frameCount++;
 
+    if (this.adaptiveQuality) {
+      this._governQuality(processingTime);
+    }
+
     const now = performance.now();
     if (now - this.stats.lastFpsUpdate > 1000) {
       this.stats.fps = Math.round(this.stats.frameCount * 1000 / (now - this.stats.lastFpsUpdate));
@@ -564,82 +494,100 @@ export class AsciiVideoEngine {
       this.stats.lastFpsUpdate = now;
       this.onStats?.(this.stats);
     }
-
-    this.onFrame?.(lines, imageData);
   }
 
   /**
-   * Render ASCII to canvas (fast)
+   * Step quality down when frames run over budget and back up when there
+   * is headroom. One step per cooldown: dithering goes first, then width,
+   * then fps - and they come back in reverse order.
    */
-  _renderToCanvas(lines, imageData) {
-    if (!this.outputCanvas || !this.outputCtx) return;
+  _governQuality(processingTime) {
+    const gov = this.governor;
+    const preferred = this.preferredQuality;
+
+    // Smoothed frame time so single slow frames don't trigger changes
+    gov.averageTime = gov.samples === 0
+      ? processingTime
+      : gov.averageTime * 0.8 + processingTime * 0.2;
+    gov.samples++;
+
+    const now = performance.now();
+    if (gov.samples < 10 || now - gov.lastChange < 1000) return;
+
+    const budget = this.qualityBudget ?? (1000 / preferred.targetFps) * 0.5;
+    const changes = {};
+    let direction = null;
+
+    if (gov.averageTime > budget) {
+      direction = 'down';
+      if (this.dithering && this.dithering !== 'none') {
+        changes.dithering = 'none';
+      } else if (this.width > this.minWidth) {
+        changes.width = Math.max(this.minWidth, Math.round(this.width * 0.8));
+      } else if (this.targetFps > this.minFps) {
+        changes.targetFps = Math.max(this.minFps, this.targetFps - 4);
+      }
+    } else if (gov.averageTime < budget * 0.5) {
+      direction = 'up';
+      if (this.targetFps < preferred.targetFps) {
+        changes.targetFps = Math.min(preferred.targetFps, this.targetFps + 4);
+      } else if (this.width < preferred.width) {
+        changes.width = Math.min(preferred.width, Math.round(this.width * 1.25));
+      } else if (this.dithering !== preferred.dithering) {
+        changes.dithering = preferred.dithering;
+      }
+    }
 
-    const fontSize = this.fontSize;
-    const charWidth = fontSize * 0.6;
-    const charHeight = fontSize;
+    if (Object.keys(changes).length === 0) return;
 
-    const canvasWidth = (lines[0]?.length || 1) * charWidth;
-    const canvasHeight = lines.length * charHeight;
+    this._applyOptions(changes);
+    gov.lastChange = now;
+    gov.samples = 0;
 
-    // Resize output canvas if needed
+    this.onQualityChange?.({
+      direction,
+      changes,
+      width: this.width,
+      dithering: this.dithering,
+      targetFps: this.targetFps,
+      processingTime: gov.averageTime,
+      budget,
+    });
+  }
+
+  _resizeOutputCanvas(canvasWidth, canvasHeight) {
     if (this.outputCanvas.width !== canvasWidth || this.outputCanvas.height !== canvasHeight) {
       this.outputCanvas.width = canvasWidth;
       this.outputCanvas.height = canvasHeight;
       this.outputCanvas.style.width = `${canvasWidth}px`;
       this.outputCanvas.style.height = `${canvasHeight}px`;
     }
+  }
 
-    const ctx = this.outputCtx;
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-    ctx.font = `${fontSize}px monospace`;
-    ctx.textBaseline = 'top';
-
-    const data = imageData.data;
-    const imgWidth = imageData.width;
-
-    for (let y = 0; y < lines.length; y++) {
-      const line = lines[y];
-      for (let x = 0; x < line.length; x++) {
-        const char = line[x];
+  /**
+   * Render ASCII to canvas (fast)
+   */
+  _renderToCanvas(lines, colors, luminance = null) {
+    if (!this.outputCanvas || !this.outputCtx) return;
 
-        if (this.colored) {
-          // Sample color from center of character's pixel region
-          let px, py;
-          if (this.characterSet === 'braille') {
-            px = Math.min(x * 2, imgWidth - 1);
-            py = Math.min(y * 4, imageData.height - 1);
-          } else if (this.characterSet === 'quadrants') {
-            px = Math.min(x * 2, imgWidth - 1);
-            py = Math.min(y * 2, imageData.height - 1);
-          } else {
-            px = x;
-            py = y;
-          }
-
-          const idx = (py * imgWidth + px) * 4;
-          const r = data[idx];
-          const g = data[idx + 1];
-          const b = data[idx + 2];
-          ctx.fillStyle = `rgb(${r},${g},${b})`;
-        } else {
-          ctx.fillStyle = '#0f0'; // Classic green terminal
-        }
+    const { width, height } = measureAsciiFrame(lines, this.fontSize);
+    this._resizeOutputCanvas(width, height);
 
-        ctx.fillText(char, x * charWidth, y * charHeight);
-      }
-    }
+    drawAsciiFrame(this.outputCtx, lines, colors, {
+      fontSize: this.fontSize,
+      fontFamily: this._getFontFamily(),
+      field: this._getPointerField(),
+      luminance,
+    });
   }
 
   /**
    * Render ASCII to DOM (colored spans)
    */
-  _renderToDom(lines, imageData) {
+  _renderToDom(lines, colors) {
     if (!this.outputPre) return;
 
-    const data = imageData.data;
-    const imgWidth = imageData.width;
+    const cols = lines[0]?.length || 0;
 
     let html = '';
 
@@ -648,29 +596,12 @@ export class AsciiVideoEngine {
       for (let x = 0; x < line.length; x++) {
         const char = line[x];
 
-        if (this.colored) {
-          let px, py;
-          if (this.characterSet === 'braille') {
-            px = Math.min(x * 2, imgWidth - 1);
-            py = Math.min(y * 4, imageData.height - 1);
-          } else if (this.characterSet === 'quadrants') {
-            px = Math.min(x * 2, imgWidth - 1);
-            py = Math.min(y * 2, imageData.height - 1);
-          } else {
-            px = x;
-            py = y;
-          }
-
-          const idx = (py * imgWidth + px) * 4;
-          const r = data[idx];
-          const g = data[idx + 1];
-          const b = data[idx + 2];
-
-          // Escape HTML entities
-          const escaped = char === '<' ? '&lt;' : char === '>' ? '&gt;' : char === '&' ? '&amp;' : char;
-          html += `<span style="color:rgb(${r},${g},${b})">${escaped}</span>`;
+        const escaped = escapeMarkup(char);
+
+        if (colors) {
+          const cidx = (y * cols + x) * 3;
+          html += `<span style="color:rgb(${colors[cidx]},${colors[cidx + 1]},${colors[cidx + 2]})">${escaped}</span>`;
         } else {
-          const escaped = char === '<' ? '&lt;' : char === '>' ? '&gt;' : char === '&' ? '&amp;' : char;
           html += escaped;
         }
       }
@@ -703,7 +634,8 @@ export class AsciiVideoEngine {
     if (this.isPlaying) return;
 
     try {
-      await this.video.play();
+      // Canvas / bitmap sources have nothing to start
+      if (this.video) await this.video.play();
       this.isPlaying = true;
       this.lastFrameTime = performance.now();
       this.stats.lastFpsUpdate = performance.now();
@@ -719,13 +651,32 @@ export class AsciiVideoEngine {
    */
   pause() {
     this.isPlaying = false;
-    this.video.pause();
+    this.video?.pause();
     if (this.rafId) {
       cancelAnimationFrame(this.rafId);
       this.rafId = null;
     }
   }
 
+  /**
+   * Switch to another source (MediaStream, canvas, ImageBitmap) or back
+   * to the playlist with null. Keeps playing if it was playing.
+   */
+  async setSource(source) {
+    const wasPlaying = this.isPlaying;
+
+    this.pause();
+    this._releaseSource();
+
+    this.source = source || null;
+    this.temporalState = {};
+    this._setupSource();
+
+    if (wasPlaying) {
+      await this.play();
+    }
+  }
+
   /**
    * Toggle play/pause
    */
@@ -741,17 +692,72 @@ export class AsciiVideoEngine {
    * Update options dynamically
    */
   setOptions(options) {
+    this._applyOptions(options);
+
+    // Explicit width / dithering / fps become the governor's new targets
+    ['width', 'dithering', 'targetFps'].forEach((key) => {
+      if (options[key] !== undefined) this.preferredQuality[key] = options[key];
+    });
+    if (options.qualityBudget !== undefined) this.qualityBudget = options.qualityBudget;
+    if (options.adaptiveQuality !== undefined) {
+      this.adaptiveQuality = options.adaptiveQuality;
+      // Undo any downgrades when the governor is switched off
+      if (!this.adaptiveQuality) this._applyOptions(this.preferredQuality);
+    }
+  }
+
+  _applyOptions(options) {
     if (options.width !== undefined) this.width = options.width;
     if (options.characterSet !== undefined) this.characterSet = options.characterSet;
     if (options.dithering !== undefined) this.dithering = options.dithering;
     if (options.colored !== undefined) this.colored = options.colored;
     if (options.invert !== undefined) this.invert = options.invert;
     if (options.threshold !== undefined) this.threshold = options.threshold;
+    if (options.edgeThreshold !== undefined) this.edgeThreshold = options.edgeThreshold;
+    if (options.hysteresis !== undefined) this.hysteresis = options.hysteresis;
+    if (options.colorSmoothing !== undefined) this.colorSmoothing = options.colorSmoothing;
+    if (options.palette !== undefined) this.palette = options.palette;
+    if (options.paletteSize !== undefined) this.paletteSize = options.paletteSize;
+    if (options.duotoneColors !== undefined) this.duotoneColors = options.duotoneColors;
     if (options.fontSize !== undefined) this.fontSize = options.fontSize;
+    if (options.pointerField !== undefined) this.pointerField = options.pointerField;
     if (options.targetFps !== undefined) {
       this.targetFps = options.targetFps;
       this.frameInterval = 1000 / this.targetFps;
     }
+
+    this._syncWorkerOptions();
+  }
+
+  /**
+   * Export the current frame as 'text', 'ansi', 'html' or 'svg'.
+   * Returns null until the first frame has been processed.
+   */
+  exportFrame(format = 'text', options = {}) {
+    if (!this.lastFrame) return null;
+    return exportAsciiFrame(this.lastFrame, format, {
+      fontSize: this.fontSize,
+      fontFamily: this._getFontFamily(),
+      ...options,
+    });
+  }
+
+  /**
+   * Export the next `count` processed frames. Resolves with one string per
+   * frame once they have all been rendered (playback must be running).
+   */
+  exportFrames(count, format = 'text', options = {}) {
+    if (count <= 0) return Promise.resolve([]);
+
+    return new Promise((resolve) => {
+      this.captures.push({
+        count,
+        format,
+        options: { fontSize: this.fontSize, fontFamily: this._getFontFamily(), ...options },
+        frames: [],
+        resolve,
+      });
+    });
   }
 
   /**
@@ -766,11 +772,17 @@ export class AsciiVideoEngine {
    */
   destroy() {
     this.pause();
+    this._teardownWorker();
 
-    if (this.video) {
-      this.video.src = '';
-      this.video.load();
-      this.video = null;
+    // Settle pending captures with whatever was recorded
+    this.captures.forEach((capture) => capture.resolve(capture.frames));
+    this.captures = [];
+
+    this._releaseSource();
+
+    if (this.outputCanvas) {
+      this.outputCanvas.removeEventListener('pointermove', this.pointerMoveHandler);
+      this.outputCanvas.removeEventListener('pointerleave', this.pointerLeaveHandler);
     }
 
     if (this.outputCanvas && this.outputCanvas.parentNode) {
@@ -790,4 +802,4 @@ export class AsciiVideoEngine {
 }
 
 // Export utilities for direct use
-export { mapToCharacters, applyDithering, CHAR_SETS };
+export { mapToCharacters, mapEdges, applyDithering, exportAsciiFrame, registerCharset, CHAR_SETS };
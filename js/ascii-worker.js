@@ -0,0 +1,102 @@
+/**
+ * ASCII Worker
+ * Runs the AsciiVideoEngine frame pipeline off the main thread
+ *
+ * Receives video frames as ImageBitmaps, dithers and maps them to characters,
+ * draws the glyphs into an OffscreenCanvas and posts the result back as an
+ * ImageBitmap together with the lines, colors and (dithered) pixels.
+ */
+
+import {
+  registerCharset,
+  processAsciiFrame,
+  measureAsciiFrame,
+  drawAsciiFrame,
+} from './ascii-core.js';
+
+let options = {};
+
+// Per-cell history for hysteresis / color smoothing
+const temporalState = {};
+
+// Frame extraction canvas (bitmap → ImageData)
+let frameCanvas = null;
+let frameCtx = null;
+
+// Glyph output canvas
+let outputCanvas = null;
+let outputCtx = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+
+  switch (msg.type) {
+    case 'options':
+      options = { ...options, ...msg.options };
+      // Mirror registered charsets (already density-sorted on the main thread)
+      if (options.charset?.font) {
+        const { name, characters, mode, font } = options.charset;
+        registerCharset(name, characters, { mode, font, sort: false });
+      }
+      break;
+    case 'frame':
+      processFrame(msg.id, msg.bitmap, msg.field);
+      break;
+  }
+};
+
+/**
+ * Get a 2D context of at least the given size, creating the canvas lazily
+ */
+function ensureCanvas(canvas, width, height, contextOptions) {
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    return { canvas, ctx: canvas.getContext('2d', contextOptions) };
+  }
+
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  return { canvas, ctx: canvas.getContext('2d', contextOptions) };
+}
+
+function processFrame(id, bitmap, field) {
+  const startTime = performance.now();
+  const { width, height } = bitmap;
+
+  ({ canvas: frameCanvas, ctx: frameCtx } = ensureCanvas(frameCanvas, width, height, { willReadFrequently: true }));
+  frameCtx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const { lines, colors, luminance, imageData } = processAsciiFrame(
+    frameCtx.getImageData(0, 0, width, height),
+    options,
+    temporalState
+  );
+
+  let output = null;
+  if (options.renderMode === 'canvas') {
+    const size = measureAsciiFrame(lines, options.fontSize);
+    ({ canvas: outputCanvas, ctx: outputCtx } = ensureCanvas(outputCanvas, size.width, size.height));
+    drawAsciiFrame(outputCtx, lines, colors, { ...options, field, luminance });
+    output = outputCanvas.transferToImageBitmap();
+  }
+
+  const transfer = [imageData.data.buffer];
+  if (colors) transfer.push(colors.buffer);
+  if (output) transfer.push(output);
+
+  self.postMessage({
+    type: 'frame',
+    id,
+    lines,
+    colors,
+    pixels: imageData.data,
+    width: imageData.width,
+    height: imageData.height,
+    bitmap: output,
+    processingTime: performance.now() - startTime,
+  }, transfer);
+}
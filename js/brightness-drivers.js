@@ -0,0 +1,222 @@
+/**
+ * Brightness Drivers
+ *
+ * Pointer-free sources of per-letter brightness for TextMaskedVideo, so
+ * touch users see the letters light up too:
+ * - SearchlightDriver: a beam sweeping back and forth on its own
+ * - ScrollWaveDriver: a wave travelling across the letters with scroll progress
+ * - TiltDriver: a beam steered by device orientation (searchlight until the first reading,
+ *   onDenied when motion access is refused)
+ *
+ * All drivers share one interface:
+ *   driver.update(rect)     → once per frame, with the container's bounding rect
+ *   driver.getLevel(letter) → 0 (dark) to 1 (fully lit), from letter.centerX
+ *   driver.destroy()
+ *
+ * @see text-masked-video.js (integration point, blends these with the pointer)
+ */
+
+/**
+ * Quadratic ease-out falloff, 1 at the source and 0 at radius
+ * (the curve TextMaskedVideo uses for the pointer)
+ * @param {number} distance
+ * @param {number} radius
+ * @returns {number}
+ */
+export function falloff(distance, radius) {
+  if (distance >= radius) return 0;
+
+  const t = 1 - distance / radius;
+  return 1 - (1 - t) * (1 - t);
+}
+
+/**
+ * Beam sweeping across the letters and back, eased at the ends
+ */
+export class SearchlightDriver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.period=6000] - Time for one sweep there and back (ms)
+   * @param {number} [options.radius=200] - Beam half-width (px)
+   * @param {function(): number} [options.now] - Clock (default: performance.now)
+   */
+  constructor(options = {}) {
+    this.type = 'searchlight';
+    this.period = options.period ?? 6000;
+    this.radius = options.radius ?? 200;
+    this.now = options.now || (() => performance.now());
+    this.x = -Infinity;
+  }
+
+  update(rect) {
+    const phase = (this.now() % this.period) / this.period;
+    this.x = rect.width * (0.5 - 0.5 * Math.cos(phase * Math.PI * 2));
+  }
+
+  getLevel(letter) {
+    return falloff(Math.abs(letter.centerX - this.x), this.radius);
+  }
+
+  destroy() {}
+}
+
+/**
+ * Crests travelling across the letters as the container scrolls through the viewport
+ */
+export class ScrollWaveDriver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.waves=1] - Crests across the container width
+   * @param {number} [options.speed=2] - Container widths travelled over the full scroll progress
+   * @param {number} [options.sharpness=3] - Higher values narrow the crests
+   */
+  constructor(options = {}) {
+    this.type = 'scroll';
+    this.waves = options.waves ?? 1;
+    this.speed = options.speed ?? 2;
+    this.sharpness = options.sharpness ?? 3;
+    this.width = 1;
+    this.progress = 0;
+  }
+
+  /**
+   * Progress is 0 when the container's top enters the bottom of the viewport
+   * and 1 when its bottom leaves the top.
+   */
+  update(rect) {
+    const viewport = window.innerHeight;
+    const progress = (viewport - rect.top) / (viewport + rect.height);
+
+    this.width = rect.width || 1;
+    this.progress = Math.min(1, Math.max(0, progress));
+  }
+
+  getLevel(letter) {
+    const phase = (letter.centerX / this.width) * this.waves - this.progress * this.speed;
+    return Math.pow(0.5 + 0.5 * Math.cos(phase * Math.PI * 2), this.sharpness);
+  }
+
+  destroy() {}
+}
+
+/**
+ * Beam steered by tilting the device left and right
+ *
+ * Needs the accelerometer and gyroscope allowed by the page's Permissions-Policy.
+ * On iOS, permission is requested on the first tap.
+ */
+export class TiltDriver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxTilt=30] - Tilt (degrees) that moves the beam to an edge
+   * @param {number} [options.radius=200] - Beam half-width (px)
+   * @param {Object} [options.searchlight] - SearchlightDriver options, used until the first reading
+   * @param {Function} [options.onDenied] - Called if the user refuses motion access (no readings will come)
+   */
+  constructor(options = {}) {
+    this.type = 'tilt';
+    this.maxTilt = options.maxTilt ?? 30;
+    this.radius = options.radius ?? 200;
+    this.fallback = new SearchlightDriver({ radius: this.radius, ...options.searchlight });
+    this.tilt = null;
+    this.x = -Infinity;
+    this.onDenied = options.onDenied || null;
+
+    // 'granted' or 'denied' once requestPermission() has an answer
+    this.permission = null;
+
+    this._onOrientation = (e) => {
+      if (e.gamma === null || e.beta === null) return;
+
+      // Left/right tilt relative to the screen, whichever way it is held
+      const angle = screen.orientation?.angle ?? 0;
+      if (angle === 90) this.tilt = e.beta;
+      else if (angle === -90 || angle === 270) this.tilt = -e.beta;
+      else this.tilt = e.gamma;
+    };
+    window.addEventListener('deviceorientation', this._onOrientation);
+
+    // iOS only delivers events after a permission prompt from a user gesture
+    this._onFirstTap = () => this.requestPermission();
+    if (typeof DeviceOrientationEvent !== 'undefined' &&
+        typeof DeviceOrientationEvent.requestPermission === 'function') {
+      document.addEventListener('click', this._onFirstTap, { once: true });
+    }
+  }
+
+  /**
+   * Ask for motion sensor access where the browser requires it
+   * On refusal the driver stops listening and calls onDenied.
+   * @returns {Promise<boolean>} Whether orientation events are allowed
+   */
+  async requestPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined' ||
+        typeof DeviceOrientationEvent.requestPermission !== 'function') {
+      return true;
+    }
+
+    let state;
+    try {
+      state = await DeviceOrientationEvent.requestPermission();
+    } catch {
+      state = 'denied';
+    }
+
+    this.permission = state === 'granted' ? 'granted' : 'denied';
+    if (this.permission === 'denied') {
+      window.removeEventListener('deviceorientation', this._onOrientation);
+      this.onDenied?.();
+    }
+
+    return this.permission === 'granted';
+  }
+
+  update(rect) {
+    if (this.tilt === null) {
+      this.fallback.update(rect);
+      return;
+    }
+
+    const t = Math.min(1, Math.max(-1, this.tilt / this.maxTilt));
+    this.x = rect.width * (0.5 + t * 0.5);
+  }
+
+  getLevel(letter) {
+    if (this.tilt === null) {
+      return this.fallback.getLevel(letter);
+    }
+
+    return falloff(Math.abs(letter.centerX - this.x), this.radius);
+  }
+
+  destroy() {
+    window.removeEventListener('deviceorientation', this._onOrientation);
+    document.removeEventListener('click', this._onFirstTap);
+    this.onDenied = null;
+  }
+}
+
+// Driver classes by TextMaskedVideo brightnessMode
+const DRIVERS = {
+  searchlight: SearchlightDriver,
+  scroll: ScrollWaveDriver,
+  tilt: TiltDriver
+};
+
+/**
+ * Create the driver for a brightness mode
+ * @param {'pointer'|'searchlight'|'scroll'|'tilt'} mode - 'pointer' needs no driver
+ * @param {Object} [options] - Driver options
+ * @returns {SearchlightDriver|ScrollWaveDriver|TiltDriver|null}
+ */
+export function createBrightnessDriver(mode, options = {}) {
+  if (mode === 'pointer') return null;
+
+  const Driver = DRIVERS[mode];
+  if (!Driver) {
+    console.warn('[BrightnessDriver] Unknown mode, using pointer only:', mode);
+    return null;
+  }
+
+  return new Driver(options);
+}
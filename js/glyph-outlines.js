@@ -0,0 +1,370 @@
+/**
+ * Glyph Outlines
+ *
+ * Optional vector outline source for the letter effects. Parses a font file
+ * (OTF, TTF or WOFF via opentype.js) and returns real glyph paths, so masks
+ * stay crisp at any resolution and points can be sampled exactly along contours.
+ *
+ * Used by:
+ * - LetterMaskGenerator (fontConfig.outlines)
+ * - extractLetterPaths in hero-emergence/letter-paths.js (options.outlines / outlineFont)
+ * - createSOutline / loadSOutline in s-path-data.js
+ *
+ * No font file ships with the site (Satoshi is served by Fontshare as WOFF2,
+ * which opentype.js cannot parse); callers pass the URL of an OTF/TTF/WOFF copy.
+ *
+ * Path commands use opentype.js's format:
+ * { type: 'M'|'L'|'Q'|'C'|'Z', x, y, x1, y1, x2, y2 } in y-down canvas coordinates.
+ *
+ * @module glyph-outlines
+ */
+
+// Pending/loaded sources by font URL
+const sourceCache = new Map();
+
+// Max distance between a curve and its flattened polyline (px)
+const FLATTEN_TOLERANCE = 0.1;
+
+// Cap on segments per curve when flattening
+const MAX_CURVE_SEGMENTS = 64;
+
+/**
+ * Glyph path command (opentype.js format)
+ * @typedef {Object} PathCommand
+ * @property {'M'|'L'|'Q'|'C'|'Z'} type
+ * @property {number} [x] - End point x
+ * @property {number} [y] - End point y
+ * @property {number} [x1] - First control point x (Q, C)
+ * @property {number} [y1] - First control point y (Q, C)
+ * @property {number} [x2] - Second control point x (C)
+ * @property {number} [y2] - Second control point y (C)
+ */
+
+/**
+ * Sampled contour point
+ * @typedef {Object} ContourPoint
+ * @property {number} x
+ * @property {number} y
+ * @property {number} contour - Index of the contour it lies on
+ */
+
+// ============================================
+// PATH UTILITIES (no font needed)
+// ============================================
+
+/**
+ * Number of line segments keeping a curve within FLATTEN_TOLERANCE
+ * Uses the second-difference bound on Bézier flattening error.
+ * @param {number} secondDiff - Largest |P[i] - 2P[i+1] + P[i+2]| of the control polygon
+ * @param {number} factor - 1/8 for quadratics, 3/4 for cubics
+ * @returns {number}
+ */
+function curveSegments(secondDiff, factor) {
+  const n = Math.ceil(Math.sqrt((secondDiff * factor) / FLATTEN_TOLERANCE));
+  return Math.min(Math.max(n, 1), MAX_CURVE_SEGMENTS);
+}
+
+/**
+ * Flatten path commands into closed polylines, one per contour
+ * @param {PathCommand[]} commands
+ * @returns {{x: number, y: number}[][]} Contours (first point repeated at the end when closed)
+ */
+export function flattenContours(commands) {
+  const contours = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+
+  for (const cmd of commands) {
+    switch (cmd.type) {
+      case 'M':
+        current = [{ x: cmd.x, y: cmd.y }];
+        contours.push(current);
+        break;
+
+      case 'L':
+        current.push({ x: cmd.x, y: cmd.y });
+        break;
+
+      case 'Q': {
+        const diff = Math.hypot(x - 2 * cmd.x1 + cmd.x, y - 2 * cmd.y1 + cmd.y);
+        const n = curveSegments(diff, 1 / 8);
+        for (let i = 1; i <= n; i++) {
+          const t = i / n;
+          const mt = 1 - t;
+          current.push({
+            x: mt * mt * x + 2 * mt * t * cmd.x1 + t * t * cmd.x,
+            y: mt * mt * y + 2 * mt * t * cmd.y1 + t * t * cmd.y
+          });
+        }
+        break;
+      }
+
+      case 'C': {
+        const diff = Math.max(
+          Math.hypot(x - 2 * cmd.x1 + cmd.x2, y - 2 * cmd.y1 + cmd.y2),
+          Math.hypot(cmd.x1 - 2 * cmd.x2 + cmd.x, cmd.y1 - 2 * cmd.y2 + cmd.y)
+        );
+        const n = curveSegments(diff, 3 / 4);
+        for (let i = 1; i <= n; i++) {
+          const t = i / n;
+          const mt = 1 - t;
+          current.push({
+            x: mt * mt * mt * x + 3 * mt * mt * t * cmd.x1 + 3 * mt * t * t * cmd.x2 + t * t * t * cmd.x,
+            y: mt * mt * mt * y + 3 * mt * mt * t * cmd.y1 + 3 * mt * t * t * cmd.y2 + t * t * t * cmd.y
+          });
+        }
+        break;
+      }
+
+      case 'Z': {
+        const first = current[0];
+        const last = current[current.length - 1];
+        if (first.x !== last.x || first.y !== last.y) {
+          current.push({ ...first });
+        }
+        x = first.x;
+        y = first.y;
+        continue;
+      }
+    }
+
+    x = cmd.x;
+    y = cmd.y;
+  }
+
+  return contours.filter(contour => contour.length > 1);
+}
+
+/**
+ * Sample points evenly by arc length along every contour
+ * @param {PathCommand[]} commands
+ * @param {Object} options
+ * @param {number} [options.spacing] - Distance between samples
+ * @param {number} [options.count] - Total samples across all contours (overrides spacing)
+ * @returns {ContourPoint[]}
+ */
+export function sampleContours(commands, { spacing, count } = {}) {
+  const contours = flattenContours(commands);
+
+  // Cumulative lengths per contour
+  const measured = contours.map(points => {
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+      lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+    return { points, lengths, total: lengths[lengths.length - 1] };
+  });
+
+  const totalLength = measured.reduce((sum, c) => sum + c.total, 0);
+  if (totalLength === 0) return [];
+
+  const step = count ? totalLength / count : spacing;
+  if (!(step > 0)) {
+    throw new Error('sampleContours needs a positive spacing or count');
+  }
+
+  const samples = [];
+  measured.forEach(({ points, lengths, total }, contour) => {
+    const n = Math.max(1, Math.round(total / step));
+    let segment = 1;
+
+    for (let i = 0; i < n; i++) {
+      const distance = (i / n) * total;
+      while (segment < lengths.length - 1 && lengths[segment] < distance) segment++;
+
+      const a = points[segment - 1];
+      const b = points[segment];
+      const span = lengths[segment] - lengths[segment - 1];
+      const t = span > 0 ? (distance - lengths[segment - 1]) / span : 0;
+
+      samples.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, contour });
+    }
+  });
+
+  return samples;
+}
+
+/**
+ * Transform every point of a path
+ * @param {PathCommand[]} commands
+ * @param {function(number, number): number[]} transform - (x, y) => [x, y]
+ * @returns {PathCommand[]} New commands
+ */
+export function mapCommands(commands, transform) {
+  return commands.map(cmd => {
+    const out = { type: cmd.type };
+    for (const [kx, ky] of [['x', 'y'], ['x1', 'y1'], ['x2', 'y2']]) {
+      if (cmd[kx] !== undefined) {
+        [out[kx], out[ky]] = transform(cmd[kx], cmd[ky]);
+      }
+    }
+    return out;
+  });
+}
+
+/**
+ * Tight bounds of a path (curves included)
+ * @param {PathCommand[]} commands
+ * @returns {{x1: number, y1: number, x2: number, y2: number}|null} Null for empty paths
+ */
+export function getCommandsBounds(commands) {
+  const points = flattenContours(commands).flat();
+  if (points.length === 0) return null;
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+/**
+ * Serialize path commands as an SVG path `d` string
+ * @param {PathCommand[]} commands
+ * @param {number} [precision=2] - Decimal places
+ * @returns {string}
+ */
+export function commandsToSvgPath(commands, precision = 2) {
+  const n = (value) => +value.toFixed(precision);
+
+  return commands.map(cmd => {
+    switch (cmd.type) {
+      case 'M':
+      case 'L':
+        return `${cmd.type}${n(cmd.x)} ${n(cmd.y)}`;
+      case 'Q':
+        return `Q${n(cmd.x1)} ${n(cmd.y1)} ${n(cmd.x)} ${n(cmd.y)}`;
+      case 'C':
+        return `C${n(cmd.x1)} ${n(cmd.y1)} ${n(cmd.x2)} ${n(cmd.y2)} ${n(cmd.x)} ${n(cmd.y)}`;
+      default:
+        return 'Z';
+    }
+  }).join('');
+}
+
+/**
+ * Build a Path2D from path commands
+ * @param {PathCommand[]} commands
+ * @returns {Path2D}
+ */
+export function commandsToPath2D(commands) {
+  const path = new Path2D();
+
+  for (const cmd of commands) {
+    switch (cmd.type) {
+      case 'M': path.moveTo(cmd.x, cmd.y); break;
+      case 'L': path.lineTo(cmd.x, cmd.y); break;
+      case 'Q': path.quadraticCurveTo(cmd.x1, cmd.y1, cmd.x, cmd.y); break;
+      case 'C': path.bezierCurveTo(cmd.x1, cmd.y1, cmd.x2, cmd.y2, cmd.x, cmd.y); break;
+      case 'Z': path.closePath(); break;
+    }
+  }
+
+  return path;
+}
+
+// ============================================
+// FONT SOURCE
+// ============================================
+
+/**
+ * Glyph outlines of one parsed font
+ */
+export class GlyphOutlineSource {
+  /**
+   * Fetch and parse a font file (cached per URL)
+   * opentype.js is imported on first use, so it only loads when outlines are requested.
+   * @param {string} url - OTF, TTF or WOFF file (WOFF2 is not supported by opentype.js)
+   * @returns {Promise<GlyphOutlineSource>}
+   */
+  static load(url) {
+    if (!sourceCache.has(url)) {
+      const pending = Promise.all([
+        import('opentype.js'),
+        fetch(url).then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load font ${url}: ${response.status}`);
+          }
+          return response.arrayBuffer();
+        })
+      ]).then(([opentype, buffer]) => {
+        const parse = opentype.parse || opentype.default.parse;
+        return new GlyphOutlineSource(parse(buffer));
+      });
+
+      // Let a failed load be retried
+      pending.catch(() => sourceCache.delete(url));
+      sourceCache.set(url, pending);
+    }
+
+    return sourceCache.get(url);
+  }
+
+  /**
+   * @param {Object} font - Parsed opentype.js Font
+   */
+  constructor(font) {
+    this.font = font;
+  }
+
+  /**
+   * Distance from canvas's 'middle' text baseline down to the alphabetic baseline
+   * @param {number} fontSize - Font size in px
+   * @returns {number}
+   */
+  middleToBaseline(fontSize) {
+    const { ascender, descender, unitsPerEm } = this.font;
+    return ((ascender + descender) / 2 / unitsPerEm) * fontSize;
+  }
+
+  /**
+   * Kerned advance width of a run of text (ligatures applied by opentype.js)
+   * @param {string} text
+   * @param {number} fontSize - Font size in px
+   * @returns {number}
+   */
+  measure(text, fontSize) {
+    return this.font.getAdvanceWidth(text, fontSize, { kerning: true });
+  }
+
+  /**
+   * Outline commands of a run of text
+   * @param {string} text
+   * @param {number} x - Left edge of the advance
+   * @param {number} baselineY - Alphabetic baseline
+   * @param {number} fontSize - Font size in px
+   * @returns {PathCommand[]}
+   */
+  getCommands(text, x, baselineY, fontSize) {
+    return this.font.getPath(text, x, baselineY, fontSize, { kerning: true }).commands;
+  }
+
+  /**
+   * Outline of a run of text as a Path2D
+   * @param {string} text
+   * @param {number} x - Left edge of the advance
+   * @param {number} baselineY - Alphabetic baseline
+   * @param {number} fontSize - Font size in px
+   * @returns {Path2D}
+   */
+  getPath2D(text, x, baselineY, fontSize) {
+    return commandsToPath2D(this.getCommands(text, x, baselineY, fontSize));
+  }
+
+  /**
+   * Ink extents around the center of the advance and the 'middle' baseline,
+   * matching LetterMaskGenerator's GlyphInk (and TextMetrics.actualBoundingBox*)
+   * @param {string} text
+   * @param {number} fontSize - Font size in px
+   * @returns {{left: number, right: number, ascent: number, descent: number}}
+   */
+  getInk(text, fontSize) {
+    const advance = this.measure(text, fontSize);
+    const bounds = getCommandsBounds(this.getCommands(text, -advance / 2, this.middleToBaseline(fontSize), fontSize));
+
+    if (!bounds) {
+      return { left: 0, right: 0, ascent: 0, descent: 0 };
+    }
+
+    return { left: -bounds.x1, right: bounds.x2, ascent: -bounds.y1, descent: bounds.y2 };
+  }
+}
@@ -277,8 +277,11 @@ function setupScrollInterrupt() {
 
 /**
  * Initialize the emergence timeline
+ * @param {HTMLElement} containerEl - #hero-emergence container
+ * @param {Object} [options]
+ * @param {string} [options.outlineFont] - Font file URL; letters are sampled from its glyph outlines
  */
-export async function initEmergenceTimeline(containerEl) {
+export async function initEmergenceTimeline(containerEl, options = {}) {
   container = containerEl;
   canvas = container.querySelector('.emergence-canvas');
 
@@ -316,6 +319,7 @@ export async function initEmergenceTimeline(containerEl) {
     minPointsPerLetter: 50,
     maxPointsPerLetter: 80,
     samplingDensity: 2,
+    outlineFont: options.outlineFont,
   });
 
   // Generate shapes from pixel-sampled positions
@@ -22,9 +22,12 @@ let hoverCleanup = null;
 
 /**
  * Initialize the hero emergence animation
+ * @param {Object} [options]
+ * @param {string} [options.outlineFont] - Font file URL for outline-sampled letters
+ *   (default: the container's data-outline-font; pixel sampling without one)
  * @returns {Promise<Object>} Controller object with replay, destroy methods
  */
-export async function initHeroEmergence() {
+export async function initHeroEmergence(options = {}) {
   // Get the emergence container
   const container = document.getElementById('hero-emergence');
 
@@ -35,7 +38,9 @@ export async function initHeroEmergence() {
 
   try {
     // Initialize the emergence timeline
-    emergenceController = await initEmergenceTimeline(container);
+    emergenceController = await initEmergenceTimeline(container, {
+      outlineFont: options.outlineFont ?? container.dataset.outlineFont,
+    });
 
     if (!emergenceController) {
       console.warn('Emergence timeline initialization failed');
@@ -2,8 +2,14 @@
  * Letter Path Extractor for Hero Text Emergence Animation
  * Uses Canvas Pixel Sampling to extract actual letterform positions
  * Shapes will form readable letters, not just clusters
+ *
+ * With options.outlines (a GlyphOutlineSource), points are sampled along the
+ * font's real glyph contours instead of rasterized pixels.
  */
 
+import { GlyphOutlineSource, sampleContours } from '../glyph-outlines.js';
+import { segmentGraphemes, isWhitespace } from '../text-segmentation.js';
+
 // Default configuration
 const DEFAULT_CONFIG = {
   text: 'DEM Systems',
@@ -224,15 +230,98 @@ function scaleToContainer(letterPositions, canvasHeight, containerBounds, fontSi
   return scaledPositions;
 }
 
+/**
+ * Sample letter contours from glyph outlines, laid out in container coordinates
+ * Mirrors the pixel pipeline's scale: text is half the container height.
+ */
+function extractOutlinePaths(config, containerWidth, containerHeight) {
+  const { outlines, text } = config;
+  const fontSize = containerHeight / 2;
+  const tracking = 1 + config.letterSpacing;
+
+  // Kerned left edge of each letter, with the same tracking as getLetterBoundaries
+  // (one letter per grapheme, so emoji and accents stay whole)
+  const chars = segmentGraphemes(text);
+  const boundaries = [];
+  for (let i = 0; i < chars.length; i++) {
+    const width = outlines.measure(chars[i], fontSize);
+    const startX = (outlines.measure(chars.slice(0, i + 1).join(''), fontSize) - width) * tracking;
+
+    boundaries.push({
+      char: chars[i],
+      index: i,
+      isSpace: isWhitespace(chars[i]),
+      startX,
+      endX: startX + width * tracking,
+      width: width * tracking,
+    });
+  }
+
+  const totalWidth = boundaries.length ? boundaries[boundaries.length - 1].endX : 0;
+  const startX = (containerWidth - totalWidth) / 2;
+  const centerY = containerHeight / 2;
+  const baselineY = centerY + outlines.middleToBaseline(fontSize);
+
+  const letterPathsData = {};
+  boundaries.forEach(b => {
+    if (b.isSpace) return;
+
+    const commands = outlines.getCommands(b.char, startX + b.startX, baselineY, fontSize);
+    let points = sampleContours(commands, { spacing: 1 });
+    if (points.length < config.minPointsPerLetter || points.length > config.maxPointsPerLetter) {
+      const count = Math.min(config.maxPointsPerLetter, Math.max(config.minPointsPerLetter, points.length));
+      points = sampleContours(commands, { count });
+    }
+
+    letterPathsData[b.index] = points.map(({ x, y }) => ({ x, y }));
+  });
+
+  return {
+    letterPathsData,
+    containerBounds: {
+      width: containerWidth,
+      height: containerHeight,
+    },
+    fontSize: calculateFontSize(containerWidth),
+    totalLetters: boundaries.length,
+    textWidth: totalWidth,
+    startX,
+    centerY,
+    // Already in container units
+    letterBoundaries: boundaries.map(b => ({
+      ...b,
+      scaledStartX: b.startX + startX,
+      scaledEndX: b.endX + startX,
+      scaledWidth: b.width,
+    })),
+  };
+}
+
 /**
  * Main extraction function - samples actual letter pixels
  * @param {HTMLElement} container - Container element for sizing reference
  * @param {Object} options - Configuration options
+ * @param {import('../glyph-outlines.js').GlyphOutlineSource} [options.outlines] - Sample glyph
+ *   contours from this font instead of rasterizing with fillText
+ * @param {string} [options.outlineFont] - OTF/TTF/WOFF URL to load as options.outlines
+ *   (falls back to pixel sampling if it fails to load)
  * @returns {Object} Data structure with pixel-sampled positions per letter
  */
 export async function extractLetterPaths(container, options = {}) {
   const config = { ...DEFAULT_CONFIG, ...options };
 
+  if (config.outlineFont && !config.outlines) {
+    config.outlines = await GlyphOutlineSource.load(config.outlineFont).catch((error) => {
+      console.warn('[letter-paths] Outline font unavailable, sampling pixels:', error);
+      return null;
+    });
+  }
+
+  if (config.outlines) {
+    const rect = container.getBoundingClientRect();
+    return extractOutlinePaths(config, rect.width || 800, rect.height || 120);
+  }
+
   // Wait for fonts to load
   await document.fonts.ready;
 
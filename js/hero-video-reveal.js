@@ -6,9 +6,54 @@
 
 import { MouseReveal } from './mouse-reveal.js';
 import { VideoRevealCanvas } from './video-reveal.js';
+import { MetaballPhysics, POINTER_TOUCH_ACTION } from './metaball-physics.js';
 
 const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
+/**
+ * Track touch/pen pointers as metaball blobs, one per finger
+ * @param {HTMLElement} container - Element receiving pointer events
+ * @param {number} radius - Blob radius (matches the desktop reveal radius)
+ * @returns {{ physics: MetaballPhysics, isActive: Function, destroy: Function }}
+ */
+function createPointerBlobs(container, radius) {
+  const physics = new MetaballPhysics({
+    baseRadius: radius,
+    gridResolution: 12,
+    maxBlobs: 8
+  });
+
+  function onPointerMove(e) {
+    if (e.pointerType === 'mouse') return;
+    const rect = container.getBoundingClientRect();
+    physics.setPointer(e.pointerId, e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  function onPointerEnd(e) {
+    physics.releasePointer(e.pointerId);
+  }
+
+  container.addEventListener('pointerdown', onPointerMove);
+  container.addEventListener('pointermove', onPointerMove);
+  container.addEventListener('pointerup', onPointerEnd);
+  container.addEventListener('pointercancel', onPointerEnd);
+
+  const touchAction = container.style.touchAction;
+  container.style.touchAction = POINTER_TOUCH_ACTION;
+
+  return {
+    physics,
+    isActive: () => physics.pointers.size > 0,
+    destroy() {
+      container.removeEventListener('pointerdown', onPointerMove);
+      container.removeEventListener('pointermove', onPointerMove);
+      container.removeEventListener('pointerup', onPointerEnd);
+      container.removeEventListener('pointercancel', onPointerEnd);
+      container.style.touchAction = touchAction;
+    }
+  };
+}
+
 /**
  * Initialize hero video reveal effect
  * @param {Object} options - Configuration options
@@ -28,11 +73,8 @@ export function initHeroVideoReveal(options = {}) {
     return null;
   }
 
-  // Check for touch-primary device
-  if (window.matchMedia('(pointer: coarse)').matches) {
-    console.log('Hero video reveal disabled: touch-primary device');
-    return null;
-  }
+  // Touch-primary devices reveal through one metaball blob per finger
+  const isTouchPrimary = window.matchMedia('(pointer: coarse)').matches;
 
   const {
     heroSelector = '.section--hero',
@@ -55,12 +97,13 @@ export function initHeroVideoReveal(options = {}) {
   const titleWrapper = heroSection.querySelector('.hero-title-wrapper');
   const canvasParent = titleWrapper || heroSection;
 
-  // Create mouse tracker
-  const mouseReveal = new MouseReveal(canvasParent, {
+  // Create mouse tracker (desktop) or per-pointer blobs (touch)
+  const mouseReveal = isTouchPrimary ? null : new MouseReveal(canvasParent, {
     lerpFactor,
     enabled: true,
-    supportTouch: false // Desktop only for video reveal
+    supportTouch: false
   });
+  const pointerBlobs = isTouchPrimary ? createPointerBlobs(canvasParent, revealRadius) : null;
 
   // Create video canvas
   const videoCanvas = new VideoRevealCanvas({
@@ -81,6 +124,14 @@ export function initHeroVideoReveal(options = {}) {
   function handleResize() {
     const rect = canvasParent.getBoundingClientRect();
     videoCanvas.resize(rect.width, rect.height);
+
+    if (pointerBlobs) {
+      if (pointerBlobs.physics.width) {
+        pointerBlobs.physics.resize(rect.width, rect.height);
+      } else {
+        pointerBlobs.physics.init(rect.width, rect.height);
+      }
+    }
   }
   handleResize();
 
@@ -95,18 +146,34 @@ export function initHeroVideoReveal(options = {}) {
   // RAF loop
   let rafId = null;
   let isRunning = true;
+  let lastTime = performance.now();
 
   function animate() {
     if (!isRunning) return;
 
-    // Update smoothed mouse position
-    mouseReveal.updateMouse();
+    const now = performance.now();
+    const dt = now - lastTime;
+    lastTime = now;
 
-    // Get current position
-    const { x, y, isActive } = mouseReveal.getPosition();
+    let isActive;
 
-    // Render video with mask
-    videoCanvas.render(x, y, isActive);
+    if (pointerBlobs) {
+      // Blobs follow their fingers; render their merged contours
+      isActive = pointerBlobs.isActive();
+      pointerBlobs.physics.update(dt);
+      const path = isActive ? pointerBlobs.physics.getContourPath({ smoothing: 'catmull-rom' }) : null;
+      videoCanvas.renderPath(path, isActive);
+    } else {
+      // Update smoothed mouse position
+      mouseReveal.updateMouse();
+
+      // Get current position
+      const position = mouseReveal.getPosition();
+      isActive = position.isActive;
+
+      // Render video with mask
+      videoCanvas.render(position.x, position.y, isActive);
+    }
 
     // Start video playback when mouse enters
     if (isActive && !videoCanvas.isPlaying) {
@@ -127,7 +194,8 @@ export function initHeroVideoReveal(options = {}) {
         cancelAnimationFrame(rafId);
       }
       window.removeEventListener('resize', onResize);
-      mouseReveal.destroy();
+      mouseReveal?.destroy();
+      pointerBlobs?.destroy();
       videoCanvas.destroy();
     }
   };
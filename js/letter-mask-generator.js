@@ -8,11 +8,18 @@
  * @module letter-mask-generator
  */
 
+import { segmentGraphemes, getWordStarts, isWhitespace, isLineBreak } from './text-segmentation.js';
+import { commandsToPath2D, sampleContours } from './glyph-outlines.js';
+
 /**
  * Font configuration options
  * @typedef {Object} FontConfig
  * @property {string} [fontFamily='Satoshi, sans-serif'] - Font family to use
  * @property {number} [fontWeight=900] - Font weight (100-900)
+ * @property {number} [lineHeight=1.1] - Line height as a multiple of the font size
+ * @property {number} [maxLineWidth=0.9] - Wrap width as a fraction of the container width
+ * @property {import('./glyph-outlines.js').GlyphOutlineSource} [outlines] - Vector glyph source;
+ *   when set, layout and drawing use the font's real outlines instead of fillText
  */
 
 /**
@@ -31,15 +38,46 @@
  * @property {number} y - Center y coordinate
  */
 
+/**
+ * Glyph ink extents from TextMetrics.actualBoundingBox*, relative to the
+ * letter's draw position (textAlign center, textBaseline middle)
+ * @typedef {Object} GlyphInk
+ * @property {number} left - Distance from x to the left ink edge
+ * @property {number} right - Distance from x to the right ink edge
+ * @property {number} ascent - Distance from y to the top ink edge
+ * @property {number} descent - Distance from y to the bottom ink edge
+ */
+
 /**
  * Internal letter data structure
  * @typedef {Object} LetterData
  * @property {string} char - The character
- * @property {number} x - Center x position
- * @property {number} y - Center y position
- * @property {number} width - Character width
- * @property {number} height - Character height
+ * @property {number} x - Center x position (of the kerned advance)
+ * @property {number} y - Center y position (middle of its line)
+ * @property {number} width - Advance width
+ * @property {number} height - Ink height
+ * @property {GlyphInk} ink - Tight ink extents
+ * @property {number} line - Line index
  * @property {boolean} isSpace - Whether character is whitespace
+ * @property {Object[]|null} outline - Glyph path commands in canvas coordinates (outline source only)
+ * @property {Path2D|null} path - Glyph path for filling (outline source only)
+ */
+
+/**
+ * Laid-out line of text
+ * @typedef {Object} LineData
+ * @property {number} start - Index of the first letter
+ * @property {number} end - Index after the last letter (excludes the break character)
+ * @property {number} y - Center y position
+ * @property {number} width - Kerned line width
+ */
+
+/**
+ * Circle approximating part of a letter's ink (metaball morph seed)
+ * @typedef {Object} LetterSeed
+ * @property {number} x - Center x coordinate
+ * @property {number} y - Center y coordinate
+ * @property {number} radius - Radius covering the sampled ink
  */
 
 /**
@@ -63,9 +101,21 @@ export class LetterMaskGenerator {
     /** @type {number} */
     this.fontWeight = fontConfig.fontWeight || 900;
 
+    /** @type {number} */
+    this.lineHeight = fontConfig.lineHeight || 1.1;
+
+    /** @type {number} */
+    this.maxLineWidth = fontConfig.maxLineWidth || 0.9;
+
+    /** @type {import('./glyph-outlines.js').GlyphOutlineSource|null} */
+    this.outlines = fontConfig.outlines || null;
+
     /** @type {LetterData[]} */
     this.letters = [];
 
+    /** @type {LineData[]} */
+    this.lines = [];
+
     /** @type {number} */
     this.fontSize = 64;
 
@@ -77,14 +127,44 @@ export class LetterMaskGenerator {
 
     /** @type {boolean} */
     this._initialized = false;
+
+    /** @type {CanvasRenderingContext2D|null} Scratch context for glyph sampling */
+    this._sampleCtx = null;
+
+    /** @type {string[]} Cached graphemes of _segmentedText */
+    this._graphemes = [];
+
+    /** @type {string|null} */
+    this._segmentedText = null;
   }
 
   /**
-   * Number of letters in the text (including spaces)
+   * Number of letters in the text (graphemes, including spaces)
    * @type {number}
    */
   get letterCount() {
-    return this.text.length;
+    return this._getGraphemes().length;
+  }
+
+  /**
+   * Graphemes of the current text, re-segmented when the text changes
+   * @returns {string[]}
+   * @private
+   */
+  _getGraphemes() {
+    if (this._segmentedText !== this.text) {
+      this._graphemes = segmentGraphemes(this.text);
+      this._segmentedText = this.text;
+    }
+    return this._graphemes;
+  }
+
+  /**
+   * Number of laid-out lines
+   * @type {number}
+   */
+  get lineCount() {
+    return this.lines.length;
   }
 
   /**
@@ -120,6 +200,11 @@ export class LetterMaskGenerator {
    * Initialize the generator with container dimensions.
    * MUST be called after the container is sized and before drawing.
    *
+   * Letters are placed by measuring each line prefix, so the positions follow
+   * the shaped run (kerning pairs and ligature advances) rather than the sum of
+   * isolated character widths. Lines wrap at spaces past maxLineWidth and at '\n'.
+   * With an outline source, the font file's own advances, kerning and outlines are used.
+   *
    * @param {CanvasRenderingContext2D} ctx - Canvas 2D rendering context
    * @param {number} width - Container width in CSS pixels
    * @param {number} height - Container height in CSS pixels
@@ -132,52 +217,172 @@ export class LetterMaskGenerator {
     ctx.font = `${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
     ctx.textBaseline = 'middle';
     ctx.textAlign = 'center';
+    if ('fontKerning' in ctx) {
+      ctx.fontKerning = 'normal';
+    }
+
+    const chars = this._getGraphemes();
+    const outlines = this.outlines;
+    const measureText = outlines
+      ? (text) => outlines.measure(text, this.fontSize)
+      : (text) => ctx.measureText(text).width;
+    const measure = (start, end) => measureText(chars.slice(start, end).join(''));
 
     // Clear previous letter data
     this.letters = [];
+    this.lines = this._wrapLines(chars, measure, width * this.maxLineWidth);
+
+    // Stack lines around the vertical center
+    const lineAdvance = this.fontSize * this.lineHeight;
+    const firstY = height / 2 - ((this.lines.length - 1) * lineAdvance) / 2;
+
+    this.lines.forEach((line, lineIndex) => {
+      line.y = firstY + lineIndex * lineAdvance;
+      line.width = measure(line.start, line.end);
+      const offsetX = (width - line.width) / 2;
+
+      for (let i = line.start; i < line.end; i++) {
+        const letterWidth = measureText(chars[i]);
+
+        // Kerned left edge: the line up to and including this letter, minus its advance
+        // (a kerning pair shifts the second letter, so the prefix alone is not enough)
+        const left = offsetX + measure(line.start, i + 1) - letterWidth;
+        const isSpace = isWhitespace(chars[i]);
+        const ink = outlines
+          ? outlines.getInk(chars[i], this.fontSize)
+          : this._measureInk(ctx.measureText(chars[i]));
+        const outline = outlines && !isSpace
+          ? outlines.getCommands(chars[i], left, line.y + outlines.middleToBaseline(this.fontSize), this.fontSize)
+          : null;
+
+        this.letters[i] = {
+          char: chars[i],
+          x: left + letterWidth / 2, // Store center position
+          y: line.y,
+          width: letterWidth,
+          height: ink.ascent + ink.descent,
+          ink,
+          line: lineIndex,
+          isSpace,
+          outline,
+          path: outline ? commandsToPath2D(outline) : null
+        };
+      }
+    });
+
+    // Break characters sit at the end of the line they ended
+    this.lines.forEach((line, lineIndex) => {
+      const next = this.lines[lineIndex + 1];
+      const breakEnd = next ? next.start : chars.length;
+
+      for (let i = line.end; i < breakEnd; i++) {
+        this.letters[i] = {
+          char: chars[i],
+          x: (width + line.width) / 2,
+          y: line.y,
+          width: 0,
+          height: 0,
+          ink: { left: 0, right: 0, ascent: 0, descent: 0 },
+          line: lineIndex,
+          isSpace: true,
+          outline: null,
+          path: null
+        };
+      }
+    });
 
-    // Measure each letter and accumulate positions
-    let currentX = 0;
-
-    for (const char of this.text) {
-      const metrics = ctx.measureText(char);
-      const letterWidth = metrics.width;
-
-      // Height approximation (Canvas TextMetrics doesn't provide reliable height)
-      // Use font size * 0.8 as a reasonable approximation for capital letters
-      const letterHeight = this.fontSize * 0.8;
+    // Store center Y of the text block
+    this.centerY = height / 2;
 
-      this.letters.push({
-        char,
-        x: currentX + letterWidth / 2, // Store center position
-        y: height / 2, // Will be set to centerY
-        width: letterWidth,
-        height: letterHeight,
-        isSpace: char === ' ' || char === '\t' || char === '\n'
-      });
+    // Mark as initialized
+    this._initialized = true;
+  }
 
-      currentX += letterWidth;
+  /**
+   * Split characters into lines, breaking at the last space or word start that fits
+   * Word starts let scripts written without spaces (e.g. Japanese) wrap too.
+   * @param {string[]} chars - Graphemes of the text
+   * @param {function(number, number): number} measure - Width of chars[start, end)
+   * @param {number} maxWidth - Wrap width
+   * @returns {LineData[]} Lines (y and width are filled in by init)
+   * @private
+   */
+  _wrapLines(chars, measure, maxWidth) {
+    const wordStarts = getWordStarts(chars);
+    const lines = [];
+    let start = 0;
+    let breakEnd = -1;  // Where the current line ends if we break
+    let breakStart = -1; // Where the next line starts if we break
+
+    for (let i = 0; i < chars.length; i++) {
+      if (isLineBreak(chars[i])) {
+        lines.push({ start, end: i, y: 0, width: 0 });
+        start = i + 1;
+        breakEnd = -1;
+      } else if (isWhitespace(chars[i])) {
+        breakEnd = i;
+        breakStart = i + 1;
+      } else {
+        if (wordStarts.has(i) && i > start && !isWhitespace(chars[i - 1])) {
+          breakEnd = i;
+          breakStart = i;
+        }
+
+        if (breakEnd > start && measure(start, i + 1) > maxWidth) {
+          lines.push({ start, end: breakEnd, y: 0, width: 0 });
+          start = breakStart;
+          breakEnd = -1;
+        }
+      }
     }
 
-    // Calculate total text width and center offset
-    const totalWidth = currentX;
-    const offsetX = (width - totalWidth) / 2;
+    lines.push({ start, end: chars.length, y: 0, width: 0 });
+    return lines;
+  }
 
-    // Apply offset to center all letters
-    for (const letter of this.letters) {
-      letter.x += offsetX;
+  /**
+   * Read tight ink extents from TextMetrics, estimating from the em box where
+   * actualBoundingBox* is unavailable
+   * @param {TextMetrics} metrics - Metrics of a single character
+   * @returns {GlyphInk}
+   * @private
+   */
+  _measureInk(metrics) {
+    if (metrics.actualBoundingBoxAscent === undefined) {
+      return {
+        left: metrics.width / 2,
+        right: metrics.width / 2,
+        ascent: this.fontSize * 0.4,
+        descent: this.fontSize * 0.4
+      };
     }
 
-    // Store center Y for drawing
-    this.centerY = height / 2;
+    return {
+      left: metrics.actualBoundingBoxLeft,
+      right: metrics.actualBoundingBoxRight,
+      ascent: metrics.actualBoundingBoxAscent,
+      descent: metrics.actualBoundingBoxDescent
+    };
+  }
 
-    // Mark as initialized
-    this._initialized = true;
+  /**
+   * Fill one letter: its outline path if available, otherwise fillText
+   * Expects the font, alignment and fill style to be set.
+   * @param {CanvasRenderingContext2D} ctx - Canvas 2D rendering context
+   * @param {LetterData} letter - Letter to fill
+   * @private
+   */
+  _fillLetter(ctx, letter) {
+    if (letter.path) {
+      ctx.fill(letter.path);
+    } else {
+      ctx.fillText(letter.char, letter.x, letter.y);
+    }
   }
 
   /**
    * Draw a single letter as a filled shape (for masking).
-   * Uses ctx.fillText with the letter at its calculated position.
+   * Fills the glyph outline when an outline source is set, else uses ctx.fillText.
    *
    * @param {CanvasRenderingContext2D} ctx - Canvas 2D rendering context
    * @param {number} index - Letter index (0-based)
@@ -202,7 +407,7 @@ export class LetterMaskGenerator {
     ctx.fillStyle = '#fff'; // White for mask
 
     // Draw the letter at its position
-    ctx.fillText(letter.char, letter.x, this.centerY);
+    this._fillLetter(ctx, letter);
   }
 
   /**
@@ -227,7 +432,7 @@ export class LetterMaskGenerator {
         continue;
       }
 
-      ctx.fillText(letter.char, letter.x, this.centerY);
+      this._fillLetter(ctx, letter);
     }
   }
 
@@ -246,12 +451,13 @@ export class LetterMaskGenerator {
     const letter = this.letters[index];
     return {
       x: letter.x,
-      y: this.centerY
+      y: letter.y
     };
   }
 
   /**
    * Get the bounding box of a letter.
+   * Tight ink bounds from TextMetrics; spaces (no ink) get their advance box.
    * Useful for collision detection and morph calculations.
    *
    * @param {number} index - Letter index (0-based)
@@ -263,14 +469,152 @@ export class LetterMaskGenerator {
     }
 
     const letter = this.letters[index];
+
+    if (letter.isSpace) {
+      return {
+        x: letter.x - letter.width / 2,
+        y: letter.y - this.fontSize * 0.4,
+        width: letter.width,
+        height: this.fontSize * 0.8
+      };
+    }
+
+    const { ink } = letter;
     return {
-      x: letter.x - letter.width / 2,
-      y: this.centerY - letter.height / 2,
-      width: letter.width,
-      height: letter.height
+      x: letter.x - ink.left,
+      y: letter.y - ink.ascent,
+      width: ink.left + ink.right,
+      height: ink.ascent + ink.descent
     };
   }
 
+  /**
+   * Sample a letter's outline into seed circles for the metaball morph.
+   * Rasterizes the glyph and places one seed per grid cell that is mostly ink,
+   * at the ink centroid, sized by how much of the cell is covered.
+   *
+   * @param {number} index - Letter index (0-based)
+   * @param {Object} [options]
+   * @param {number} [options.spacing] - Sampling grid size (default: fontSize * 0.15)
+   * @param {number} [options.maxSeeds=Infinity] - Seed cap; extra seeds are thinned evenly and the rest grown to compensate
+   * @returns {LetterSeed[]} Seeds (empty for spaces and invalid indices)
+   */
+  getLetterSeeds(index, options = {}) {
+    if (index < 0 || index >= this.letters.length) {
+      return [];
+    }
+
+    const letter = this.letters[index];
+    if (letter.isSpace) {
+      return [];
+    }
+
+    const spacing = Math.max(2, Math.round(options.spacing ?? this.fontSize * 0.15));
+    const maxSeeds = options.maxSeeds ?? Infinity;
+
+    // Rasterize the glyph centered in a padded scratch canvas
+    const width = Math.ceil(Math.max(letter.ink.left, letter.ink.right, letter.width / 2) * 2) + spacing * 2;
+    const height = Math.ceil(this.fontSize * 1.5);
+    const ctx = this._getSampleContext(width, height);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = `${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.save();
+    ctx.translate(width / 2 - letter.x, height / 2 - letter.y);
+    this._fillLetter(ctx, letter);
+    ctx.restore();
+
+    const data = ctx.getImageData(0, 0, width, height).data;
+    const originX = letter.x - width / 2;
+    const originY = letter.y - height / 2;
+
+    let seeds = [];
+    for (let cy = 0; cy < height; cy += spacing) {
+      for (let cx = 0; cx < width; cx += spacing) {
+        let ink = 0;
+        let sumX = 0;
+        let sumY = 0;
+        let pixels = 0;
+
+        for (let y = cy; y < Math.min(cy + spacing, height); y++) {
+          for (let x = cx; x < Math.min(cx + spacing, width); x++) {
+            const alpha = data[(y * width + x) * 4 + 3] / 255;
+            ink += alpha;
+            sumX += (x + 0.5) * alpha;
+            sumY += (y + 0.5) * alpha;
+            pixels++;
+          }
+        }
+
+        const coverage = ink / pixels;
+        if (coverage < 0.3) continue;
+
+        seeds.push({
+          x: originX + sumX / ink,
+          y: originY + sumY / ink,
+          radius: spacing * 0.5 * Math.sqrt(coverage)
+        });
+      }
+    }
+
+    // Thin evenly, keeping the total seed area
+    if (seeds.length > maxSeeds) {
+      const grow = Math.sqrt(seeds.length / maxSeeds);
+      const step = seeds.length / maxSeeds;
+      seeds = Array.from({ length: maxSeeds }, (_, i) => {
+        const seed = seeds[Math.floor(i * step)];
+        return { ...seed, radius: seed.radius * grow };
+      });
+    }
+
+    return seeds;
+  }
+
+  /**
+   * Sample points evenly along a letter's glyph contours (outline source only)
+   *
+   * @param {number} index - Letter index (0-based)
+   * @param {Object} [options] - See sampleContours in glyph-outlines.js
+   * @param {number} [options.spacing] - Distance between samples (default: fontSize * 0.05)
+   * @param {number} [options.count] - Total samples (overrides spacing)
+   * @returns {import('./glyph-outlines.js').ContourPoint[]} Points (empty without outlines, for spaces and invalid indices)
+   */
+  getLetterOutlinePoints(index, options = {}) {
+    const letter = this.letters[index];
+    if (!letter || !letter.outline) {
+      return [];
+    }
+
+    return sampleContours(letter.outline, {
+      spacing: this.fontSize * 0.05,
+      ...options
+    });
+  }
+
+  /**
+   * Get the scratch context used for glyph sampling, sized to at least width x height
+   * @param {number} width - Required width in pixels
+   * @param {number} height - Required height in pixels
+   * @returns {CanvasRenderingContext2D}
+   * @private
+   */
+  _getSampleContext(width, height) {
+    if (!this._sampleCtx) {
+      const canvas = document.createElement('canvas');
+      this._sampleCtx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    const canvas = this._sampleCtx.canvas;
+    if (canvas.width < width || canvas.height < height) {
+      canvas.width = Math.max(canvas.width, width);
+      canvas.height = Math.max(canvas.height, height);
+    }
+
+    return this._sampleCtx;
+  }
+
   /**
    * Get all letter data for external use.
    * Useful for debugging or advanced animations.
@@ -296,6 +640,7 @@ export class LetterMaskGenerator {
    */
   reset() {
     this.letters = [];
+    this.lines = [];
     this._revealedCount = 0;
     this._initialized = false;
   }
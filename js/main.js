@@ -251,7 +251,9 @@ function init() {
       containerSelector: '#hero-video-text',
       playbackRate: 0.5,
       lerpFactor: 0.4,
-      sampleColor: true
+      sampleColor: true,
+      // Touch screens have no hover, so let a searchlight sweep the letters
+      brightnessMode: window.matchMedia('(pointer: coarse)').matches ? 'searchlight' : 'pointer'
     });
   }
 }
@@ -0,0 +1,264 @@
+import { COMPACT_SUPPORT, GAUSSIAN_SHARPNESS } from './metaball-physics.js';
+import { isWebGL2Supported, createWebGL2Context, createFullscreenProgram, releaseContext } from './webgl-support.js';
+
+/**
+ * Metaball Mask Renderers
+ *
+ * Turn a MetaballPhysics simulation into an alpha mask for compositing
+ * (draw with globalCompositeOperation = 'destination-in'):
+ * - WebGLMetaballMask: evaluates the field per pixel in a WebGL2 fragment shader
+ * - CanvasMetaballMask: fills the CPU-traced contours (fallback)
+ *
+ * Both share one interface, so callers can swap renderers at runtime:
+ *   mask.drawMask(ctx, width, height) → false if the renderer can no longer draw
+ *   mask.destroy()
+ *
+ * @see typewriter-metaball.js (integration point)
+ */
+
+// Most blobs (including anti-blobs) passed to the shader; extra blobs are ignored
+const MAX_GPU_BLOBS = 64;
+
+// Shader ids for MetaballPhysics kernel names
+const KERNEL_IDS = {
+  'inverse-square': 0,
+  wyvill: 1,
+  polynomial: 2,
+  gaussian: 3
+};
+
+// Same kernels and normalization as MetaballPhysics.calculateField
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+
+#define MAX_BLOBS ${MAX_GPU_BLOBS}
+#define SUPPORT_SQ ${(COMPACT_SUPPORT * COMPACT_SUPPORT).toFixed(1)}
+#define SHARPNESS ${GAUSSIAN_SHARPNESS.toFixed(1)}
+
+uniform vec4 u_blobs[MAX_BLOBS];   // x, y, radius^2, weight
+uniform vec2 u_stretch[MAX_BLOBS];
+uniform int u_count;
+uniform int u_kernel;
+uniform float u_threshold;
+uniform float u_pixelRatio;
+uniform float u_height;            // Canvas height in device pixels
+
+out vec4 outColor;
+
+float wyvill(float q) {
+  return 1.0 + q * (-22.0 / 9.0 + q * (17.0 / 9.0 - q * 4.0 / 9.0));
+}
+
+float polynomial(float q) {
+  return (1.0 - q) * (1.0 - q);
+}
+
+float kernel(float distSq, float rSq) {
+  if (u_kernel == 0) return distSq < 0.0001 ? 1000.0 : rSq / distSq;
+  if (u_kernel == 3) return exp(-SHARPNESS * (distSq / rSq - 1.0));
+
+  float q = distSq / (rSq * SUPPORT_SQ);
+  if (q >= 1.0) return 0.0;
+
+  float atRadius = 1.0 / SUPPORT_SQ;
+  return u_kernel == 1 ? wyvill(q) / wyvill(atRadius) : polynomial(q) / polynomial(atRadius);
+}
+
+void main() {
+  // Physics coordinates (CSS pixels, y down)
+  vec2 p = vec2(gl_FragCoord.x, u_height - gl_FragCoord.y) / u_pixelRatio;
+
+  float sum = 0.0;
+  for (int i = 0; i < MAX_BLOBS; i++) {
+    if (i >= u_count) break;
+    vec2 d = (p - u_blobs[i].xy) / u_stretch[i];
+    sum += u_blobs[i].w * kernel(dot(d, d), u_blobs[i].z);
+  }
+
+  // Anti-aliased edge about one pixel wide
+  float aa = max(fwidth(sum) * 0.5, 1e-4);
+  float alpha = smoothstep(u_threshold - aa, u_threshold + aa, sum);
+
+  // Premultiplied white
+  outColor = vec4(alpha);
+}`;
+
+/**
+ * CPU mask: fills the traced, smoothed contours of the field
+ */
+export class CanvasMetaballMask {
+  /**
+   * @param {import('./metaball-physics.js').MetaballPhysics} physics - Simulation to draw
+   * @param {Object} [options]
+   * @param {string} [options.smoothing='catmull-rom'] - Contour smoothing (see getContourPath)
+   */
+  constructor(physics, options = {}) {
+    this.type = 'canvas';
+    this.physics = physics;
+    this.smoothing = options.smoothing ?? 'catmull-rom';
+  }
+
+  /**
+   * Draw the mask into a 2D context
+   * @param {CanvasRenderingContext2D} ctx - Target context (in physics coordinates)
+   * @returns {boolean} Always true
+   */
+  drawMask(ctx) {
+    ctx.fillStyle = '#fff';
+    ctx.fill(this.physics.getContourPath({ smoothing: this.smoothing }), 'evenodd');
+    return true;
+  }
+
+  destroy() {
+    this.physics = null;
+  }
+}
+
+/**
+ * GPU mask: evaluates the metaball field per pixel in a WebGL2 shader
+ */
+export class WebGLMetaballMask {
+  /**
+   * Check for WebGL2 support (probed once, then cached)
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return isWebGL2Supported();
+  }
+
+  /**
+   * @param {import('./metaball-physics.js').MetaballPhysics} physics - Simulation to draw
+   * @param {Object} [options]
+   * @param {number} [options.pixelRatio] - Mask resolution multiplier (default: devicePixelRatio, max 2)
+   * @param {HTMLCanvasElement} [options.canvas] - Canvas to render into (default: a new detached one)
+   */
+  constructor(physics, options = {}) {
+    this.type = 'webgl';
+    this.physics = physics;
+    this.pixelRatio = options.pixelRatio ?? Math.min(window.devicePixelRatio || 1, 2);
+    this.canvas = options.canvas || document.createElement('canvas');
+    this.lost = false;
+
+    this.gl = createWebGL2Context(this.canvas);
+
+    // Let callers fall back to the CPU mask if the GPU resets
+    this._onContextLost = (e) => {
+      e.preventDefault();
+      this.lost = true;
+    };
+    this.canvas.addEventListener('webglcontextlost', this._onContextLost);
+
+    this._setupProgram();
+
+    // Uniform upload buffers
+    this._blobData = new Float32Array(MAX_GPU_BLOBS * 4);
+    this._stretchData = new Float32Array(MAX_GPU_BLOBS * 2);
+  }
+
+  /**
+   * Compile and link the mask program, caching uniform locations
+   * @private
+   */
+  _setupProgram() {
+    const gl = this.gl;
+    this.program = createFullscreenProgram(gl, FRAGMENT_SHADER, 'Metaball');
+
+    this.uniforms = {};
+    for (const name of ['u_blobs', 'u_stretch', 'u_count', 'u_kernel', 'u_threshold', 'u_pixelRatio', 'u_height']) {
+      this.uniforms[name] = gl.getUniformLocation(this.program, name);
+    }
+
+    this.vao = gl.createVertexArray();
+  }
+
+  /**
+   * Render the field into the mask canvas
+   * @param {number} width - Mask width in physics units (CSS pixels)
+   * @param {number} height - Mask height in physics units
+   */
+  render(width, height) {
+    const gl = this.gl;
+    const pixelWidth = Math.max(1, Math.round(width * this.pixelRatio));
+    const pixelHeight = Math.max(1, Math.round(height * this.pixelRatio));
+
+    if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+      this.canvas.width = pixelWidth;
+      this.canvas.height = pixelHeight;
+    }
+
+    // Pack blobs at their interpolated positions
+    const physics = this.physics;
+    const blobs = physics.getBlobs();
+    const count = Math.min(blobs.length, MAX_GPU_BLOBS);
+
+    for (let i = 0; i < count; i++) {
+      const blob = blobs[i];
+      const { x, y } = physics.getRenderPosition(blob);
+      this._blobData.set([x, y, blob.radius * blob.radius, blob.weight ?? 1], i * 4);
+      this._stretchData.set([blob.stretchX, blob.stretchY], i * 2);
+    }
+
+    gl.viewport(0, 0, pixelWidth, pixelHeight);
+    gl.useProgram(this.program);
+    gl.bindVertexArray(this.vao);
+
+    gl.uniform4fv(this.uniforms.u_blobs, this._blobData);
+    gl.uniform2fv(this.uniforms.u_stretch, this._stretchData);
+    gl.uniform1i(this.uniforms.u_count, count);
+    gl.uniform1i(this.uniforms.u_kernel, KERNEL_IDS[physics.kernel] ?? 0);
+    gl.uniform1f(this.uniforms.u_threshold, physics.threshold);
+    gl.uniform1f(this.uniforms.u_pixelRatio, this.pixelRatio);
+    gl.uniform1f(this.uniforms.u_height, pixelHeight);
+
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+  }
+
+  /**
+   * Render and draw the mask into a 2D context
+   * @param {CanvasRenderingContext2D} ctx - Target context (in physics coordinates)
+   * @param {number} width - Area width in physics units
+   * @param {number} height - Area height in physics units
+   * @returns {boolean} False once the WebGL context is lost
+   */
+  drawMask(ctx, width, height) {
+    if (this.lost || this.gl.isContextLost()) {
+      this.lost = true;
+      return false;
+    }
+
+    this.render(width, height);
+    ctx.drawImage(this.canvas, 0, 0, width, height);
+    return true;
+  }
+
+  destroy() {
+    this.canvas.removeEventListener('webglcontextlost', this._onContextLost);
+
+    if (!this.lost) {
+      this.gl.deleteProgram(this.program);
+      this.gl.deleteVertexArray(this.vao);
+      releaseContext(this.gl);
+    }
+
+    this.physics = null;
+  }
+}
+
+/**
+ * Create a mask renderer, preferring the GPU when available
+ * @param {import('./metaball-physics.js').MetaballPhysics} physics - Simulation to draw
+ * @param {'auto'|'webgl'|'canvas'} [type='auto'] - Requested renderer
+ * @param {Object} [options] - Renderer options
+ * @returns {CanvasMetaballMask|WebGLMetaballMask}
+ */
+export function createMetaballMask(physics, type = 'auto', options = {}) {
+  if (type !== 'canvas' && WebGLMetaballMask.isSupported()) {
+    try {
+      return new WebGLMetaballMask(physics, options);
+    } catch (err) {
+      console.warn('[MetaballMask] WebGL mask unavailable, using canvas:', err);
+    }
+  }
+
+  return new CanvasMetaballMask(physics, options);
+}
@@ -2,7 +2,7 @@
  * MetaballPhysics - Organic blob physics engine with marching squares
  *
  * Creates fluid, organic blob behavior for the hero video reveal:
- * - Spring physics for cursor following
+ * - Spring physics for cursor following (one primary blob per active pointer)
  * - Velocity-based stretching and splitting
  * - Blob merging when close together
  * - Marching squares boundary extraction for smooth masks
@@ -15,23 +15,135 @@
 // Values indicate which edges to connect (0=top, 1=right, 2=bottom, 3=left)
 const MARCHING_SQUARES_EDGES = [
   [],              // 0: 0000 - all outside
-  [[3, 0]],        // 1: 0001 - bottom-left inside
-  [[2, 3]],        // 2: 0010 - bottom-right inside
-  [[2, 0]],        // 3: 0011 - bottom inside
-  [[1, 2]],        // 4: 0100 - top-right inside
-  [[3, 0], [1, 2]], // 5: 0101 - diagonal BL-TR (saddle)
-  [[1, 3]],        // 6: 0110 - right inside
-  [[1, 0]],        // 7: 0111 - all but top-left
-  [[0, 1]],        // 8: 1000 - top-left inside
-  [[3, 1]],        // 9: 1001 - left inside
-  [[0, 1], [2, 3]], // 10: 1010 - diagonal TL-BR (saddle)
-  [[2, 1]],        // 11: 1011 - all but top-right
-  [[0, 2]],        // 12: 1100 - top inside
-  [[3, 2]],        // 13: 1101 - all but bottom-right
-  [[0, 3]],        // 14: 1110 - all but bottom-left
+  [[3, 2]],        // 1: 0001 - bottom-left inside
+  [[2, 1]],        // 2: 0010 - bottom-right inside
+  [[3, 1]],        // 3: 0011 - bottom inside
+  [[0, 1]],        // 4: 0100 - top-right inside
+  [[0, 1], [3, 2]], // 5: 0101 - diagonal BL-TR (saddle)
+  [[0, 2]],        // 6: 0110 - right inside
+  [[3, 0]],        // 7: 0111 - all but top-left
+  [[3, 0]],        // 8: 1000 - top-left inside
+  [[0, 2]],        // 9: 1001 - left inside
+  [[3, 0], [1, 2]], // 10: 1010 - diagonal TL-BR (saddle)
+  [[0, 1]],        // 11: 1011 - all but top-right
+  [[3, 1]],        // 12: 1100 - top inside
+  [[1, 2]],        // 13: 1101 - all but bottom-right
+  [[3, 2]],        // 14: 1110 - all but bottom-left
   []               // 15: 1111 - all inside
 ];
 
+// Safety margin on influence radii so float32 rounding near the cut-off
+// can never flip a grid point that the full evaluation would count as inside
+const INFLUENCE_MARGIN = 1.01;
+
+// === FALLOFF KERNELS ===
+// value(distSq, rSq) is normalized to 1 at the blob radius, so a lone blob's
+// surface sits at its radius for threshold 1 whatever the kernel.
+// influenceSq(rSq, limit) is the squared distance beyond which value < limit.
+
+// Compact kernels reach zero at this multiple of the radius
+export const COMPACT_SUPPORT = 2;
+
+// Gaussian falloff steepness (center value is e^sharpness)
+export const GAUSSIAN_SHARPNESS = 2;
+
+// touch-action for elements that feed touch pointers to setPointer(). Blob
+// effects cover whole sections, so vertical page scroll must keep working over
+// them: a vertical drag scrolls and ends in pointercancel, releasing its blob,
+// while taps, holds and sideways drags keep theirs ('none' would keep every
+// drag but trap the page)
+export const POINTER_TOUCH_ACTION = 'pan-y';
+
+/**
+ * Build a compact-support kernel from a profile f(q), q = d² / support²
+ * @param {function(number): number} profile - Falloff with f(0) = 1, f(1) = 0
+ * @returns {{value: Function, influenceSq: Function}} Kernel
+ */
+function compactKernel(profile) {
+  const supportSq = COMPACT_SUPPORT * COMPACT_SUPPORT;
+  const norm = profile(1 / supportSq);
+
+  return {
+    value: (distSq, rSq) => {
+      const q = distSq / (rSq * supportSq);
+      return q >= 1 ? 0 : profile(q) / norm;
+    },
+    influenceSq: (rSq) => rSq * supportSq
+  };
+}
+
+const KERNELS = {
+  // Classic r² / d² (infinite support)
+  'inverse-square': {
+    value: (distSq, rSq) => (distSq < 0.0001 ? 1000 : rSq / distSq),
+    influenceSq: (rSq, limit) => rSq / limit
+  },
+  // Wyvill brothers' "soft objects" polynomial
+  wyvill: compactKernel(q => 1 + q * (-22 / 9 + q * (17 / 9 - q * 4 / 9))),
+  // (1 - q)², the cheapest smooth compact falloff
+  polynomial: compactKernel(q => (1 - q) * (1 - q)),
+  // Blinn-style exponential (infinite support)
+  gaussian: {
+    value: (distSq, rSq) => Math.exp(-GAUSSIAN_SHARPNESS * (distSq / rSq - 1)),
+    influenceSq: (rSq, limit) => rSq * Math.max(0, 1 - Math.log(limit) / GAUSSIAN_SHARPNESS)
+  }
+};
+
+/**
+ * Whether a blob is a static, hole-carving anti-blob
+ * @param {Blob} blob - Blob to test
+ * @returns {boolean}
+ */
+function isAntiBlob(blob) {
+  return (blob.weight ?? 1) < 0;
+}
+
+// Snapshot format version for toJSON() / fromJSON()
+const STATE_VERSION = 1;
+
+// Constructor options captured in snapshots
+const CONFIG_KEYS = [
+  'threshold', 'gridResolution', 'maxBlobs', 'baseRadius', 'springK', 'damping',
+  'splitThreshold', 'mergeDistance', 'breathAmplitude', 'breathSpeed',
+  'refinement', 'timestep', 'maxSubsteps', 'splitCooldown', 'kernel'
+];
+
+// Rounding tolerance when draining the timestep accumulator (ms)
+const STEP_EPSILON = 1e-6;
+
+// Supported addForce() types
+const FORCE_TYPES = ['attractor', 'repulsor', 'vortex', 'gravity', 'bounds'];
+
+// Grid point states for lazy field sampling
+const POINT_UNKNOWN = 0;
+const POINT_CULLED = 1;
+const POINT_ACTIVE = 2;
+
+/**
+ * Chaikin corner cutting for a closed polyline
+ * @param {Array<{x: number, y: number}>} points - Closed polyline
+ * @param {number} iterations - Number of passes
+ * @returns {Array<{x: number, y: number}>} Smoothed polyline
+ */
+function chaikinSmooth(points, iterations) {
+  let current = points;
+
+  for (let pass = 0; pass < iterations; pass++) {
+    const next = [];
+    for (let i = 0; i < current.length; i++) {
+      const a = current[i];
+      const b = current[(i + 1) % current.length];
+      next.push(
+        { x: a.x * 0.75 + b.x * 0.25, y: a.y * 0.75 + b.y * 0.25 },
+        { x: a.x * 0.25 + b.x * 0.75, y: a.y * 0.25 + b.y * 0.75 }
+      );
+    }
+    current = next;
+  }
+
+  return current;
+}
+
 /**
  * Blob data structure
  * @typedef {Object} Blob
@@ -44,6 +156,29 @@ const MARCHING_SQUARES_EDGES = [
  * @property {number} stretchY - Vertical stretch factor
  * @property {boolean} isPrimary - Whether this is the main blob
  * @property {number} life - Life remaining (0-1, for secondary blobs)
+ * @property {number} px - X position at the previous fixed step (for interpolation)
+ * @property {number} py - Y position at the previous fixed step (for interpolation)
+ * @property {number|null} pointerId - Pointer driving this primary blob (null: follows update()'s mouse)
+ * @property {number} weight - Field multiplier; negative weights make static "anti-blobs" that carve holes
+ */
+
+/**
+ * Force field acting on blobs (see MetaballPhysics.addForce)
+ * @typedef {Object} Force
+ * @property {'attractor'|'repulsor'|'vortex'|'gravity'|'bounds'} type - Force type
+ * @property {number} [x] - Center X (attractor / repulsor / vortex)
+ * @property {number} [y] - Center Y (attractor / repulsor / vortex)
+ * @property {function(): {x: number, y: number}} [position] - Live center, read every update
+ * @property {number} [strength=0.5] - Acceleration in px/frame² (negative vortex spins the other way)
+ * @property {number} [radius=Infinity] - Range, with linear falloff to zero at the edge
+ * @property {number} [ax=0] - Gravity X acceleration
+ * @property {number} [ay=0] - Gravity Y acceleration
+ * @property {number} [left=0] - Bounds left edge
+ * @property {number} [top=0] - Bounds top edge
+ * @property {number} [right] - Bounds right edge (default: simulation width)
+ * @property {number} [bottom] - Bounds bottom edge (default: simulation height)
+ * @property {number} [restitution=0.6] - Bounds velocity kept after a bounce
+ * @property {'all'|'primary'|'secondary'} [affects='all'] - Which blobs the force acts on
  */
 
 /**
@@ -63,6 +198,10 @@ export class MetaballPhysics {
    * @param {number} [options.mergeDistance=0.8] - Distance (as radius multiple) for merging
    * @param {number} [options.breathAmplitude=0.03] - Idle breathing amplitude
    * @param {number} [options.breathSpeed=0.002] - Idle breathing speed
+   * @param {number} [options.refinement=0] - Subdivision levels for cells crossing the surface
+   * @param {number} [options.timestep=1000/60] - Fixed simulation step in milliseconds
+   * @param {number} [options.maxSubsteps=5] - Most steps run per update (excess time is dropped)
+   * @param {'inverse-square'|'wyvill'|'polynomial'|'gaussian'} [options.kernel='inverse-square'] - Field falloff
    */
   constructor(options = {}) {
     this.threshold = options.threshold ?? 1.0;
@@ -75,14 +214,41 @@ export class MetaballPhysics {
     this.mergeDistance = options.mergeDistance ?? 0.8;
     this.breathAmplitude = options.breathAmplitude ?? 0.03;
     this.breathSpeed = options.breathSpeed ?? 0.002;
+    this.refinement = options.refinement ?? 0;
+    this.timestep = options.timestep ?? 1000 / 60;
+    this.maxSubsteps = options.maxSubsteps ?? 5;
+    this.kernel = options.kernel ?? 'inverse-square';
+
+    if (!KERNELS[this.kernel]) {
+      throw new Error(`Unknown metaball kernel: ${this.kernel}`);
+    }
 
     /** @type {Blob[]} */
     this.blobs = [];
     this.width = 0;
     this.height = 0;
     this.breathPhase = 0;
-    this.lastSplitTime = 0;
+    this.lastSplitTime = -Infinity;
     this.splitCooldown = 300; // ms between splits
+
+    // Fixed-timestep clock: simulated time replaces wall time, so the
+    // simulation is deterministic for a given sequence of update() calls
+    this.time = 0;
+    this.accumulator = 0;
+    this.alpha = 0; // Interpolation between the last two steps (0-1)
+
+    /** @type {Force[]} */
+    this.forces = [];
+
+    /** @type {Map<number, {x: number, y: number}>} Active pointers by pointerId */
+    this.pointers = new Map();
+
+    // Input recording (see startRecording)
+    this._recording = null;
+
+    // Reused marching squares buffers (reallocated only when the grid grows)
+    this._gridField = null;
+    this._gridState = null;
   }
 
   /**
@@ -105,9 +271,10 @@ export class MetaballPhysics {
    * @param {number} y - Y position
    * @param {number} radius - Blob radius
    * @param {boolean} [isPrimary=false] - Whether this is the primary blob
+   * @param {number} [weight=1] - Field multiplier (negative: anti-blob, see addAntiBlob)
    * @returns {Blob} The created blob
    */
-  addBlob(x, y, radius, isPrimary = false) {
+  addBlob(x, y, radius, isPrimary = false, weight = 1) {
     const blob = {
       x,
       y,
@@ -117,41 +284,84 @@ export class MetaballPhysics {
       stretchX: 1,
       stretchY: 1,
       isPrimary,
-      life: 1.0
+      life: 1.0,
+      px: x,
+      py: y,
+      pointerId: null,
+      weight
     };
     this.blobs.push(blob);
     return blob;
   }
 
+  /**
+   * Add a static anti-blob that subtracts from the field, punching a hole
+   * Anti-blobs are not moved, merged or decayed by the simulation and do not
+   * count toward maxBlobs.
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} radius - Radius of the carved region
+   * @param {number} [weight=-1] - Negative field multiplier (larger magnitude carves deeper)
+   * @returns {Blob} The created anti-blob
+   */
+  addAntiBlob(x, y, radius, weight = -1) {
+    return this.addBlob(x, y, radius, false, -Math.abs(weight));
+  }
+
+  /**
+   * Remove all anti-blobs
+   */
+  clearAntiBlobs() {
+    this.blobs = this.blobs.filter(b => !isAntiBlob(b));
+  }
+
+  /**
+   * Number of blobs counted against maxBlobs (anti-blobs excluded)
+   * @returns {number}
+   */
+  _getBlobCount() {
+    return this.blobs.reduce((count, b) => count + (isAntiBlob(b) ? 0 : 1), 0);
+  }
+
   /**
    * Calculate the metaball field value at a point
-   * Uses the classic r^2/d^2 formula for smooth blending
+   * Sums each blob's weighted kernel (classic r^2/d^2 by default)
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @returns {number} Field strength at the point
    */
   calculateField(x, y) {
     let sum = 0;
+    const alpha = this.alpha;
+    const kernel = KERNELS[this.kernel].value;
 
     for (const blob of this.blobs) {
+      // Render between the last two fixed steps
+      const bx = blob.px + (blob.x - blob.px) * alpha;
+      const by = blob.py + (blob.y - blob.py) * alpha;
+
       // Apply stretch factors for elongated shapes
-      const dx = (x - blob.x) / blob.stretchX;
-      const dy = (y - blob.y) / blob.stretchY;
-      const distSq = dx * dx + dy * dy;
+      const dx = (x - bx) / blob.stretchX;
+      const dy = (y - by) / blob.stretchY;
 
-      // Avoid division by zero
-      if (distSq < 0.0001) {
-        sum += 1000; // Effectively inside
-      } else {
-        // Classic metaball formula: r^2 / d^2
-        const rSq = blob.radius * blob.radius;
-        sum += rSq / distSq;
-      }
+      sum += (blob.weight ?? 1) * kernel(dx * dx + dy * dy, blob.radius * blob.radius);
     }
 
     return sum;
   }
 
+  /**
+   * Get a blob's interpolated position for rendering
+   * @param {Blob} blob - Blob to position
+   * @returns {{x: number, y: number}} Position between the last two fixed steps
+   */
+  getRenderPosition(blob) {
+    return {
+      x: blob.px + (blob.x - blob.px) * this.alpha,
+      y: blob.py + (blob.y - blob.py) * this.alpha
+    };
+  }
+
   /**
    * Check if a point is inside the metaball surface
    * @param {number} x - X coordinate
@@ -162,62 +372,237 @@ export class MetaballPhysics {
     return this.calculateField(x, y) >= this.threshold;
   }
 
+  /**
+   * Get conservative influence circles for field culling
+   * Outside every circle each of the n positive blobs contributes less than
+   * threshold / n (anti-blobs only lower the sum), so the summed field is
+   * guaranteed to stay below the threshold there.
+   * @returns {{x: number, y: number, radiusSq: number}[]|null} Circles, or null if nothing can be culled
+   */
+  getInfluenceRegions() {
+    if (this.threshold <= 0) return null;
+
+    const { influenceSq } = KERNELS[this.kernel];
+    const sources = this.blobs.filter(b => (b.weight ?? 1) > 0);
+
+    return sources.map(blob => {
+      const stretch = Math.max(blob.stretchX, blob.stretchY);
+      const limit = this.threshold / (sources.length * (blob.weight ?? 1));
+      const radiusSq = influenceSq(blob.radius * blob.radius, limit) * stretch * stretch;
+      return { ...this.getRenderPosition(blob), radiusSq: radiusSq * INFLUENCE_MARGIN };
+    });
+  }
+
+  /**
+   * Check whether a point lies inside any influence region
+   * @param {Array|null} regions - Regions from getInfluenceRegions()
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} False only if the point is guaranteed to be outside the surface
+   */
+  isInInfluenceRegion(regions, x, y) {
+    if (!regions) return true;
+
+    for (const region of regions) {
+      const dx = x - region.x;
+      const dy = y - region.y;
+      if (dx * dx + dy * dy <= region.radiusSq) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get cleared field / state buffers for a grid of the given size
+   * @param {number} size - Number of grid points
+   * @returns {{field: Float32Array, state: Uint8Array}} Buffers
+   */
+  _getGridBuffers(size) {
+    if (!this._gridField || this._gridField.length < size) {
+      this._gridField = new Float32Array(size);
+      this._gridState = new Uint8Array(size);
+    } else {
+      this._gridState.fill(POINT_UNKNOWN, 0, size);
+    }
+
+    return { field: this._gridField, state: this._gridState };
+  }
+
   /**
    * Extract the metaball boundary using marching squares
    * @returns {Path2D} Path representing the metaball boundary
    */
   getMaskPath() {
     const path = new Path2D();
+
+    this._marchSquares((p1, p2) => {
+      path.moveTo(p1.x, p1.y);
+      path.lineTo(p2.x, p2.y);
+    });
+
+    return path;
+  }
+
+  /**
+   * Walk the marching squares grid and emit every boundary segment
+   *
+   * Only cells near the blobs are visited, and the field is sampled lazily:
+   * grid points outside every influence region are classified as outside
+   * without evaluating the field, and each corner is computed once and
+   * shared by the (up to) four cells around it.
+   * @param {function({x: number, y: number}, {x: number, y: number}): void} emit - Segment callback
+   * @param {boolean} [pad=false] - Add a ring of empty cells around the grid so every contour closes
+   */
+  _marchSquares(emit, pad = false) {
     const res = this.gridResolution;
     const cols = Math.ceil(this.width / res) + 1;
     const rows = Math.ceil(this.height / res) + 1;
-
-    // Pre-compute field values at grid points
-    const field = new Float32Array(cols * rows);
-    for (let j = 0; j < rows; j++) {
-      for (let i = 0; i < cols; i++) {
-        const x = i * res;
-        const y = j * res;
-        field[j * cols + i] = this.calculateField(x, y);
+    const regions = this.getInfluenceRegions();
+    const edge = pad ? 1 : 0;
+
+    // Restrict the walk to cells touching the influence regions
+    let iMin = -edge, jMin = -edge;
+    let iMax = cols - 2 + edge, jMax = rows - 2 + edge;
+
+    if (regions) {
+      let minX = Infinity, minY = Infinity;
+      let maxX = -Infinity, maxY = -Infinity;
+
+      for (const region of regions) {
+        const r = Math.sqrt(region.radiusSq);
+        minX = Math.min(minX, region.x - r);
+        minY = Math.min(minY, region.y - r);
+        maxX = Math.max(maxX, region.x + r);
+        maxY = Math.max(maxY, region.y + r);
       }
+
+      iMin = Math.max(iMin, Math.floor(minX / res) - 1);
+      jMin = Math.max(jMin, Math.floor(minY / res) - 1);
+      iMax = Math.min(iMax, Math.ceil(maxX / res));
+      jMax = Math.min(jMax, Math.ceil(maxY / res));
     }
 
-    // Process each cell using marching squares
-    for (let j = 0; j < rows - 1; j++) {
-      for (let i = 0; i < cols - 1; i++) {
-        // Get field values at four corners (TL, TR, BR, BL)
-        const tl = field[j * cols + i];
-        const tr = field[j * cols + i + 1];
-        const br = field[(j + 1) * cols + i + 1];
-        const bl = field[(j + 1) * cols + i];
+    const { field, state } = this._getGridBuffers(cols * rows);
+    const inGrid = (i, j) => i >= 0 && j >= 0 && i < cols && j < rows;
+
+    // Field value at a grid point, computed on first use (padding is empty)
+    const sample = (i, j) => {
+      if (!inGrid(i, j)) return 0;
+
+      const k = j * cols + i;
+      if (state[k] !== POINT_ACTIVE) {
+        field[k] = this.calculateField(i * res, j * res);
+        state[k] = POINT_ACTIVE;
+      }
+      return field[k];
+    };
+
+    // Inside test that skips the field for culled points
+    const inside = (i, j) => {
+      if (!inGrid(i, j)) return false;
 
+      const k = j * cols + i;
+      if (state[k] === POINT_UNKNOWN &&
+          !this.isInInfluenceRegion(regions, i * res, j * res)) {
+        state[k] = POINT_CULLED;
+      }
+      return state[k] !== POINT_CULLED && sample(i, j) >= this.threshold;
+    };
+
+    // Fine samples for refined cells, empty outside the grid like sample()
+    const gridWidth = (cols - 1) * res;
+    const gridHeight = (rows - 1) * res;
+    const fieldAt = (x, y) => (x < 0 || y < 0 || x > gridWidth || y > gridHeight)
+      ? 0
+      : this.calculateField(x, y);
+
+    // Process each cell using marching squares
+    for (let j = jMin; j <= jMax; j++) {
+      for (let i = iMin; i <= iMax; i++) {
         // Compute cell index (4-bit binary: TL TR BR BL)
         const index =
-          (tl >= this.threshold ? 8 : 0) |
-          (tr >= this.threshold ? 4 : 0) |
-          (br >= this.threshold ? 2 : 0) |
-          (bl >= this.threshold ? 1 : 0);
+          (inside(i, j) ? 8 : 0) |
+          (inside(i + 1, j) ? 4 : 0) |
+          (inside(i + 1, j + 1) ? 2 : 0) |
+          (inside(i, j + 1) ? 1 : 0);
 
         // Skip empty cells
         if (index === 0 || index === 15) continue;
 
-        // Get edge connections for this configuration
-        const edges = MARCHING_SQUARES_EDGES[index];
         const x = i * res;
         const y = j * res;
 
-        // Draw each edge segment
-        for (const [e1, e2] of edges) {
-          const p1 = this.interpolateEdge(x, y, res, e1, tl, tr, br, bl);
-          const p2 = this.interpolateEdge(x, y, res, e2, tl, tr, br, bl);
-
-          path.moveTo(p1.x, p1.y);
-          path.lineTo(p2.x, p2.y);
+        if (this.refinement > 0) {
+          this._traceRefinedCell(emit, x, y, res, fieldAt);
+          continue;
         }
+
+        // Crossing cells need exact values at all four corners (TL, TR, BR, BL)
+        this._traceCell(emit, x, y, res, index,
+          sample(i, j), sample(i + 1, j), sample(i + 1, j + 1), sample(i, j + 1));
       }
     }
+  }
 
-    return path;
+  /**
+   * Emit the edge segments of a single marching squares cell
+   * @param {Function} emit - Segment callback
+   * @param {number} x - Cell X position
+   * @param {number} y - Cell Y position
+   * @param {number} size - Cell size
+   * @param {number} index - Cell configuration (0-15)
+   * @param {number} tl - Top-left field value
+   * @param {number} tr - Top-right field value
+   * @param {number} br - Bottom-right field value
+   * @param {number} bl - Bottom-left field value
+   */
+  _traceCell(emit, x, y, size, index, tl, tr, br, bl) {
+    for (const [e1, e2] of MARCHING_SQUARES_EDGES[index]) {
+      emit(
+        this.interpolateEdge(x, y, size, e1, tl, tr, br, bl),
+        this.interpolateEdge(x, y, size, e2, tl, tr, br, bl)
+      );
+    }
+  }
+
+  /**
+   * Subdivide a surface-crossing cell and trace it at the finer resolution
+   * @param {Function} emit - Segment callback
+   * @param {number} x - Cell X position
+   * @param {number} y - Cell Y position
+   * @param {number} res - Coarse cell size
+   * @param {function(number, number): number} fieldAt - Field sampler
+   */
+  _traceRefinedCell(emit, x, y, res, fieldAt) {
+    const steps = 1 << this.refinement;
+    const size = res / steps;
+
+    // Corner samples shared between neighbouring sub-cells
+    const field = new Float32Array((steps + 1) * (steps + 1));
+    for (let b = 0; b <= steps; b++) {
+      for (let a = 0; a <= steps; a++) {
+        field[b * (steps + 1) + a] = fieldAt(x + a * size, y + b * size);
+      }
+    }
+
+    for (let b = 0; b < steps; b++) {
+      for (let a = 0; a < steps; a++) {
+        const tl = field[b * (steps + 1) + a];
+        const tr = field[b * (steps + 1) + a + 1];
+        const br = field[(b + 1) * (steps + 1) + a + 1];
+        const bl = field[(b + 1) * (steps + 1) + a];
+
+        const index =
+          (tl >= this.threshold ? 8 : 0) |
+          (tr >= this.threshold ? 4 : 0) |
+          (br >= this.threshold ? 2 : 0) |
+          (bl >= this.threshold ? 1 : 0);
+
+        if (index === 0 || index === 15) continue;
+
+        this._traceCell(emit, x + a * size, y + b * size, size, index, tl, tr, br, bl);
+      }
+    }
   }
 
   /**
@@ -264,36 +649,15 @@ export class MetaballPhysics {
    */
   getFilledMaskPath() {
     const path = new Path2D();
-    const res = this.gridResolution;
-    const padding = this.baseRadius * 2;
-
-    // Find bounding box of all blobs
-    let minX = Infinity, minY = Infinity;
-    let maxX = -Infinity, maxY = -Infinity;
+    const regions = this.getInfluenceRegions();
 
-    for (const blob of this.blobs) {
-      const r = blob.radius * Math.max(blob.stretchX, blob.stretchY);
-      minX = Math.min(minX, blob.x - r);
-      minY = Math.min(minY, blob.y - r);
-      maxX = Math.max(maxX, blob.x + r);
-      maxY = Math.max(maxY, blob.y + r);
-    }
-
-    // Add padding and clamp to canvas
-    minX = Math.max(0, minX - padding);
-    minY = Math.max(0, minY - padding);
-    maxX = Math.min(this.width, maxX + padding);
-    maxY = Math.min(this.height, maxY + padding);
-
-    // Sample points along the boundary at high resolution
+    // Sample points along the boundary, casting rays from the center of mass
     const points = [];
-    const sampleRes = res / 2;
+    const positions = this.blobs.filter(b => !isAntiBlob(b)).map(b => this.getRenderPosition(b));
+    const cx = positions.reduce((s, p) => s + p.x, 0) / positions.length;
+    const cy = positions.reduce((s, p) => s + p.y, 0) / positions.length;
 
     for (let angle = 0; angle < Math.PI * 2; angle += 0.05) {
-      // Cast ray from center of mass outward
-      const cx = this.blobs.reduce((s, b) => s + b.x, 0) / this.blobs.length;
-      const cy = this.blobs.reduce((s, b) => s + b.y, 0) / this.blobs.length;
-
       const dx = Math.cos(angle);
       const dy = Math.sin(angle);
 
@@ -306,7 +670,9 @@ export class MetaballPhysics {
         const x = cx + dx * mid;
         const y = cy + dy * mid;
 
-        if (this.calculateField(x, y) >= this.threshold) {
+        // Points outside every influence region are known to be outside
+        if (this.isInInfluenceRegion(regions, x, y) &&
+            this.calculateField(x, y) >= this.threshold) {
           lo = mid;
         } else {
           hi = mid;
@@ -344,32 +710,237 @@ export class MetaballPhysics {
     return path;
   }
 
+  // === CONTOUR TRACING ===
+
+  /**
+   * Stitch the marching squares segments into closed polylines
+   *
+   * The grid is padded with empty cells so blobs touching the canvas edge
+   * still close; their points are clamped back onto the canvas border.
+   * Outer outlines and holes come out as separate polylines, so fill them
+   * with the 'evenodd' rule.
+   * @returns {Array<Array<{x: number, y: number}>>} Closed polylines (first point not repeated)
+   */
+  traceContours() {
+    const points = [];
+    const pointIndex = new Map();
+    const links = [];
+
+    // Shared cell edges interpolate identically, so exact coordinates can key the points
+    const addPoint = (p) => {
+      const key = `${p.x},${p.y}`;
+      let index = pointIndex.get(key);
+      if (index === undefined) {
+        index = points.length;
+        pointIndex.set(key, index);
+        points.push({
+          x: Math.min(Math.max(p.x, 0), this.width),
+          y: Math.min(Math.max(p.y, 0), this.height)
+        });
+        links.push([]);
+      }
+      return index;
+    };
+
+    this._marchSquares((p1, p2) => {
+      const a = addPoint(p1);
+      const b = addPoint(p2);
+      if (a === b) return;
+      links[a].push(b);
+      links[b].push(a);
+    }, true);
+
+    // Walk each loop until it returns to its start
+    const visited = new Uint8Array(points.length);
+    const contours = [];
+
+    for (let start = 0; start < points.length; start++) {
+      if (visited[start] || links[start].length === 0) continue;
+
+      const contour = [];
+      let prev = -1;
+      let current = start;
+
+      while (current !== -1 && !visited[current]) {
+        visited[current] = 1;
+
+        // Clamping can fold neighbouring points onto the same border spot
+        const point = points[current];
+        const last = contour[contour.length - 1];
+        if (!last || last.x !== point.x || last.y !== point.y) contour.push(point);
+
+        const next = links[current].find(n => n !== prev && !visited[n]);
+        prev = current;
+        current = next ?? -1;
+      }
+
+      if (contour.length >= 3) contours.push(contour);
+    }
+
+    return contours;
+  }
+
+  /**
+   * Get the traced contours as a Path2D
+   * @param {Object} [options] - Smoothing options, see getContourSvgPath()
+   * @returns {Path2D} Closed path (fill with 'evenodd')
+   */
+  getContourPath(options = {}) {
+    const path = new Path2D();
+
+    for (const [command, ...args] of this._getContourCommands(options)) {
+      switch (command) {
+        case 'M': path.moveTo(...args); break;
+        case 'L': path.lineTo(...args); break;
+        case 'C': path.bezierCurveTo(...args); break;
+        case 'Z': path.closePath(); break;
+      }
+    }
+
+    return path;
+  }
+
   /**
-   * Update physics simulation
+   * Get the traced contours as an SVG path `d` string
+   * Usable in an SVG <clipPath>/<mask> or as CSS `clip-path: path(evenodd, "...")`
+   * @param {Object} [options] - Smoothing options
+   * @param {'none'|'chaikin'|'catmull-rom'} [options.smoothing='none'] - Smoothing method
+   * @param {number} [options.iterations=2] - Chaikin corner-cutting passes
+   * @param {number} [options.precision=2] - Decimal places in the output
+   * @returns {string} SVG path data
+   */
+  getContourSvgPath(options = {}) {
+    const precision = options.precision ?? 2;
+    const format = (n) => String(Number(n.toFixed(precision)));
+
+    return this._getContourCommands(options)
+      .map(([command, ...args]) => command + args.map(format).join(' '))
+      .join('');
+  }
+
+  /**
+   * Build smoothed path commands for all contours
+   * @param {Object} options - Smoothing options
+   * @returns {Array<Array<string|number>>} Commands as [letter, ...coordinates]
+   */
+  _getContourCommands(options) {
+    const smoothing = options.smoothing ?? 'none';
+    const commands = [];
+
+    for (let points of this.traceContours()) {
+      if (smoothing === 'chaikin') {
+        points = chaikinSmooth(points, options.iterations ?? 2);
+      }
+
+      commands.push(['M', points[0].x, points[0].y]);
+
+      if (smoothing === 'catmull-rom') {
+        // Uniform Catmull-Rom through every point, as cubic Béziers
+        const n = points.length;
+        for (let i = 0; i < n; i++) {
+          const p0 = points[(i - 1 + n) % n];
+          const p1 = points[i];
+          const p2 = points[(i + 1) % n];
+          const p3 = points[(i + 2) % n];
+
+          commands.push([
+            'C',
+            p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6,
+            p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6,
+            p2.x, p2.y
+          ]);
+        }
+      } else {
+        for (let i = 1; i < points.length; i++) {
+          commands.push(['L', points[i].x, points[i].y]);
+        }
+      }
+
+      commands.push(['Z']);
+    }
+
+    return commands;
+  }
+
+  /**
+   * Advance the simulation by a frame's worth of time
+   *
+   * Runs as many fixed steps as the accumulated time allows, so motion is
+   * the same at 30, 60 or 144 Hz; the remainder sets the interpolation
+   * factor used when sampling the field.
    * @param {number} dt - Delta time in milliseconds
    * @param {number} mouseX - Mouse X position
    * @param {number} mouseY - Mouse Y position
-   * @param {number} mouseVX - Mouse X velocity
-   * @param {number} mouseVY - Mouse Y velocity
+   * @param {number} [mouseVX] - Mouse X velocity (unused, kept for API compatibility)
+   * @param {number} [mouseVY] - Mouse Y velocity (unused, kept for API compatibility)
    */
   update(dt, mouseX, mouseY, mouseVX, mouseVY) {
-    const now = performance.now();
+    this._recording?.inputs.push({ type: 'update', dt, mouseX, mouseY, mouseVX, mouseVY });
+
+    // Cap the backlog so a long pause (e.g. a background tab) doesn't spiral
+    this.accumulator = Math.min(this.accumulator + dt, this.timestep * this.maxSubsteps);
+
+    // Tolerance keeps e.g. six 1000/60 frames from losing a step to rounding
+    while (this.accumulator >= this.timestep - STEP_EPSILON) {
+      this.step(mouseX, mouseY);
+      this.accumulator = Math.max(0, this.accumulator - this.timestep);
+    }
+
+    this.alpha = this.accumulator / this.timestep;
+  }
+
+  /**
+   * Run one fixed simulation step
+   * @param {number} mouseX - Mouse X position
+   * @param {number} mouseY - Mouse Y position
+   */
+  step(mouseX, mouseY) {
+    const dt = this.timestep;
+    this.time += dt;
+
+    // Remember positions for interpolation
+    for (const blob of this.blobs) {
+      blob.px = blob.x;
+      blob.py = blob.y;
+    }
 
     // Update breathing phase
     this.breathPhase += this.breathSpeed * dt;
 
-    // Find primary blob
-    const primary = this.blobs.find(b => b.isPrimary);
-    if (!primary) return;
+    const primaries = this.blobs.filter(b => b.isPrimary);
+    if (primaries.length === 0) return;
+
+    // === PRIMARY BLOBS: Spring physics toward their pointer ===
+    for (const primary of primaries) {
+      // The default primary follows the mouse; without one it holds still
+      const pointer = this.pointers.get(primary.pointerId);
+      const targetX = pointer ? pointer.x : (mouseX ?? primary.x);
+      const targetY = pointer ? pointer.y : (mouseY ?? primary.y);
+
+      this.stepPrimary(primary, targetX, targetY);
+    }
 
-    // === PRIMARY BLOB: Spring physics toward cursor ===
-    const targetX = mouseX;
-    const targetY = mouseY;
+    // === UPDATE SECONDARY BLOBS ===
+    this.updateSecondaryBlobs(dt);
 
+    // === MERGE NEARBY BLOBS ===
+    this.mergeNearbyBlobs();
+  }
+
+  /**
+   * Advance one primary blob: spring toward its target, stretch and split
+   * @param {Blob} primary - Primary blob
+   * @param {number} targetX - Target X position
+   * @param {number} targetY - Target Y position
+   */
+  stepPrimary(primary, targetX, targetY) {
     // Spring force
     primary.vx += (targetX - primary.x) * this.springK;
     primary.vy += (targetY - primary.y) * this.springK;
 
+    // External force fields
+    this.applyForces(primary);
+
     // Damping
     primary.vx *= this.damping;
     primary.vy *= this.damping;
@@ -398,19 +969,16 @@ export class MetaballPhysics {
       primary.stretchY += (breath - primary.stretchY) * 0.1;
     }
 
+    // Bounce off bounds forces using the stretched extent
+    this.applyBounds(primary);
+
     // === BLOB SPLITTING on fast movement ===
     if (speed > this.splitThreshold &&
-        this.blobs.length < this.maxBlobs &&
-        now - this.lastSplitTime > this.splitCooldown) {
+        this._getBlobCount() < this.maxBlobs &&
+        this.time - this.lastSplitTime > this.splitCooldown) {
       this.splitSecondaryBlob(primary, primary.vx, primary.vy);
-      this.lastSplitTime = now;
+      this.lastSplitTime = this.time;
     }
-
-    // === UPDATE SECONDARY BLOBS ===
-    this.updateSecondaryBlobs(dt);
-
-    // === MERGE NEARBY BLOBS ===
-    this.mergeNearbyBlobs();
   }
 
   /**
@@ -441,18 +1009,43 @@ export class MetaballPhysics {
     newBlob.life = 1.0;
   }
 
+  /**
+   * Find the primary blob closest to a position
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @returns {Blob|undefined} Nearest primary blob
+   */
+  getNearestPrimary(x, y) {
+    let nearest;
+    let nearestDistSq = Infinity;
+
+    for (const blob of this.blobs) {
+      if (!blob.isPrimary) continue;
+
+      const dx = blob.x - x;
+      const dy = blob.y - y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq < nearestDistSq) {
+        nearest = blob;
+        nearestDistSq = distSq;
+      }
+    }
+
+    return nearest;
+  }
+
   /**
    * Update secondary (non-primary) blobs
-   * They drift toward the primary blob over time
+   * They drift toward the nearest primary blob over time
    * @param {number} dt - Delta time in milliseconds
    */
   updateSecondaryBlobs(dt) {
-    const primary = this.blobs.find(b => b.isPrimary);
-    if (!primary) return;
-
-    const secondaries = this.blobs.filter(b => !b.isPrimary);
+    const secondaries = this.blobs.filter(b => !b.isPrimary && !isAntiBlob(b));
 
     for (const blob of secondaries) {
+      const primary = this.getNearestPrimary(blob.x, blob.y);
+      if (!primary) return;
+
       // Decay life over time
       blob.life -= 0.001 * dt;
 
@@ -467,11 +1060,15 @@ export class MetaballPhysics {
         blob.vy += (dy / dist) * attraction;
       }
 
+      // External force fields
+      this.applyForces(blob);
+
       // Apply velocity with damping
       blob.vx *= 0.95;
       blob.vy *= 0.95;
       blob.x += blob.vx;
       blob.y += blob.vy;
+      this.applyBounds(blob);
 
       // Breathing effect (offset from primary)
       const breathOffset = blob.life * Math.PI;
@@ -479,8 +1076,8 @@ export class MetaballPhysics {
       blob.stretchX = breath;
       blob.stretchY = breath;
 
-      // Shrink as life decreases
-      blob.radius = this.baseRadius * 0.4 * Math.max(0.2, blob.life);
+      // Shrink as life decreases (released pointer blobs from their own size)
+      blob.radius = (blob.releaseRadius ?? this.baseRadius * 0.4) * Math.max(0.2, blob.life);
     }
 
     // Remove dead blobs
@@ -488,17 +1085,16 @@ export class MetaballPhysics {
   }
 
   /**
-   * Merge secondary blobs that get too close to the primary
+   * Merge secondary blobs that get too close to their nearest primary
    */
   mergeNearbyBlobs() {
-    const primary = this.blobs.find(b => b.isPrimary);
-    if (!primary) return;
-
-    const mergeThreshold = primary.radius * this.mergeDistance;
-
     this.blobs = this.blobs.filter(blob => {
-      if (blob.isPrimary) return true;
+      if (blob.isPrimary || isAntiBlob(blob)) return true;
+
+      const primary = this.getNearestPrimary(blob.x, blob.y);
+      if (!primary) return true;
 
+      const mergeThreshold = primary.radius * this.mergeDistance;
       const dx = primary.x - blob.x;
       const dy = primary.y - blob.y;
       const dist = Math.sqrt(dx * dx + dy * dy);
@@ -515,6 +1111,350 @@ export class MetaballPhysics {
     });
   }
 
+  // === POINTERS ===
+
+  /**
+   * Move a pointer (touch, pen or mouse), giving it a primary blob on first sight
+   *
+   * The first pointer takes over the default primary blob; further pointers
+   * split a new primary off the nearest one, which then springs to the
+   * pointer. If the blob limit is reached the oldest secondary blob makes room.
+   * @param {number} id - Pointer id (e.g. PointerEvent.pointerId)
+   * @param {number} x - Pointer X position
+   * @param {number} y - Pointer Y position
+   * @returns {Blob|null} The pointer's blob, or null if every slot is taken by a primary
+   */
+  setPointer(id, x, y) {
+    this._recording?.inputs.push({ type: 'pointer', id, x, y });
+
+    const pointer = this.pointers.get(id);
+    if (pointer) {
+      pointer.x = x;
+      pointer.y = y;
+      return this.getPointerBlob(id);
+    }
+
+    let blob = this.blobs.find(b => b.isPrimary && b.pointerId === null);
+
+    if (blob) {
+      // Jump the idle default blob to the new pointer
+      blob.x = blob.px = x;
+      blob.y = blob.py = y;
+      blob.vx = 0;
+      blob.vy = 0;
+    } else {
+      if (this._getBlobCount() >= this.maxBlobs) {
+        const secondary = this.blobs.find(b => !b.isPrimary && !isAntiBlob(b));
+        if (!secondary) return null;
+        this.blobs = this.blobs.filter(b => b !== secondary);
+      }
+
+      const parent = this.getNearestPrimary(x, y);
+      blob = parent
+        ? this.addBlob(parent.x, parent.y, this.baseRadius, true)
+        : this.addBlob(x, y, this.baseRadius, true);
+    }
+
+    blob.pointerId = id;
+    this.pointers.set(id, { x, y });
+    return blob;
+  }
+
+  /**
+   * Release a pointer; its blob becomes a secondary blob that drifts back
+   * and merges into the nearest primary (the last one stays as the default)
+   * @param {number} id - Pointer id
+   */
+  releasePointer(id) {
+    this._recording?.inputs.push({ type: 'release', id });
+    this.pointers.delete(id);
+
+    const blob = this.getPointerBlob(id);
+    if (!blob) return;
+
+    blob.pointerId = null;
+    if (this.blobs.some(b => b.isPrimary && b !== blob)) {
+      blob.isPrimary = false;
+      blob.life = 1.0;
+      blob.releaseRadius = blob.radius;
+    }
+  }
+
+  /**
+   * Get the primary blob owned by a pointer
+   * @param {number} id - Pointer id
+   * @returns {Blob|undefined} The pointer's blob
+   */
+  getPointerBlob(id) {
+    return this.blobs.find(b => b.pointerId === id);
+  }
+
+  // === FORCE FIELDS ===
+
+  /**
+   * Add a force field evaluated for every blob on each update
+   *
+   * The returned object is live: move an attractor by changing its x/y, or
+   * pass a `position` callback to follow a page element.
+   * @param {Partial<Force>} options - Force definition
+   * @returns {Force} The added force
+   */
+  addForce(options) {
+    if (!FORCE_TYPES.includes(options.type)) {
+      throw new Error(`Unknown force type: ${options.type}`);
+    }
+
+    const force = {
+      x: 0,
+      y: 0,
+      strength: 0.5,
+      radius: Infinity,
+      ax: 0,
+      ay: 0,
+      restitution: 0.6,
+      affects: 'all',
+      ...options
+    };
+    this.forces.push(force);
+    return force;
+  }
+
+  /**
+   * Remove a force added with addForce()
+   * @param {Force} force - The force to remove
+   */
+  removeForce(force) {
+    this.forces = this.forces.filter(f => f !== force);
+  }
+
+  /**
+   * Remove all force fields
+   */
+  clearForces() {
+    this.forces = [];
+  }
+
+  /**
+   * Check whether a force acts on a blob
+   * @param {Force} force - Force field
+   * @param {Blob} blob - Blob to test
+   * @returns {boolean} True if the force applies
+   */
+  _forceAffects(force, blob) {
+    if (force.affects === 'primary') return blob.isPrimary;
+    if (force.affects === 'secondary') return !blob.isPrimary;
+    return true;
+  }
+
+  /**
+   * Add the acceleration of all point and gravity forces to a blob's velocity
+   * @param {Blob} blob - Blob to accelerate
+   */
+  applyForces(blob) {
+    for (const force of this.forces) {
+      if (force.type === 'bounds' || !this._forceAffects(force, blob)) continue;
+
+      if (force.type === 'gravity') {
+        blob.vx += force.ax;
+        blob.vy += force.ay;
+        continue;
+      }
+
+      const center = force.position ? force.position() : force;
+      const dx = center.x - blob.x;
+      const dy = center.y - blob.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist < 0.1 || dist > force.radius) continue;
+
+      // Linear falloff inside a finite radius
+      const falloff = Number.isFinite(force.radius) ? 1 - dist / force.radius : 1;
+      const accel = force.strength * falloff;
+      const nx = dx / dist;
+      const ny = dy / dist;
+
+      switch (force.type) {
+        case 'attractor':
+          blob.vx += nx * accel;
+          blob.vy += ny * accel;
+          break;
+        case 'repulsor':
+          blob.vx -= nx * accel;
+          blob.vy -= ny * accel;
+          break;
+        case 'vortex':
+          // Tangent to the center (clockwise on screen for positive strength)
+          blob.vx += ny * accel;
+          blob.vy -= nx * accel;
+          break;
+      }
+    }
+  }
+
+  /**
+   * Keep a blob inside every bounds force, bouncing off the edges
+   * @param {Blob} blob - Blob to constrain
+   */
+  applyBounds(blob) {
+    for (const force of this.forces) {
+      if (force.type !== 'bounds' || !this._forceAffects(force, blob)) continue;
+
+      const left = force.left ?? 0;
+      const top = force.top ?? 0;
+      const right = force.right ?? this.width;
+      const bottom = force.bottom ?? this.height;
+
+      const rx = Math.min(blob.radius * blob.stretchX, (right - left) / 2);
+      const ry = Math.min(blob.radius * blob.stretchY, (bottom - top) / 2);
+
+      if (blob.x - rx < left) {
+        blob.x = left + rx;
+        if (blob.vx < 0) blob.vx = -blob.vx * force.restitution;
+      } else if (blob.x + rx > right) {
+        blob.x = right - rx;
+        if (blob.vx > 0) blob.vx = -blob.vx * force.restitution;
+      }
+
+      if (blob.y - ry < top) {
+        blob.y = top + ry;
+        if (blob.vy < 0) blob.vy = -blob.vy * force.restitution;
+      } else if (blob.y + ry > bottom) {
+        blob.y = bottom - ry;
+        if (blob.vy > 0) blob.vy = -blob.vy * force.restitution;
+      }
+    }
+  }
+
+  // === SNAPSHOTS & REPLAY ===
+
+  /**
+   * Serialize the full simulation state
+   *
+   * Forces that follow a `position` callback are frozen at their current
+   * position, since functions cannot be serialized.
+   * @returns {Object} JSON-safe snapshot
+   */
+  toJSON() {
+    const config = {};
+    for (const key of CONFIG_KEYS) config[key] = this[key];
+
+    return {
+      version: STATE_VERSION,
+      config,
+      width: this.width,
+      height: this.height,
+      time: this.time,
+      accumulator: this.accumulator,
+      alpha: this.alpha,
+      breathPhase: this.breathPhase,
+      lastSplitTime: Number.isFinite(this.lastSplitTime) ? this.lastSplitTime : null,
+      blobs: this.blobs.map(blob => ({ ...blob })),
+      pointers: [...this.pointers].map(([id, p]) => ({ id, x: p.x, y: p.y })),
+      forces: this.forces.map(({ position, ...force }) => (
+        position ? { ...force, ...position() } : force
+      ))
+    };
+  }
+
+  /**
+   * Replace the simulation state with a snapshot from toJSON()
+   * @param {Object|string} state - Snapshot (object or JSON string)
+   */
+  restoreState(state) {
+    if (typeof state === 'string') state = JSON.parse(state);
+    if (state?.version !== STATE_VERSION) {
+      throw new Error(`Unsupported MetaballPhysics state version: ${state?.version}`);
+    }
+
+    for (const key of CONFIG_KEYS) {
+      if (state.config[key] !== undefined) this[key] = state.config[key];
+    }
+
+    this.width = state.width;
+    this.height = state.height;
+    this.time = state.time;
+    this.accumulator = state.accumulator;
+    this.alpha = state.alpha;
+    this.breathPhase = state.breathPhase;
+    this.lastSplitTime = state.lastSplitTime ?? -Infinity;
+    this.blobs = state.blobs.map(blob => ({ ...blob }));
+    this.pointers = new Map(state.pointers.map(p => [p.id, { x: p.x, y: p.y }]));
+    // JSON turns an unlimited radius into null
+    this.forces = state.forces.map(force => ({ ...force, radius: force.radius ?? Infinity }));
+  }
+
+  /**
+   * Create a simulation from a snapshot
+   * @param {Object|string} state - Snapshot from toJSON()
+   * @returns {MetaballPhysics} Restored simulation
+   */
+  static fromJSON(state) {
+    const physics = new MetaballPhysics();
+    physics.restoreState(state);
+    return physics;
+  }
+
+  /**
+   * Start capturing inputs (update() calls and pointer events)
+   * Recording starts from a snapshot of the current state.
+   */
+  startRecording() {
+    this._recording = { version: STATE_VERSION, initial: this.toJSON(), inputs: [] };
+  }
+
+  /**
+   * Stop capturing inputs
+   * @returns {{version: number, initial: Object, inputs: Object[]}|null} The recording
+   */
+  stopRecording() {
+    const recording = this._recording;
+    this._recording = null;
+    return recording;
+  }
+
+  /**
+   * Whether inputs are currently being recorded
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this._recording !== null;
+  }
+
+  /**
+   * Apply one recorded input
+   * @param {Object} input - Input from a recording
+   */
+  applyInput(input) {
+    switch (input.type) {
+      case 'update':
+        this.update(input.dt, input.mouseX, input.mouseY, input.mouseVX, input.mouseVY);
+        break;
+      case 'pointer':
+        this.setPointer(input.id, input.x, input.y);
+        break;
+      case 'release':
+        this.releasePointer(input.id);
+        break;
+    }
+  }
+
+  /**
+   * Replay a recording from its initial snapshot
+   * @param {Object|string} recording - Recording from stopRecording()
+   * @param {number} [inputCount] - Stop after this many inputs (default: all)
+   * @returns {MetaballPhysics} The simulation after replay
+   */
+  static replay(recording, inputCount) {
+    if (typeof recording === 'string') recording = JSON.parse(recording);
+
+    const physics = MetaballPhysics.fromJSON(recording.initial);
+    const inputs = recording.inputs.slice(0, inputCount ?? recording.inputs.length);
+    for (const input of inputs) {
+      physics.applyInput(input);
+    }
+    return physics;
+  }
+
   /**
    * Get all blobs for debugging/visualization
    * @returns {Blob[]} Array of all blobs
@@ -535,10 +1475,21 @@ export class MetaballPhysics {
    * Reset to initial state with a single centered blob
    */
   reset() {
+    this.clear();
+    this.addBlob(this.width / 2, this.height / 2, this.baseRadius, true);
+  }
+
+  /**
+   * Reset to initial state with no blobs (callers add their own)
+   */
+  clear() {
     this.blobs = [];
+    this.pointers.clear();
     this.breathPhase = 0;
-    this.lastSplitTime = 0;
-    this.addBlob(this.width / 2, this.height / 2, this.baseRadius, true);
+    this.lastSplitTime = -Infinity;
+    this.time = 0;
+    this.accumulator = 0;
+    this.alpha = 0;
   }
 
   /**
@@ -548,10 +1499,12 @@ export class MetaballPhysics {
    * @param {number} y - Y position
    */
   setPrimaryPosition(x, y) {
-    const primary = this.blobs.find(b => b.isPrimary);
+    const primary = this.getPrimaryBlob();
     if (primary) {
       primary.x = x;
       primary.y = y;
+      primary.px = x;
+      primary.py = y;
       primary.vx = 0;
       primary.vy = 0;
     }
@@ -569,10 +1522,17 @@ export class MetaballPhysics {
     this.width = width;
     this.height = height;
 
+    for (const pointer of this.pointers.values()) {
+      pointer.x *= scaleX;
+      pointer.y *= scaleY;
+    }
+
     // Scale blob positions proportionally
     for (const blob of this.blobs) {
       blob.x *= scaleX;
       blob.y *= scaleY;
+      blob.px *= scaleX;
+      blob.py *= scaleY;
     }
   }
 }
@@ -4,6 +4,8 @@
  * Coordinates normalized to -1 to 1 range for Three.js
  */
 
+import { GlyphOutlineSource, getCommandsBounds, mapCommands, commandsToSvgPath, sampleContours } from './glyph-outlines.js';
+
 // The S letter path that the rope will follow through
 // These points define the center-line path through the S curves
 export const S_PATH_POINTS = [
@@ -57,9 +59,56 @@ export const SVG_VIEWBOX = {
   })
 };
 
+/**
+ * Build the S from the real font outline instead of the hand-placed points
+ * The glyph is fitted (aspect preserved, centered) into the SVG viewBox.
+ * @param {import('./glyph-outlines.js').GlyphOutlineSource} outlines - Parsed font
+ * @param {Object} [options]
+ * @param {string} [options.char='S'] - Glyph to trace
+ * @param {number} [options.samples=48] - Contour points to return
+ * @returns {{d: string, points: {x: number, y: number, z: number}[]}|null}
+ *   SVG path data in viewBox units and contour points in normalized coords (null for blank glyphs)
+ */
+export function createSOutline(outlines, { char = 'S', samples = 48 } = {}) {
+  const commands = outlines.getCommands(char, 0, 0, 100);
+  const bounds = getCommandsBounds(commands);
+  if (!bounds) return null;
+
+  const width = bounds.x2 - bounds.x1;
+  const height = bounds.y2 - bounds.y1;
+  const scale = Math.min(SVG_VIEWBOX.width / width, SVG_VIEWBOX.height / height);
+  const offsetX = (SVG_VIEWBOX.width - width * scale) / 2;
+  const offsetY = (SVG_VIEWBOX.height - height * scale) / 2;
+
+  const fitted = mapCommands(commands, (x, y) => [
+    (x - bounds.x1) * scale + offsetX,
+    (y - bounds.y1) * scale + offsetY
+  ]);
+
+  return {
+    d: commandsToSvgPath(fitted),
+    points: sampleContours(fitted, { count: samples }).map(p => ({
+      ...SVG_VIEWBOX.toNormalized(p.x, p.y),
+      z: 0
+    }))
+  };
+}
+
+/**
+ * Load a font file and build the S from it
+ * @param {string} url - OTF/TTF/WOFF URL
+ * @param {Object} [options] - See createSOutline()
+ * @returns {Promise<{d: string, points: {x: number, y: number, z: number}[]}|null>}
+ */
+export async function loadSOutline(url, options) {
+  return createSOutline(await GlyphOutlineSource.load(url), options);
+}
+
 export default {
   S_PATH_POINTS,
   S_BOUNDS,
   S_LAYERS,
-  SVG_VIEWBOX
+  SVG_VIEWBOX,
+  createSOutline,
+  loadSOutline
 };
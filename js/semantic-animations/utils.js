@@ -4,6 +4,8 @@
  * Provides text splitting, reduced motion detection, and helper functions.
  */
 
+import { segmentGraphemes } from '../text-segmentation.js';
+
 /**
  * Check if user prefers reduced motion
  * @returns {boolean}
@@ -13,7 +15,7 @@ export function prefersReducedMotion() {
 }
 
 /**
- * Split text into character spans
+ * Split text into character spans (one per grapheme, so emoji and accents stay whole)
  * @param {HTMLElement} element - Element to split
  * @returns {object} { chars: HTMLElement[], originalHTML: string, revert: Function }
  */
@@ -26,7 +28,7 @@ export function splitTextIntoChars(element) {
   element.innerHTML = '';
 
   // Create character spans
-  for (const char of text) {
+  for (const char of segmentGraphemes(text)) {
     const span = document.createElement('span');
     span.className = 'char';
     span.textContent = char === ' ' ? '\u00A0' : char;
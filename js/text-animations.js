@@ -8,6 +8,8 @@
  * @see /thoughts/shared/specs/2026-01-21-about-section-scrollytelling.md
  */
 
+import { segmentGraphemes } from './text-segmentation.js';
+
 // Dynamic import for Anime.js v4
 let anime = null;
 let animeText = null;
@@ -50,8 +52,8 @@ function manualSplitText(element) {
   // Clear element
   element.innerHTML = '';
 
-  // Create character spans
-  for (const char of text) {
+  // Create character spans (one per grapheme, so emoji and accents stay whole)
+  for (const char of segmentGraphemes(text)) {
     const span = document.createElement('span');
     span.className = 'char';
     span.textContent = char === ' ' ? '\u00A0' : char; // Non-breaking space for spaces
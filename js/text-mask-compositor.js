@@ -0,0 +1,463 @@
+/**
+ * Text Mask Compositor
+ *
+ * WebGL2 path for TextMaskedVideo: the video frame is uploaded as a texture
+ * and cut out by a signed-distance-field (SDF) text mask in one shader pass,
+ * instead of one offscreen 2D composite per letter. Per-letter brightness is
+ * passed as uniforms; the distance field also gives the outline, an optional
+ * soft glow and chromatic offset for free.
+ *
+ * The mask is rebuilt only when the layout changes (setMask), so a frame is
+ * one texture upload and one draw call.
+ *
+ * @see text-masked-video.js (integration point, 2D fallback)
+ */
+
+import { isWebGL2Supported, createWebGL2Context, createFullscreenProgram, releaseContext } from './webgl-support.js';
+
+// Letters with their own brightness uniform; later letters share the last one
+const MAX_LETTERS = 64;
+
+// Stand-in for infinity in the distance transform
+const INF = 1e20;
+
+// Most mask texels built per setMask(); larger text is built at a lower
+// resolution (the distance field interpolates cleanly when magnified)
+const MAX_MASK_PIXELS = 2_000_000;
+
+// Lengths are in CSS pixels unless noted; textures are sampled y-down
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+
+#define MAX_LETTERS ${MAX_LETTERS}
+
+uniform sampler2D u_video;
+uniform sampler2D u_mask;
+uniform vec4 u_videoRect;          // Cover-fit video: x, y, width, height
+uniform vec2 u_size;               // Canvas size
+uniform float u_pixelRatio;
+uniform vec4 u_maskRect;           // Area covered by the mask texture: x, y, width, height
+uniform float u_spread;            // SDF range
+uniform float u_edges[MAX_LETTERS];      // Left edge of each letter
+uniform float u_brightness[MAX_LETTERS];
+uniform int u_count;
+uniform vec2 u_brightnessRange;    // minBrightness, maxBrightness
+uniform float u_borderOpacity;     // Outline opacity at full brightness
+uniform float u_glowRadius;
+uniform float u_chromaticOffset;
+
+out vec4 outColor;
+
+void main() {
+  vec2 p = vec2(gl_FragCoord.x, u_size.y * u_pixelRatio - gl_FragCoord.y) / u_pixelRatio;
+
+  // Signed distance to the glyph edge, positive outside
+  // (past the mask rect the clamped edge texels read as far outside)
+  float dist = (0.5 - texture(u_mask, (p - u_maskRect.xy) / u_maskRect.zw).r) * 2.0 * u_spread;
+
+  // Letters are laid out left to right: the last edge left of p wins
+  int index = 0;
+  for (int i = 1; i < MAX_LETTERS; i++) {
+    if (i >= u_count) break;
+    if (p.x >= u_edges[i]) index = i;
+  }
+
+  float brightness = u_brightness[index];
+  float level = clamp((brightness - u_brightnessRange.x) / (u_brightnessRange.y - u_brightnessRange.x), 0.0, 1.0);
+
+  // Red and blue split horizontally as the letter lights up
+  vec2 uv = (p - u_videoRect.xy) / u_videoRect.zw;
+  vec2 shift = vec2(u_chromaticOffset * level / u_videoRect.z, 0.0);
+  vec3 video = vec3(
+    texture(u_video, uv + shift).r,
+    texture(u_video, uv).g,
+    texture(u_video, uv - shift).b
+  ) * brightness;
+
+  // Fill and 1px outline, anti-aliased over one device pixel
+  float aa = 0.5 / u_pixelRatio;
+  float fill = 1.0 - smoothstep(-aa, aa, dist);
+  float border = (1.0 - smoothstep(0.5 - aa, 0.5 + aa, abs(dist))) * level * u_borderOpacity;
+
+  // Premultiplied: fill, outline over it, glow behind both
+  vec4 color = vec4(video * fill, fill);
+  color = color * (1.0 - border) + vec4(border);
+
+  if (u_glowRadius > 0.0) {
+    float glow = exp(-max(dist, 0.0) / u_glowRadius) * level * (1.0 - fill);
+    color += vec4(video, 1.0) * glow * (1.0 - color.a);
+  }
+
+  outColor = color;
+}`;
+
+// ============================================
+// SIGNED DISTANCE FIELD
+// ============================================
+
+/**
+ * Reusable typed array of at least `length` elements, kept on `scratch`
+ * @returns {TypedArray} View of exactly `length` elements
+ */
+function grow(scratch, key, Type, length) {
+  if (!scratch[key] || scratch[key].length < length) {
+    scratch[key] = new Type(length);
+  }
+  return scratch[key].subarray(0, length);
+}
+
+/**
+ * 1D squared distance transform of one row or column, in place
+ * (Felzenszwalb & Huttenlocher)
+ */
+function distanceTransform1D(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  for (let q = 0; q < length; q++) f[q] = grid[offset + q * stride];
+
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+/**
+ * 2D squared distance transform, in place
+ */
+function distanceTransform(grid, width, height, scratch) {
+  const size = Math.max(width, height);
+  const f = grow(scratch, 'f', Float32Array, size);
+  const v = grow(scratch, 'v', Uint16Array, size);
+  const z = grow(scratch, 'z', Float32Array, size + 1);
+
+  for (let x = 0; x < width; x++) distanceTransform1D(grid, x, width, height, f, v, z);
+  for (let y = 0; y < height; y++) distanceTransform1D(grid, y * width, 1, width, f, v, z);
+}
+
+/**
+ * Build a signed distance field from an alpha coverage mask
+ * Partial coverage places the edge between pixels, so anti-aliased text
+ * keeps its sub-pixel shape.
+ * @param {Uint8ClampedArray|Uint8Array} alpha - Coverage per pixel (0-255), row-major
+ * @param {number} width
+ * @param {number} height
+ * @param {number} spread - Distance (px) mapped to the full 0-255 range on each side
+ * @param {Object} [scratch] - Buffers kept between calls (pass the same object to reuse them)
+ * @returns {Uint8Array} 128 on the edge, 255 deep inside, 0 far outside (a view into scratch if given)
+ */
+export function buildSignedDistanceField(alpha, width, height, spread, scratch = {}) {
+  const count = width * height;
+  const outer = grow(scratch, 'outer', Float32Array, count);
+  const inner = grow(scratch, 'inner', Float32Array, count);
+
+  for (let i = 0; i < count; i++) {
+    const a = alpha[i] / 255;
+    if (a >= 1) {
+      outer[i] = 0;
+      inner[i] = INF;
+    } else if (a <= 0) {
+      outer[i] = INF;
+      inner[i] = 0;
+    } else {
+      outer[i] = Math.max(0, 0.5 - a) ** 2;
+      inner[i] = Math.max(0, a - 0.5) ** 2;
+    }
+  }
+
+  distanceTransform(outer, width, height, scratch);
+  distanceTransform(inner, width, height, scratch);
+
+  const field = grow(scratch, 'field', Uint8Array, count);
+  for (let i = 0; i < count; i++) {
+    const dist = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+    field[i] = Math.round(255 * Math.min(1, Math.max(0, 0.5 - dist / (2 * spread))));
+  }
+
+  return field;
+}
+
+// ============================================
+// COMPOSITOR
+// ============================================
+
+/**
+ * Draws video through an SDF text mask in a WebGL2 canvas
+ */
+export class WebGLTextCompositor {
+  /**
+   * Check for WebGL2 support (probed once, then cached)
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return isWebGL2Supported();
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {HTMLCanvasElement} [options.canvas] - Canvas to render into (default: a new one)
+   * @param {number} [options.pixelRatio] - Resolution multiplier (default: devicePixelRatio, max 2)
+   * @param {number} [options.borderOpacity=0.4] - Outline opacity at full brightness
+   * @param {number} [options.glowRadius=0] - Glow falloff outside the letters (CSS px, 0 = off)
+   * @param {number} [options.chromaticOffset=0] - Red/blue split at full brightness (CSS px)
+   */
+  constructor(options = {}) {
+    this.type = 'webgl';
+    this.canvas = options.canvas || document.createElement('canvas');
+    this.pixelRatio = options.pixelRatio ?? Math.min(window.devicePixelRatio || 1, 2);
+    this.borderOpacity = options.borderOpacity ?? 0.4;
+    this.glowRadius = options.glowRadius ?? 0;
+    this.chromaticOffset = options.chromaticOffset ?? 0;
+    this.lost = false;
+
+    this.gl = createWebGL2Context(this.canvas);
+
+    // Let the caller fall back to the 2D path if the GPU resets
+    this._onContextLost = (e) => {
+      e.preventDefault();
+      this.lost = true;
+    };
+    this.canvas.addEventListener('webglcontextlost', this._onContextLost);
+
+    this._setupProgram();
+
+    // Scratch canvas for rasterizing the mask before the distance transform
+    this._maskCanvas = document.createElement('canvas');
+    this._maskCtx = this._maskCanvas.getContext('2d', { willReadFrequently: true });
+
+    // Uniform upload buffers
+    this._edges = new Float32Array(MAX_LETTERS);
+    this._brightness = new Float32Array(MAX_LETTERS);
+    this._count = 0;
+    this._width = 0;
+    this._height = 0;
+    this._spread = 1;
+    this._maskRect = { x: 0, y: 0, width: 1, height: 1 };
+
+    // Distance transform buffers, reused across setMask() calls
+    this._scratch = {};
+  }
+
+  /**
+   * Compile and link the program, create textures and cache uniform locations
+   * @private
+   */
+  _setupProgram() {
+    const gl = this.gl;
+    this.program = createFullscreenProgram(gl, FRAGMENT_SHADER, 'Text mask');
+
+    this.uniforms = {};
+    for (const name of [
+      'u_video', 'u_mask', 'u_videoRect', 'u_size', 'u_pixelRatio', 'u_maskRect', 'u_spread', 'u_edges',
+      'u_brightness', 'u_count', 'u_brightnessRange', 'u_borderOpacity', 'u_glowRadius', 'u_chromaticOffset'
+    ]) {
+      this.uniforms[name] = gl.getUniformLocation(this.program, name);
+    }
+
+    this.videoTexture = this._createTexture();
+    this.maskTexture = this._createTexture();
+    this.vao = gl.createVertexArray();
+  }
+
+  /**
+   * Create a linearly filtered, edge-clamped texture
+   * @returns {WebGLTexture}
+   * @private
+   */
+  _createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    return texture;
+  }
+
+  /**
+   * Rebuild the text mask (call when the layout or size changes)
+   * The field covers only the text's ink bounds plus the spread, at device
+   * resolution or lower for very large text (see MAX_MASK_PIXELS).
+   * @param {{char: string, x: number, centerY: number}[]} letters - Letters laid out left to right (CSS px)
+   * @param {string} font - CSS font used to lay them out
+   * @param {number} width - Canvas width (CSS px)
+   * @param {number} height - Canvas height (CSS px)
+   */
+  setMask(letters, font, width, height) {
+    this._width = width;
+    this._height = height;
+    this.canvas.width = Math.max(1, Math.round(width * this.pixelRatio));
+    this.canvas.height = Math.max(1, Math.round(height * this.pixelRatio));
+
+    const ctx = this._maskCtx;
+    ctx.font = font;
+    const bounds = this._measureInk(letters, width, height);
+
+    // Mask texels per CSS pixel
+    const scale = Math.min(this.pixelRatio, Math.sqrt(MAX_MASK_PIXELS / Math.max(1, bounds.width * bounds.height)));
+
+    // Enough range for the outline plus the glow's visible tail; padding
+    // by it leaves a border of far-outside texels for the clamp to repeat
+    const spread = Math.max(4, Math.ceil((this.glowRadius * 3 + 1) * scale));
+    const left = Math.floor(bounds.x * scale) - spread - 1;
+    const top = Math.floor(bounds.y * scale) - spread - 1;
+    const maskWidth = Math.max(1, Math.ceil((bounds.x + bounds.width) * scale) + spread + 1 - left);
+    const maskHeight = Math.max(1, Math.ceil((bounds.y + bounds.height) * scale) + spread + 1 - top);
+
+    this._spread = spread / scale;
+    this._maskRect = { x: left / scale, y: top / scale, width: maskWidth / scale, height: maskHeight / scale };
+
+    // Rasterize only the mask rect
+    this._maskCanvas.width = maskWidth;
+    this._maskCanvas.height = maskHeight;
+    ctx.setTransform(scale, 0, 0, scale, -left, -top);
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#fff';
+    for (const letter of letters) {
+      ctx.fillText(letter.char, letter.x, letter.centerY);
+    }
+
+    const pixels = ctx.getImageData(0, 0, maskWidth, maskHeight).data;
+    const alpha = grow(this._scratch, 'alpha', Uint8Array, maskWidth * maskHeight);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = pixels[i * 4 + 3];
+
+    const field = buildSignedDistanceField(alpha, maskWidth, maskHeight, spread, this._scratch);
+
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8, maskWidth, maskHeight, 0, gl.RED, gl.UNSIGNED_BYTE, field);
+
+    this._edges.fill(0);
+    letters.slice(0, MAX_LETTERS).forEach((letter, i) => {
+      this._edges[i] = letter.x;
+    });
+    this._count = Math.min(letters.length, MAX_LETTERS);
+  }
+
+  /**
+   * Ink bounds of the laid-out letters, clipped to the canvas (CSS px; the mask context's font must be set)
+   * @param {{char: string, x: number, centerY: number}[]} letters
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {{x: number, y: number, width: number, height: number}} Empty rect at 0,0 if no ink is visible
+   * @private
+   */
+  _measureInk(letters, width, height) {
+    const ctx = this._maskCtx;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+
+    let x1 = Infinity;
+    let y1 = Infinity;
+    let x2 = -Infinity;
+    let y2 = -Infinity;
+    for (const letter of letters) {
+      const metrics = ctx.measureText(letter.char);
+      x1 = Math.min(x1, letter.x - metrics.actualBoundingBoxLeft);
+      x2 = Math.max(x2, letter.x + metrics.actualBoundingBoxRight);
+      y1 = Math.min(y1, letter.centerY - metrics.actualBoundingBoxAscent);
+      y2 = Math.max(y2, letter.centerY + metrics.actualBoundingBoxDescent);
+    }
+    x1 = Math.max(x1, 0);
+    y1 = Math.max(y1, 0);
+    x2 = Math.min(x2, width);
+    y2 = Math.min(y2, height);
+
+    if (!(x2 > x1 && y2 > y1)) return { x: 0, y: 0, width: 0, height: 0 };
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+  }
+
+  /**
+   * Draw a frame
+   * @param {TexImageSource} video - Current frame (video, canvas or image)
+   * @param {{x: number, y: number, width: number, height: number}} videoRect - Cover-fit placement (CSS px)
+   * @param {{currentBrightness: number}[]} letters - Same order as passed to setMask
+   * @param {number} minBrightness - Brightness mapped to no outline or glow
+   * @param {number} maxBrightness - Brightness mapped to the full outline and glow
+   *   (equal to minBrightness: no outline or glow, as in the 2D path)
+   * @returns {boolean} False once the WebGL context is lost
+   */
+  render(video, videoRect, letters, minBrightness, maxBrightness) {
+    const gl = this.gl;
+
+    if (this.lost || gl.isContextLost()) {
+      this.lost = true;
+      return false;
+    }
+
+    for (let i = 0; i < this._count; i++) {
+      this._brightness[i] = letters[i].currentBrightness;
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.videoTexture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.useProgram(this.program);
+    gl.bindVertexArray(this.vao);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.maskTexture);
+    gl.uniform1i(this.uniforms.u_video, 0);
+    gl.uniform1i(this.uniforms.u_mask, 1);
+
+    gl.uniform4f(this.uniforms.u_videoRect, videoRect.x, videoRect.y, videoRect.width, videoRect.height);
+    gl.uniform2f(this.uniforms.u_size, this._width, this._height);
+    gl.uniform1f(this.uniforms.u_pixelRatio, this.pixelRatio);
+    const mask = this._maskRect;
+    gl.uniform4f(this.uniforms.u_maskRect, mask.x, mask.y, mask.width, mask.height);
+    gl.uniform1f(this.uniforms.u_spread, this._spread);
+    gl.uniform1fv(this.uniforms.u_edges, this._edges);
+    gl.uniform1fv(this.uniforms.u_brightness, this._brightness);
+    gl.uniform1i(this.uniforms.u_count, this._count);
+    // The shader divides by the range, so keep it non-zero
+    const range = maxBrightness > minBrightness ? maxBrightness - minBrightness : 1;
+    gl.uniform2f(this.uniforms.u_brightnessRange, minBrightness, minBrightness + range);
+    gl.uniform1f(this.uniforms.u_borderOpacity, this.borderOpacity);
+    gl.uniform1f(this.uniforms.u_glowRadius, this.glowRadius);
+    gl.uniform1f(this.uniforms.u_chromaticOffset, this.chromaticOffset);
+
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    return true;
+  }
+
+  destroy() {
+    this.canvas.removeEventListener('webglcontextlost', this._onContextLost);
+
+    if (!this.lost) {
+      const gl = this.gl;
+      gl.deleteProgram(this.program);
+      gl.deleteTexture(this.videoTexture);
+      gl.deleteTexture(this.maskTexture);
+      gl.deleteVertexArray(this.vao);
+      releaseContext(gl);
+    }
+
+    this._maskCanvas = null;
+    this._maskCtx = null;
+    this._scratch = null;
+  }
+}
@@ -1,8 +1,21 @@
 /**
  * TextMaskedVideo - Video content displayed inside text letterforms
- * Per-letter proximity-based reveal - letters brighten as cursor approaches
+ * Per-letter proximity-based reveal - letters brighten as cursor approaches,
+ * optionally blended with a pointer-free driver (searchlight, scroll wave, tilt)
+ *
+ * Renders through a WebGL2 compositor (video texture + SDF text mask) when
+ * available, and falls back to per-letter 2D canvas compositing otherwise.
  */
 
+import { segmentGraphemes } from './text-segmentation.js';
+import { WebGLTextCompositor } from './text-mask-compositor.js';
+import { createBrightnessDriver, falloff } from './brightness-drivers.js';
+
+// Quiet period before the WebGL mask is rebuilt after a resize (ms); resizes
+// arrive in bursts (mobile URL bar, window drags) and each rebuild is a full
+// rasterize + distance transform
+const MASK_REBUILD_DELAY = 150;
+
 class TextMaskedVideo {
   constructor(container, options = {}) {
     this.container = container;
@@ -24,6 +37,15 @@ class TextMaskedVideo {
       maxDistance: 200, // Full darkness beyond this distance (px)
       minBrightness: 0.15, // Brightness when far away (very dark)
       maxBrightness: 1.0, // Brightness when cursor is on letter
+      // Pointer-free brightness
+      brightnessMode: 'pointer', // 'pointer', 'searchlight', 'scroll' or 'tilt'
+      driverOptions: {}, // Passed to the driver (see brightness-drivers.js)
+      tiltDeniedMode: 'searchlight', // Mode to switch to if tilt's motion permission is refused
+      hoverDriverStrength: 0.35, // Driver strength while the pointer is over the text
+      // Rendering
+      renderer: 'auto', // 'auto' (WebGL when available), 'webgl' (same, but warns when it falls back) or '2d'
+      glowRadius: 0, // Soft glow around lit letters (px, WebGL only)
+      chromaticOffset: 0, // Red/blue split on lit letters (px, WebGL only)
       ...options
     };
 
@@ -34,6 +56,8 @@ class TextMaskedVideo {
     this.letterData = []; // {char, x, y, width, currentBrightness}
     this.animationId = null;
     this.isDestroyed = false;
+    this.maskTimer = null;
+    this.maskKey = null; // Layout the WebGL mask was last built for
 
     // Playlist state
     this.currentVideoIndex = 0;
@@ -44,6 +68,12 @@ class TextMaskedVideo {
     this.canvas.className = 'text-masked-video-canvas';
     this.ctx = this.canvas.getContext('2d', { willReadFrequently: false });
 
+    // WebGL compositor (replaces this.canvas in the DOM while active)
+    this.compositor = this.createCompositor();
+
+    // Pointer-free brightness driver (null in pointer mode)
+    this.brightnessDriver = this.createDriver(this.options.brightnessMode);
+
     // Create video element (off-DOM)
     this.video = document.createElement('video');
     this.video.muted = true;
@@ -82,7 +112,7 @@ class TextMaskedVideo {
     }
 
     // Add canvas to container
-    this.container.appendChild(this.canvas);
+    this.container.appendChild(this.compositor ? this.compositor.canvas : this.canvas);
 
     // Set up event handlers
     this.resizeHandler = this.resize.bind(this);
@@ -95,8 +125,9 @@ class TextMaskedVideo {
     this.container.addEventListener('mouseenter', this.mouseEnterHandler);
     this.container.addEventListener('mouseleave', this.mouseLeaveHandler);
 
-    // Initial resize and letter position calculation
+    // Initial resize and letter position calculation (first mask without the delay)
     this.resize();
+    if (this.compositor) this.updateMask();
 
     // Start video and render loop when ready
     this.video.addEventListener('canplay', () => {
@@ -135,6 +166,72 @@ class TextMaskedVideo {
     });
   }
 
+  createCompositor() {
+    const { renderer } = this.options;
+    if (renderer === '2d') return null;
+
+    if (!WebGLTextCompositor.isSupported()) {
+      // Only an explicit request is worth a warning; 'auto' falls back quietly
+      if (renderer === 'webgl') {
+        console.warn('[TextMaskedVideo] WebGL2 unavailable, using 2D canvas');
+      }
+      return null;
+    }
+
+    try {
+      const compositor = new WebGLTextCompositor({
+        glowRadius: this.options.glowRadius,
+        chromaticOffset: this.options.chromaticOffset
+      });
+      compositor.canvas.className = this.canvas.className;
+      return compositor;
+    } catch (err) {
+      console.warn('[TextMaskedVideo] WebGL compositor unavailable, using 2D canvas:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Create the brightness driver for a mode (null in pointer mode)
+   */
+  createDriver(mode) {
+    return createBrightnessDriver(mode, {
+      radius: this.options.maxDistance,
+      ...this.options.driverOptions,
+      // Without motion access tilt would sit on its searchlight fallback for good
+      onDenied: () => this.setBrightnessMode(this.options.tiltDeniedMode)
+    });
+  }
+
+  /**
+   * Switch the pointer-free brightness mode at runtime
+   * @param {'pointer'|'searchlight'|'scroll'|'tilt'} mode
+   */
+  setBrightnessMode(mode) {
+    if (this.isDestroyed) return;
+
+    this.brightnessDriver?.destroy();
+    this.options.brightnessMode = mode;
+    this.brightnessDriver = this.createDriver(mode);
+  }
+
+  /**
+   * Swap the WebGL canvas for the 2D one (e.g. after a lost context)
+   */
+  fallBackTo2D() {
+    const glCanvas = this.compositor.canvas;
+    if (glCanvas.parentNode) {
+      glCanvas.parentNode.replaceChild(this.canvas, glCanvas);
+    }
+
+    clearTimeout(this.maskTimer);
+    this.compositor.destroy();
+    this.compositor = null;
+
+    // The 2D canvas was left unsized while the compositor drew
+    this.sizeCanvas(this.container.getBoundingClientRect());
+  }
+
   onMouseMove(e) {
     const rect = this.container.getBoundingClientRect();
     this.mouseX = e.clientX - rect.left;
@@ -154,6 +251,30 @@ class TextMaskedVideo {
 
   resize() {
     const rect = this.container.getBoundingClientRect();
+
+    // The 2D canvas is off-DOM while the compositor draws
+    if (!this.compositor) {
+      this.sizeCanvas(rect);
+    }
+
+    // Calculate font size and letter positions
+    this.fontSize = this.calculateFontSize(rect.width, rect.height);
+    this.calculateLetterPositions(rect.width, rect.height);
+
+    // Stretch the current mask until the burst of resizes settles
+    if (this.compositor) {
+      this.compositor.canvas.style.width = `${rect.width}px`;
+      this.compositor.canvas.style.height = `${rect.height}px`;
+
+      clearTimeout(this.maskTimer);
+      this.maskTimer = setTimeout(() => this.updateMask(), MASK_REBUILD_DELAY);
+    }
+  }
+
+  /**
+   * Size the 2D canvas to the container at device resolution
+   */
+  sizeCanvas(rect) {
     const dpr = window.devicePixelRatio || 1;
 
     this.canvas.width = rect.width * dpr;
@@ -162,10 +283,23 @@ class TextMaskedVideo {
     this.canvas.style.height = `${rect.height}px`;
 
     this.ctx.scale(dpr, dpr);
+  }
 
-    // Calculate font size and letter positions
-    this.fontSize = this.calculateFontSize(rect.width, rect.height);
-    this.calculateLetterPositions(rect.width, rect.height);
+  /**
+   * Rebuild the distance-field mask for the current layout (skipped if unchanged)
+   */
+  updateMask() {
+    clearTimeout(this.maskTimer);
+    this.maskTimer = null;
+    if (!this.compositor) return;
+
+    const rect = this.container.getBoundingClientRect();
+    const font = `${this.options.fontWeight} ${this.fontSize}px ${this.options.fontFamily}`;
+    const key = `${font}|${rect.width}x${rect.height}`;
+    if (key === this.maskKey) return;
+
+    this.maskKey = key;
+    this.compositor.setMask(this.letterData, font, rect.width, rect.height);
   }
 
   calculateFontSize(width, height) {
@@ -191,8 +325,8 @@ class TextMaskedVideo {
 
     this.letterData = [];
 
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
+    // One letter per grapheme, so emoji and accents stay whole
+    for (const char of segmentGraphemes(text)) {
       const charWidth = this.ctx.measureText(char).width;
       const charCenterX = currentX + charWidth / 2;
 
@@ -214,17 +348,29 @@ class TextMaskedVideo {
     const dy = this.mouseY - letter.centerY;
     const distance = Math.sqrt(dx * dx + dy * dy);
 
-    const { maxDistance, minBrightness, maxBrightness } = this.options;
+    const { maxDistance, minBrightness, maxBrightness, hoverDriverStrength } = this.options;
+
+    // Ease-out curve for smoother reveal
+    let level = falloff(distance, maxDistance);
 
-    if (distance >= maxDistance) {
-      return minBrightness;
+    // The driver keeps running under the pointer, toned down so the pointer leads
+    if (this.brightnessDriver) {
+      const strength = this.isHovering ? hoverDriverStrength : 1;
+      level = Math.max(level, this.brightnessDriver.getLevel(letter) * strength);
     }
 
-    // Ease-out curve for smoother reveal
-    const t = 1 - (distance / maxDistance);
-    const eased = 1 - Math.pow(1 - t, 2); // Quadratic ease-out
+    return minBrightness + (maxBrightness - minBrightness) * level;
+  }
+
+  updateLetterBrightness() {
+    if (this.brightnessDriver) {
+      this.brightnessDriver.update(this.container.getBoundingClientRect());
+    }
 
-    return minBrightness + (maxBrightness - minBrightness) * eased;
+    for (const letter of this.letterData) {
+      const targetBrightness = this.calculateLetterBrightness(letter);
+      letter.currentBrightness += (targetBrightness - letter.currentBrightness) * this.options.lerpFactor;
+    }
   }
 
   render() {
@@ -313,11 +459,9 @@ class TextMaskedVideo {
     this.ctx.font = `${this.options.fontWeight} ${this.fontSize}px ${this.options.fontFamily}`;
     this.ctx.textBaseline = 'middle';
 
-    for (const letter of this.letterData) {
-      // Calculate target brightness
-      const targetBrightness = this.calculateLetterBrightness(letter);
-      letter.currentBrightness += (targetBrightness - letter.currentBrightness) * this.options.lerpFactor;
+    this.updateLetterBrightness();
 
+    for (const letter of this.letterData) {
       // Clear offscreen
       this.offscreenCtx.clearRect(0, 0, width, height);
 
@@ -356,6 +500,30 @@ class TextMaskedVideo {
     }
   }
 
+  /**
+   * Draw the frame in one WebGL pass
+   * @returns {boolean} False if the compositor was lost (the 2D path takes over)
+   */
+  renderWithWebGL(drawX, drawY, drawWidth, drawHeight) {
+    this.updateLetterBrightness();
+
+    const { minBrightness, maxBrightness } = this.options;
+    const drawn = this.compositor.render(
+      this.video,
+      { x: drawX, y: drawY, width: drawWidth, height: drawHeight },
+      this.letterData,
+      minBrightness,
+      maxBrightness
+    );
+
+    if (!drawn) {
+      console.warn('[TextMaskedVideo] WebGL context lost, using 2D canvas');
+      this.fallBackTo2D();
+    }
+
+    return drawn;
+  }
+
   startRenderLoop() {
     const loop = () => {
       if (this.isDestroyed) return;
@@ -392,7 +560,9 @@ class TextMaskedVideo {
           drawY = (height - drawHeight) / 2;
         }
 
-        this.renderWithOffscreen(width, height, drawX, drawY, drawWidth, drawHeight);
+        if (!this.compositor || !this.renderWithWebGL(drawX, drawY, drawWidth, drawHeight)) {
+          this.renderWithOffscreen(width, height, drawX, drawY, drawWidth, drawHeight);
+        }
       }
 
       this.animationId = requestAnimationFrame(renderLoop);
@@ -407,6 +577,7 @@ class TextMaskedVideo {
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
+    clearTimeout(this.maskTimer);
 
     window.removeEventListener('resize', this.resizeHandler);
     document.removeEventListener('mousemove', this.mouseMoveHandler);
@@ -417,6 +588,17 @@ class TextMaskedVideo {
     this.video.src = '';
     this.video.load();
 
+    if (this.brightnessDriver) {
+      this.brightnessDriver.destroy();
+      this.brightnessDriver = null;
+    }
+
+    if (this.compositor) {
+      this.compositor.canvas.remove();
+      this.compositor.destroy();
+      this.compositor = null;
+    }
+
     if (this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
@@ -0,0 +1,129 @@
+/**
+ * Text Segmentation
+ *
+ * Grapheme- and word-aware splitting shared by the letter-based effects, so
+ * emoji, combining accents and non-Latin scripts stay intact as "letters".
+ * Uses Intl.Segmenter where available, with a regex approximation otherwise.
+ *
+ * @module text-segmentation
+ */
+
+// Cached Intl.Segmenter instances by `${granularity}:${locale}`
+const segmenters = new Map();
+
+// Fallback grapheme pattern: flags, and base characters with their marks,
+// emoji modifiers and zero-width-joiner sequences
+const GRAPHEME_FALLBACK = /\p{Regional_Indicator}{2}|\r\n|(?:\P{M}(?:\p{M}|\p{Emoji_Modifier})*)(?:\u200D\P{M}(?:\p{M}|\p{Emoji_Modifier})*)*/gsu;
+
+const WHITESPACE = /^\s+$/u;
+const LINE_BREAK = /[\n\r\u2028\u2029]/u;
+
+/**
+ * Word segment, shaped like Intl.Segmenter's word segments
+ * @typedef {Object} WordSegment
+ * @property {string} segment - Segment text
+ * @property {number} index - Code unit offset into the source text
+ * @property {boolean} isWordLike - False for whitespace and punctuation
+ */
+
+/**
+ * Get a cached Intl.Segmenter, or null where unsupported
+ * @param {'grapheme'|'word'} granularity
+ * @param {string} [locale] - BCP 47 locale (default: the user's)
+ * @returns {Intl.Segmenter|null}
+ */
+function getSegmenter(granularity, locale) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+
+  const key = `${granularity}:${locale || ''}`;
+  if (!segmenters.has(key)) {
+    segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  }
+  return segmenters.get(key);
+}
+
+/**
+ * Split text into user-perceived characters (grapheme clusters)
+ * @param {string} text - Text to split
+ * @param {string} [locale] - BCP 47 locale (default: the user's)
+ * @returns {string[]} Graphemes, in order
+ */
+export function segmentGraphemes(text, locale) {
+  const segmenter = getSegmenter('grapheme', locale);
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), s => s.segment);
+  }
+
+  return text.match(GRAPHEME_FALLBACK) || [];
+}
+
+/**
+ * Split text into words, whitespace and punctuation
+ * Scripts written without spaces (e.g. Japanese, Thai) are split into words
+ * where Intl.Segmenter is available.
+ * @param {string} text - Text to split
+ * @param {string} [locale] - BCP 47 locale (default: the user's)
+ * @returns {WordSegment[]} Segments covering the whole text
+ */
+export function segmentWords(text, locale) {
+  const segmenter = getSegmenter('word', locale);
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), ({ segment, index, isWordLike }) => ({
+      segment,
+      index,
+      isWordLike: !!isWordLike
+    }));
+  }
+
+  const segments = [];
+  let index = 0;
+  for (const segment of text.split(/(\s+)/u)) {
+    if (segment) {
+      segments.push({ segment, index, isWordLike: !WHITESPACE.test(segment) });
+    }
+    index += segment.length;
+  }
+  return segments;
+}
+
+/**
+ * Grapheme indices where a word starts, for line breaking
+ * @param {string[]} graphemes - Output of segmentGraphemes(text)
+ * @param {string} [locale] - BCP 47 locale (default: the user's)
+ * @returns {Set<number>} Indices into graphemes
+ */
+export function getWordStarts(graphemes, locale) {
+  // Code unit offset -> grapheme index
+  const offsets = new Map();
+  let offset = 0;
+  graphemes.forEach((grapheme, i) => {
+    offsets.set(offset, i);
+    offset += grapheme.length;
+  });
+
+  const starts = new Set();
+  for (const { index, isWordLike } of segmentWords(graphemes.join(''), locale)) {
+    if (isWordLike && offsets.has(index)) {
+      starts.add(offsets.get(index));
+    }
+  }
+  return starts;
+}
+
+/**
+ * Check whether a grapheme is whitespace
+ * @param {string} grapheme
+ * @returns {boolean}
+ */
+export function isWhitespace(grapheme) {
+  return WHITESPACE.test(grapheme);
+}
+
+/**
+ * Check whether a grapheme is a line break (\n, \r\n, \r, U+2028, U+2029)
+ * @param {string} grapheme
+ * @returns {boolean}
+ */
+export function isLineBreak(grapheme) {
+  return LINE_BREAK.test(grapheme);
+}
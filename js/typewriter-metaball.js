@@ -1,10 +1,95 @@
 import { animate, createTimeline } from 'animejs';
 import { LetterMaskGenerator } from './letter-mask-generator.js';
-import { MetaballPhysics } from './metaball-physics.js';
+import { MetaballPhysics, POINTER_TOUCH_ACTION } from './metaball-physics.js';
+import { createMetaballMask } from './metaball-mask-renderer.js';
+import { GlyphOutlineSource } from './glyph-outlines.js';
+
+// Seed blobs shared by all letters during the melt morph
+const MORPH_SEED_BUDGET = 48;
+
+// Fraction of the morph over which letter starts are staggered
+const MORPH_STAGGER = 0.3;
+
+// Blobs smaller than this are left out of the field
+const MIN_MORPH_RADIUS = 0.5;
+
+// Pause between the last typed letter and the melt (ms)
+const ENTRY_HOLD = 200;
+
+/**
+ * Phase transition table
+ * - to: phases reachable from this one ('entry' everywhere, as restart())
+ * - enter: built-in hook run on entry; its promise settles when the phase's own work is done
+ * - next: phase entered automatically once the enter hooks finish
+ */
+const PHASES = {
+  idle: { to: ['entry'] },
+  entry: { to: ['entry', 'melt', 'exit'], enter: '_startEntry', next: 'melt' },
+  melt: { to: ['entry', 'interactive', 'exit'], enter: '_startMelt', next: 'interactive' },
+  interactive: { to: ['entry', 'exit'], enter: '_startInteractive' },
+  exit: { to: ['entry', 'idle'], enter: '_startExit', next: 'idle' }
+};
+
+/**
+ * Resolve when an anime.js animation or timeline completes
+ * Aborting pauses it and rejects with the signal's reason.
+ * @param {Object} animation - Thenable anime.js animation or timeline
+ * @param {AbortSignal} signal - Phase cancellation signal
+ * @returns {Promise<void>}
+ */
+function whenComplete(animation, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      animation.pause();
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    animation.then(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Cancellable delay
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Phase cancellation signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function smoothstep(edge0, edge1, value) {
+  const t = clamp01((value - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+}
 
 /**
  * Main orchestrator for typewriter-metaball fusion animation
- * Manages state machine: idle -> entry -> melt -> interactive -> exit
+ * Manages state machine: idle -> entry -> melt -> interactive -> exit (see PHASES)
+ *
+ * Events: phaseExit { phase, to }, phaseChange { from, to }, phaseEnter { phase, from },
+ * replayEnd {}, error { error, phase } (a transition nobody awaits failed)
  */
 export class TypewriterMetaball {
   /**
@@ -16,6 +101,14 @@ export class TypewriterMetaball {
    * @param {number} options.meltDuration - Melt transition duration (default: 800)
    * @param {number} options.letterStagger - Delay between letters (default: 100)
    * @param {boolean} options.debug - Show debug visualization
+   * @param {boolean} options.bounce - Keep the metaball inside the container, bouncing off its edges
+   * @param {string} options.kernel - Metaball falloff: inverse-square, wyvill, polynomial or gaussian
+   * @param {string} options.maskRenderer - Metaball mask renderer: auto, webgl or canvas (default: auto)
+   * @param {boolean} options.morphAutoplay - Play melt/exit on their own; false drives them only via seekMorph() (default: true)
+   * @param {string} options.invalidTransition - Transitions not in the table: 'ignore' or 'throw' (default: ignore)
+   * @param {Object} options.phaseHooks - Extra async hooks per phase: { melt: { enter(signal), exit(signal) } }
+   *   Returned promises are awaited; the signal aborts when the phase is superseded.
+   * @param {string} options.outlineFont - OTF/TTF/WOFF URL; letters are drawn from its glyph outlines (falls back to fillText)
    */
   constructor(container, options = {}) {
     this.container = container;
@@ -26,11 +119,21 @@ export class TypewriterMetaball {
       meltDuration: options.meltDuration || 800,
       letterStagger: options.letterStagger || 100,
       debug: options.debug || false,
+      bounce: options.bounce || false,
+      kernel: options.kernel || 'inverse-square',
+      maskRenderer: options.maskRenderer || 'auto',
+      morphAutoplay: options.morphAutoplay ?? true,
+      invalidTransition: options.invalidTransition || 'ignore',
+      phaseHooks: options.phaseHooks || {},
+      outlineFont: options.outlineFont || null,
       ...options
     };
 
     this._phase = 'idle';
     this._listeners = new Map();
+
+    // Aborts the running transition and the current phase's hooks
+    this._phaseController = null;
     this._animationFrame = null;
     this._lastTime = 0;
 
@@ -46,6 +149,7 @@ export class TypewriterMetaball {
     // Sub-components (initialized in _setup)
     this.letterMasks = null;
     this.metaball = null;
+    this.metaballMask = null;
     this.canvas = null;
     this.ctx = null;
     this.video = null;
@@ -55,8 +159,18 @@ export class TypewriterMetaball {
     this._meltTimeline = null;
     this._exitTimeline = null;
 
-    // Morph state (for Phase 3)
+    // Morph state: 0 = letters, 1 = merged blob
     this._meltProgress = 0;
+
+    // Active melt/exit morph: { type, primary, seeds, letterAlpha }
+    this._morph = null;
+
+    // Offscreen union of letters and metaball (masks can't be unioned with destination-in)
+    this._maskCanvas = null;
+    this._maskCtx = null;
+
+    // Active replay of a recorded metaball session: { recording, index }
+    this._replay = null;
   }
 
   /**
@@ -68,12 +182,14 @@ export class TypewriterMetaball {
 
   /**
    * Initialize and start the animation
+   * @returns {Promise<boolean>} Settles when the entry phase finishes (see transitionTo());
+   *   rejects if a phase hook fails
    */
   async start() {
     await this._setup();
     this._bindEvents();
     this._startRenderLoop();
-    this.transitionTo('entry');
+    return this.transitionTo('entry');
   }
 
   /**
@@ -100,6 +216,12 @@ export class TypewriterMetaball {
     this.ctx = this.canvas.getContext('2d');
     this.ctx.scale(dpr, dpr);
 
+    this._maskCanvas = document.createElement('canvas');
+    this._maskCanvas.width = this.canvas.width;
+    this._maskCanvas.height = this.canvas.height;
+    this._maskCtx = this._maskCanvas.getContext('2d');
+    this._maskCtx.scale(dpr, dpr);
+
     this._width = rect.width;
     this._height = rect.height;
 
@@ -116,9 +238,17 @@ export class TypewriterMetaball {
     }
 
     // Initialize letter mask generator
+    const outlines = this.options.outlineFont
+      ? await GlyphOutlineSource.load(this.options.outlineFont).catch((error) => {
+        console.warn('[TypewriterMetaball] Outline font unavailable, using fillText:', error);
+        return null;
+      })
+      : null;
+
     this.letterMasks = new LetterMaskGenerator(this.options.text, {
       fontFamily: 'Satoshi, sans-serif',
-      fontWeight: 900
+      fontWeight: 900,
+      outlines
     });
     this.letterMasks.init(this.ctx, this._width, this._height);
 
@@ -127,13 +257,58 @@ export class TypewriterMetaball {
       threshold: 1.0,
       gridResolution: 12,
       maxBlobs: 4,
-      baseRadius: Math.min(this._width, this._height) * 0.15
+      baseRadius: Math.min(this._width, this._height) * 0.15,
+      kernel: this.options.kernel
     });
     this.metaball.init(this._width, this._height);
+
+    if (this.options.bounce) {
+      this.metaball.addForce({ type: 'bounds' });
+    }
+
+    this.metaballMask = createMetaballMask(this.metaball, this.options.maskRenderer);
+  }
+
+  /**
+   * Switch the metaball mask renderer at runtime
+   * @param {'auto'|'webgl'|'canvas'} type - Requested renderer
+   * @returns {string} The renderer actually in use ('webgl' or 'canvas')
+   */
+  setMaskRenderer(type) {
+    this.options.maskRenderer = type;
+
+    if (this.metaball) {
+      this.metaballMask?.destroy();
+      this.metaballMask = createMetaballMask(this.metaball, type);
+    }
+
+    return this.metaballMask?.type ?? null;
+  }
+
+  /**
+   * Let a page element (e.g. the period trigger or a CTA) pull on the metaball
+   * @param {HTMLElement} element - Element whose center is the force center
+   * @param {Object} [options] - Force options for MetaballPhysics.addForce (default type: attractor)
+   * @returns {Object} The live force, for metaball.removeForce()
+   */
+  addElementForce(element, options = {}) {
+    return this.metaball.addForce({
+      type: 'attractor',
+      ...options,
+      position: () => {
+        const container = this.container.getBoundingClientRect();
+        const rect = element.getBoundingClientRect();
+        return {
+          x: rect.left + rect.width / 2 - container.left,
+          y: rect.top + rect.height / 2 - container.top
+        };
+      }
+    });
   }
 
   /**
    * Bind mouse/touch events
+   * Touch and pen pointers each drive their own primary blob
    */
   _bindEvents() {
     this._onMouseMove = (e) => {
@@ -150,9 +325,28 @@ export class TypewriterMetaball {
       this._isMouseOver = false;
     };
 
+    // Replays are deterministic: live touches must not add blobs
+    this._onPointerMove = (e) => {
+      if (e.pointerType === 'mouse' || this._replay) return;
+      const rect = this.container.getBoundingClientRect();
+      this.metaball.setPointer(e.pointerId, e.clientX - rect.left, e.clientY - rect.top);
+    };
+
+    this._onPointerEnd = (e) => {
+      if (e.pointerType === 'mouse' || this._replay) return;
+      this.metaball.releasePointer(e.pointerId);
+    };
+
     this.container.addEventListener('mousemove', this._onMouseMove);
     this.container.addEventListener('mouseenter', this._onMouseEnter);
     this.container.addEventListener('mouseleave', this._onMouseLeave);
+    this.container.addEventListener('pointerdown', this._onPointerMove);
+    this.container.addEventListener('pointermove', this._onPointerMove);
+    this.container.addEventListener('pointerup', this._onPointerEnd);
+    this.container.addEventListener('pointercancel', this._onPointerEnd);
+
+    this._touchAction = this.container.style.touchAction;
+    this.container.style.touchAction = POINTER_TOUCH_ACTION;
   }
 
   /**
@@ -182,8 +376,63 @@ export class TypewriterMetaball {
    * Update logic per frame
    */
   _update(dt) {
-    if (this._phase === 'interactive') {
+    if (this._replay) {
+      this._stepReplay();
+    } else if (this._phase === 'interactive') {
       this.metaball.update(dt, this._mouseX, this._mouseY, this._mouseVX, this._mouseVY);
+    } else if (this._morph) {
+      this._applyMorph();
+    }
+  }
+
+  /**
+   * Start recording metaball input (mouse, touch and frame timing)
+   */
+  startRecording() {
+    this.metaball.startRecording();
+  }
+
+  /**
+   * Stop recording metaball input
+   * @returns {Object|null} Recording for replay() or MetaballPhysics.replay()
+   */
+  stopRecording() {
+    return this.metaball.stopRecording();
+  }
+
+  /**
+   * Replay a recorded session, one recorded frame per rendered frame
+   * Live input is ignored until the replay ends ('replayEnd' event).
+   * @param {Object|string} recording - Recording from stopRecording()
+   */
+  replay(recording) {
+    if (typeof recording === 'string') recording = JSON.parse(recording);
+
+    this._cancelAllTimelines();
+    this.metaball.restoreState(recording.initial);
+    this._replay = { recording, index: 0 };
+    this._morph = null;
+
+    if (this._phase !== 'interactive') {
+      this._transitionDetached('interactive', { force: true });
+    }
+  }
+
+  /**
+   * Apply recorded inputs up to and including the next frame update
+   */
+  _stepReplay() {
+    const inputs = this._replay.recording.inputs;
+
+    while (this._replay.index < inputs.length) {
+      const input = inputs[this._replay.index++];
+      this.metaball.applyInput(input);
+      if (input.type === 'update') break;
+    }
+
+    if (this._replay.index >= inputs.length) {
+      this._replay = null;
+      this._emit('replayEnd', {});
     }
   }
 
@@ -214,14 +463,12 @@ export class TypewriterMetaball {
         this._renderEntryMask(ctx);
         break;
       case 'melt':
-        this._renderMeltMask(ctx);
+      case 'exit':
+        this._renderMorphMask(ctx);
         break;
       case 'interactive':
         this._renderInteractiveMask(ctx);
         break;
-      case 'exit':
-        this._renderExitMask(ctx);
-        break;
     }
 
     ctx.globalCompositeOperation = 'source-over';
@@ -241,32 +488,39 @@ export class TypewriterMetaball {
   }
 
   /**
-   * Render morphing mask during melt phase (stub for Phase 3)
+   * Render morphing mask during melt and exit: fading letters plus seed blobs
    */
-  _renderMeltMask(ctx) {
-    // Phase 3 will implement this
-    // For now, just draw letters or blob based on progress
-    if (this._meltProgress < 0.5) {
-      this.letterMasks.drawRevealedLetters(ctx);
+  _renderMorphMask(ctx) {
+    const mask = this._maskCtx;
+    mask.clearRect(0, 0, this._width, this._height);
+
+    if (this._morph) {
+      mask.globalAlpha = this._morph.letterAlpha;
+      this.letterMasks.drawRevealedLetters(mask);
+      mask.globalAlpha = 1;
+      this._drawMetaballMask(mask);
     } else {
-      ctx.fill(this.metaball.getMaskPath());
+      this.letterMasks.drawRevealedLetters(mask);
     }
+
+    ctx.drawImage(this._maskCanvas, 0, 0, this._width, this._height);
   }
 
   /**
    * Render metaball mask during interactive phase
    */
   _renderInteractiveMask(ctx) {
-    ctx.fillStyle = '#fff';
-    ctx.fill(this.metaball.getMaskPath());
+    this._drawMetaballMask(ctx);
   }
 
   /**
-   * Render exit mask (reverse morph - stub for Phase 3)
+   * Draw the metaball mask, falling back to the CPU renderer if the GPU one fails
    */
-  _renderExitMask(ctx) {
-    // Phase 3 will implement this
-    this.letterMasks.drawRevealedLetters(ctx);
+  _drawMetaballMask(ctx) {
+    if (!this.metaballMask.drawMask(ctx, this._width, this._height)) {
+      this.setMaskRenderer('canvas');
+      this.metaballMask.drawMask(ctx, this._width, this._height);
+    }
   }
 
   /**
@@ -280,39 +534,145 @@ export class TypewriterMetaball {
     ctx.fillText(`Revealed: ${this.letterMasks.revealedCount}/${this.letterMasks.letterCount}`, 10, 40);
     ctx.fillText(`Mouse: ${Math.round(this._mouseX)}, ${Math.round(this._mouseY)}`, 10, 60);
     ctx.fillText(`Blobs: ${this.metaball.getBlobs().length}`, 10, 80);
+    ctx.fillText(`Sim time: ${Math.round(this.metaball.time)}ms`, 10, 100);
+    ctx.fillText(`Mask: ${this.metaballMask.type}`, 10, 120);
+
+    if (this._replay) {
+      const { index, recording } = this._replay;
+      ctx.fillText(`Replay: ${index}/${recording.inputs.length}`, 10, 140);
+    } else if (this.metaball.isRecording) {
+      ctx.fillText('REC', 10, 140);
+    }
+
+    // Blob centers and radii (primaries solid, secondaries dashed)
+    ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
+    for (const blob of this.metaball.getBlobs()) {
+      const { x, y } = this.metaball.getRenderPosition(blob);
+      ctx.setLineDash(blob.isPrimary ? [] : [4, 4]);
+      ctx.beginPath();
+      ctx.arc(x, y, blob.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Check whether the transition table allows moving to a phase
+   * @param {string} phase - Target phase
+   * @returns {boolean}
+   */
+  canTransitionTo(phase) {
+    return PHASES[this._phase].to.includes(phase);
   }
 
   /**
    * Transition to a new phase
+   * Cancels the current phase, runs exit hooks, switches phase, then runs enter hooks.
+   * When those finish the phase's `next` phase (if any) is entered automatically.
+   * @param {string} phase - Target phase
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Skip the transition table (replay, debugging)
+   * @returns {Promise<boolean>} True once the phase's enter hooks finish, false if ignored or superseded
    */
-  transitionTo(phase) {
-    const prevPhase = this._phase;
-    this._phase = phase;
+  transitionTo(phase, { force = false } = {}) {
+    if (!PHASES[phase]) {
+      throw new Error(`Unknown TypewriterMetaball phase: ${phase}`);
+    }
 
-    switch (phase) {
-      case 'entry':
-        this._startEntry();
-        break;
-      case 'melt':
-        this._startMelt();
-        break;
-      case 'interactive':
-        this._startInteractive();
-        break;
-      case 'exit':
-        this._startExit();
-        break;
+    if (!force && !this.canTransitionTo(phase)) {
+      if (this.options.invalidTransition === 'throw') {
+        throw new Error(`Invalid TypewriterMetaball transition: ${this._phase} -> ${phase}`);
+      }
+      return Promise.resolve(false);
     }
 
-    this._emit('phaseChange', { from: prevPhase, to: phase });
+    return this._runTransition(this._phase, phase);
+  }
+
+  /**
+   * Run one transition; hooks that return nothing keep it synchronous
+   * @param {string} from - Current phase
+   * @param {string} to - Target phase
+   * @returns {Promise<boolean>}
+   */
+  async _runTransition(from, to) {
+    this._phaseController?.abort();
+    const controller = new AbortController();
+    this._phaseController = controller;
+    const { signal } = controller;
+
+    try {
+      this._emit('phaseExit', { phase: from, to });
+      const exiting = this._runHooks(from, 'exit', signal);
+      if (exiting) await exiting;
+      if (signal.aborted) return false;
+
+      this._phase = to;
+      this._emit('phaseChange', { from, to });
+      this._emit('phaseEnter', { phase: to, from });
+
+      const entering = this._runHooks(to, 'enter', signal);
+      if (entering) await entering;
+    } catch (err) {
+      if (signal.aborted) return false;
+      throw err;
+    }
+
+    if (signal.aborted) return false;
+
+    const { next } = PHASES[to];
+    if (next) {
+      this._transitionDetached(next);
+    }
+    return true;
+  }
+
+  /**
+   * Start a transition no caller awaits (auto-advance, replay)
+   * Hook failures go to 'error' listeners, or the console if there are none.
+   * @param {string} phase - Target phase
+   * @param {Object} [options] - See transitionTo()
+   */
+  _transitionDetached(phase, options) {
+    this.transitionTo(phase, options).catch((error) => {
+      if (this._listeners.has('error')) {
+        this._emit('error', { error, phase });
+      } else {
+        console.error('[TypewriterMetaball] Phase transition failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Run the built-in and configured hooks for a phase
+   * @param {string} phase - Phase whose hooks to run
+   * @param {'enter'|'exit'} kind - Hook kind
+   * @param {AbortSignal} signal - Aborts when the phase is superseded
+   * @returns {Promise|undefined} Promise only if some hook is async
+   */
+  _runHooks(phase, kind, signal) {
+    const builtIn = kind === 'enter' ? PHASES[phase].enter : null;
+    const results = [
+      builtIn ? this[builtIn](signal) : undefined,
+      this.options.phaseHooks[phase]?.[kind]?.call(this, signal)
+    ];
+
+    if (results.some(result => typeof result?.then === 'function')) {
+      return Promise.all(results);
+    }
   }
 
   /**
    * Start typewriter entry animation
+   * @param {AbortSignal} signal - Phase cancellation signal
+   * @returns {Promise<void>} Settles after the last letter and a short hold
    */
-  _startEntry() {
+  _startEntry(signal) {
     const letterCount = this.letterMasks.letterCount;
     this.letterMasks.revealedCount = 0;
+    this._meltProgress = 0;
+    this._morph = null;
+    this.metaball.reset();
 
     // Create staggered reveal timeline
     this._entryTimeline = createTimeline({
@@ -320,43 +680,56 @@ export class TypewriterMetaball {
     });
 
     // Animate revealedCount from 0 to letterCount
-    this._entryTimeline.add({
-      targets: this.letterMasks,
+    this._entryTimeline.add(this.letterMasks, {
       revealedCount: letterCount,
       duration: this.options.letterStagger * letterCount,
-      round: 1,  // Round to integers
+      modifier: Math.round,  // Round to integers
       ease: 'steps(' + letterCount + ')'
     });
 
-    // Transition to melt when complete
-    this._entryTimeline.then(() => {
-      setTimeout(() => this.transitionTo('melt'), 200);
-    });
+    return whenComplete(this._entryTimeline, signal).then(() => wait(ENTRY_HOLD, signal));
   }
 
   /**
-   * Start melt transition (stub - Phase 3 will implement)
+   * Start melt: letters dissolve into seed blobs that merge into the primary blob
+   * @param {AbortSignal} signal - Phase cancellation signal
+   * @returns {Promise<void>} Settles when the blob has formed
    */
-  _startMelt() {
+  _startMelt(signal) {
     this._meltProgress = 0;
+    this._replay = null;
+
+    const center = { x: this._width / 2, y: this.letterMasks.centerY };
+    this.metaball.clear();
+    const primary = this.metaball.addBlob(center.x, center.y, 0, true);
+
+    // Sample every letter's outline into seeds, sharing the budget
+    const inkLetters = this.letterMasks.letters.filter(l => !l.isSpace).length;
+    const maxSeeds = Math.max(1, Math.floor(MORPH_SEED_BUDGET / Math.max(inkLetters, 1)));
+    const seeds = [];
+
+    for (let i = 0; i < this.letterMasks.letterCount; i++) {
+      for (const seed of this.letterMasks.getLetterSeeds(i, { maxSeeds })) {
+        seeds.push({
+          from: seed,
+          to: { ...center, radius: 0 },
+          delay: this._letterDelay(i),
+          blob: this.metaball.addBlob(seed.x, seed.y, seed.radius)
+        });
+      }
+    }
 
-    // Initialize metaball at center
-    this.metaball.reset();
-    this.metaball.addBlob(
-      this._width / 2,
-      this._height / 2,
-      this.metaball.baseRadius,
-      true
-    );
-
-    // Animate melt progress
-    this._meltTimeline = animate({
-      targets: this,
+    this._morph = { type: 'melt', primary, seeds, letterAlpha: 1 };
+    this._applyMorph();
+
+    this._meltTimeline = animate(this, {
       _meltProgress: 1,
       duration: this.options.meltDuration,
       ease: 'inOutQuad',
-      complete: () => this.transitionTo('interactive')
+      autoplay: this.options.morphAutoplay
     });
+
+    return whenComplete(this._meltTimeline, signal).then(() => this._endMorph());
   }
 
   /**
@@ -368,27 +741,137 @@ export class TypewriterMetaball {
   }
 
   /**
-   * Start exit animation (stub - Phase 3 will implement)
+   * Start exit: the blob splits onto the letter centers, which crystallize back into letters
+   * @param {AbortSignal} signal - Phase cancellation signal
+   * @returns {Promise<void>} Settles when the letters are back
    */
-  _startExit() {
-    // Animate back to letters
-    this._exitTimeline = animate({
-      targets: this,
+  _startExit(signal) {
+    this._replay = null;
+    this._meltProgress = 1;
+
+    // Split from wherever the blob currently is
+    const current = this.metaball.getPrimaryBlob();
+    const origin = current
+      ? this.metaball.getRenderPosition(current)
+      : { x: this._width / 2, y: this.letterMasks.centerY };
+
+    this.metaball.clear();
+    const primary = this.metaball.addBlob(origin.x, origin.y, this.metaball.baseRadius, true);
+    const seeds = [];
+
+    for (let i = 0; i < this.letterMasks.letterCount; i++) {
+      if (this.letterMasks.letters[i].isSpace) continue;
+      const bounds = this.letterMasks.getLetterBounds(i);
+
+      seeds.push({
+        from: { ...origin, radius: 0 },
+        to: { ...this.letterMasks.getLetterCenter(i), radius: Math.min(bounds.width, bounds.height) * 0.5 },
+        delay: this._letterDelay(i),
+        blob: this.metaball.addBlob(origin.x, origin.y, 0)
+      });
+    }
+
+    this.letterMasks.revealedCount = this.letterMasks.letterCount;
+    this._morph = { type: 'exit', primary, seeds, letterAlpha: 0 };
+    this._applyMorph();
+
+    this._exitTimeline = animate(this, {
       _meltProgress: 0,
       duration: this.options.meltDuration,
       ease: 'outQuad',
-      complete: () => this.transitionTo('idle')
+      autoplay: this.options.morphAutoplay
     });
+
+    return whenComplete(this._exitTimeline, signal).then(() => this._endMorph());
   }
 
   /**
-   * Restart animation from beginning
+   * Seek the running melt or exit morph (e.g. from scroll)
+   * @param {number} progress - Morph progress from its start (0) to its end (1)
+   */
+  seekMorph(progress) {
+    const timeline = this._phase === 'melt' ? this._meltTimeline
+      : this._phase === 'exit' ? this._exitTimeline
+      : null;
+    if (!timeline || !this._morph) return;
+
+    timeline.seek(timeline.duration * clamp01(progress));
+
+    // Seeking to the end completes (and clears) the morph
+    if (this._morph) this._applyMorph();
+  }
+
+  /**
+   * Morph start offset for a letter, so letters move left to right
+   * @param {number} index - Letter index
+   * @returns {number} Delay as a fraction of the morph
+   */
+  _letterDelay(index) {
+    return (index / Math.max(this.letterMasks.letterCount - 1, 1)) * MORPH_STAGGER;
+  }
+
+  /**
+   * Pose the morph blobs for the current _meltProgress
+   * Pure function of progress, so seeking in either direction is exact.
+   */
+  _applyMorph() {
+    const morph = this._morph;
+    const baseRadius = this.metaball.baseRadius;
+
+    // Progress in the direction of the morph (0 = start, 1 = end)
+    const progress = morph.type === 'melt' ? this._meltProgress : 1 - this._meltProgress;
+
+    const { primary } = morph;
+    if (morph.type === 'melt') {
+      primary.radius = baseRadius * smoothstep(0.2, 1, progress);
+      morph.letterAlpha = 1 - smoothstep(0, 0.35, progress);
+    } else {
+      primary.radius = baseRadius * (1 - smoothstep(0, 0.6, progress));
+      morph.letterAlpha = smoothstep(0.6, 1, progress);
+    }
+
+    // Exit seeds give way to the crystallizing letters
+    const fade = morph.type === 'exit' ? 1 - smoothstep(0.7, 1, progress) : 1;
+    const active = primary.radius >= MIN_MORPH_RADIUS ? [primary] : [];
+
+    for (const seed of morph.seeds) {
+      const t = smoothstep(0, 1, (progress - seed.delay) / (1 - MORPH_STAGGER));
+      const blob = seed.blob;
+
+      blob.x = blob.px = seed.from.x + (seed.to.x - seed.from.x) * t;
+      blob.y = blob.py = seed.from.y + (seed.to.y - seed.from.y) * t;
+      // Seeds keep their size in flight and resize on arrival
+      blob.radius = (seed.from.radius + (seed.to.radius - seed.from.radius) * t * t) * fade;
+
+      if (blob.radius >= MIN_MORPH_RADIUS) active.push(blob);
+    }
+
+    this.metaball.blobs = active;
+  }
+
+  /**
+   * Settle the morph's final blobs
+   */
+  _endMorph() {
+    if (!this._morph) return;
+
+    const { type, primary } = this._morph;
+    if (type === 'melt') {
+      primary.radius = this.metaball.baseRadius;
+      this.metaball.blobs = [primary];
+    } else {
+      this.metaball.blobs = [];
+    }
+
+    this._morph = null;
+  }
+
+  /**
+   * Restart animation from beginning (allowed from every phase)
+   * @returns {Promise<boolean>} See transitionTo()
    */
   restart() {
-    this._cancelAllTimelines();
-    this.letterMasks.revealedCount = 0;
-    this._meltProgress = 0;
-    this.transitionTo('entry');
+    return this.transitionTo('entry');
   }
 
   /**
@@ -419,6 +902,7 @@ export class TypewriterMetaball {
    * Clean up resources
    */
   destroy() {
+    this._phaseController?.abort();
     this._cancelAllTimelines();
 
     if (this._animationFrame) {
@@ -428,6 +912,18 @@ export class TypewriterMetaball {
     this.container.removeEventListener('mousemove', this._onMouseMove);
     this.container.removeEventListener('mouseenter', this._onMouseEnter);
     this.container.removeEventListener('mouseleave', this._onMouseLeave);
+    this.container.removeEventListener('pointerdown', this._onPointerMove);
+    this.container.removeEventListener('pointermove', this._onPointerMove);
+    this.container.removeEventListener('pointerup', this._onPointerEnd);
+    this.container.removeEventListener('pointercancel', this._onPointerEnd);
+    if (this._touchAction !== undefined) {
+      this.container.style.touchAction = this._touchAction;
+    }
+
+    if (this.metaballMask) {
+      this.metaballMask.destroy();
+      this.metaballMask = null;
+    }
 
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
@@ -1,6 +1,6 @@
 /**
  * DEM Systems - Video Reveal Canvas
- * Canvas-based video reveal with radial mask
+ * Canvas-based video reveal with radial (or custom path) mask
  * Vanilla JS port of MouseRevealVideo.tsx from automation-hero
  */
 
@@ -224,6 +224,45 @@ export class VideoRevealCanvas {
    * @param {boolean} isActive - Whether mouse is active (inside container)
    */
   render(mouseX, mouseY, isActive) {
+    this._renderMasked(isActive, (width, height) => {
+      // Create radial gradient for feathered mask
+      const innerRadius = Math.max(0, this.revealRadius - this.edgeSoftness);
+      const outerRadius = this.revealRadius;
+
+      const gradient = this.ctx.createRadialGradient(
+        mouseX, mouseY, innerRadius,
+        mouseX, mouseY, outerRadius
+      );
+
+      // Solid center, fade to transparent at edge
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+      // Draw the gradient mask
+      this.ctx.fillStyle = gradient;
+      this.ctx.fillRect(0, 0, width, height);
+    });
+  }
+
+  /**
+   * Render a frame masked by an arbitrary shape (e.g. metaball contours)
+   * @param {Path2D} path - Mask shape in canvas coordinates (filled with 'evenodd')
+   * @param {boolean} isActive - Whether any pointer is active
+   */
+  renderPath(path, isActive) {
+    this._renderMasked(isActive, () => {
+      this.ctx.fillStyle = '#000';
+      this.ctx.fill(path, 'evenodd');
+    });
+  }
+
+  /**
+   * Draw the video frame, then keep only what the mask callback draws
+   * @private
+   * @param {boolean} isActive - Whether to draw at all
+   * @param {function(number, number): void} drawMask - Draws the mask at (width, height)
+   */
+  _renderMasked(isActive, drawMask) {
     if (!this.ctx || !this.canvas) return;
 
     const width = this.canvas.width / this.dpr;
@@ -245,26 +284,10 @@ export class VideoRevealCanvas {
     const dims = this._calculateVideoDimensions(width, height);
     this.ctx.drawImage(this.video, dims.x, dims.y, dims.width, dims.height);
 
-    // Apply radial gradient mask using globalCompositeOperation
+    // Apply mask using globalCompositeOperation
     // 'destination-in' keeps only the intersection with the next draw
     this.ctx.globalCompositeOperation = 'destination-in';
-
-    // Create radial gradient for feathered mask
-    const innerRadius = Math.max(0, this.revealRadius - this.edgeSoftness);
-    const outerRadius = this.revealRadius;
-
-    const gradient = this.ctx.createRadialGradient(
-      mouseX, mouseY, innerRadius,
-      mouseX, mouseY, outerRadius
-    );
-
-    // Solid center, fade to transparent at edge
-    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-
-    // Draw the gradient mask
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(0, 0, width, height);
+    drawMask(width, height);
 
     // Restore context state
     this.ctx.restore();
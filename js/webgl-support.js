@@ -0,0 +1,110 @@
+/**
+ * WebGL2 Support
+ *
+ * Shared plumbing for the full-screen-pass renderers:
+ * - metaball-mask-renderer.js (WebGLMetaballMask)
+ * - text-mask-compositor.js (WebGLTextCompositor)
+ *
+ * One support probe serves both, so the page creates at most one throwaway
+ * context however many renderers ask.
+ */
+
+// Cached probe result; every probe context counts toward the browser's context limit
+let webgl2Supported = null;
+
+// Full-screen triangle from gl_VertexID (no vertex buffers needed)
+export const FULLSCREEN_VERTEX_SHADER = `#version 300 es
+void main() {
+  vec2 pos = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+  gl_Position = vec4(pos * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+/**
+ * Check for WebGL2 support (probed once, then cached)
+ * @returns {boolean}
+ */
+export function isWebGL2Supported() {
+  if (webgl2Supported === null) {
+    if (typeof document === 'undefined') return false;
+
+    const gl = document.createElement('canvas').getContext('webgl2');
+    webgl2Supported = !!gl;
+    releaseContext(gl);
+  }
+
+  return webgl2Supported;
+}
+
+/**
+ * Get a WebGL2 context for a single premultiplied full-screen pass
+ * @param {HTMLCanvasElement} canvas
+ * @returns {WebGL2RenderingContext}
+ */
+export function createWebGL2Context(canvas) {
+  const gl = canvas.getContext('webgl2', {
+    premultipliedAlpha: true,
+    antialias: false,
+    depth: false,
+    stencil: false
+  });
+  if (!gl) {
+    throw new Error('WebGL2 is not available');
+  }
+
+  return gl;
+}
+
+/**
+ * Compile a shader, throwing with the info log on failure
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+ * @param {string} source - GLSL source
+ * @param {string} label - Shader name for error messages
+ * @returns {WebGLShader}
+ */
+function compileShader(gl, type, source, label) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`${label} shader failed to compile: ${log}`);
+  }
+
+  return shader;
+}
+
+/**
+ * Compile and link a full-screen-pass program
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} fragmentSource - GLSL fragment shader (FULLSCREEN_VERTEX_SHADER is the vertex stage)
+ * @param {string} label - Shader name for error messages (e.g. 'Metaball')
+ * @returns {WebGLProgram}
+ */
+export function createFullscreenProgram(gl, fragmentSource, label) {
+  const vertex = compileShader(gl, gl.VERTEX_SHADER, FULLSCREEN_VERTEX_SHADER, label);
+  const fragment = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource, label);
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.linkProgram(program);
+  gl.deleteShader(vertex);
+  gl.deleteShader(fragment);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`${label} shader failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  return program;
+}
+
+/**
+ * Free a context now rather than when the browser hits its context limit
+ * @param {WebGL2RenderingContext|null} gl
+ */
+export function releaseContext(gl) {
+  gl?.getExtension('WEBGL_lose_context')?.loseContext();
+}
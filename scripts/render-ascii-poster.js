@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Render ASCII Poster
+ *
+ * Converts a still image (e.g. a hero frame) to ASCII art with the same
+ * core the browser's AsciiVideoEngine uses, and writes it as text, ANSI,
+ * HTML or SVG.
+ *
+ * Usage: node scripts/render-ascii-poster.js <image> [options]
+ *
+ *   --charset <name>     Character set (default: braille)
+ *   --width <n>          Width in source pixels (default: 160)
+ *   --dither <name>      floyd-steinberg | atkinson | bayer (default: none)
+ *   --format <name>      text | ansi | html | svg (default: text)
+ *   --font-size <n>      Font size for html/svg (default: 10)
+ *   --mono               Disable colored output
+ *   --invert             Invert brightness
+ *   --out <file>         Output file (default: stdout)
+ */
+
+const { createCanvas, loadImage } = require('canvas');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULTS = {
+  charset: 'braille',
+  width: 160,
+  dither: 'none',
+  format: 'text',
+  fontSize: 10,
+  colored: true,
+  invert: false,
+  out: null,
+};
+
+/**
+ * Parse argv into an options object
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, input: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--charset': options.charset = argv[++i]; break;
+      case '--width': options.width = parseInt(argv[++i], 10); break;
+      case '--dither': options.dither = argv[++i]; break;
+      case '--format': options.format = argv[++i]; break;
+      case '--font-size': options.fontSize = parseInt(argv[++i], 10); break;
+      case '--mono': options.colored = false; break;
+      case '--invert': options.invert = true; break;
+      case '--out': options.out = argv[++i]; break;
+      default: options.input = arg;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.input) {
+    console.error('Usage: node scripts/render-ascii-poster.js <image> [--charset braille] [--format text|ansi|html|svg] [--out file]');
+    process.exit(1);
+  }
+
+  // ascii-core.js is an ES module shared with the browser
+  const {
+    calculateAsciiDimensions,
+    processAsciiFrame,
+    exportAsciiFrame,
+  } = await import('../js/ascii-core.js');
+
+  const image = await loadImage(path.resolve(options.input));
+  const dims = calculateAsciiDimensions(image.width, image.height, options.width, options.charset);
+
+  const canvas = createCanvas(dims.width, dims.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0, dims.width, dims.height);
+
+  const frame = processAsciiFrame(ctx.getImageData(0, 0, dims.width, dims.height), {
+    characterSet: options.charset,
+    dithering: options.dither,
+    colored: options.colored,
+    invert: options.invert,
+    threshold: 128,
+  });
+
+  const output = exportAsciiFrame(frame, options.format, { fontSize: options.fontSize });
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.log(`Wrote ${frame.lines[0]?.length || 0}x${frame.lines.length} ${options.format} poster to ${options.out}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
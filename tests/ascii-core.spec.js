@@ -0,0 +1,317 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const core = require('../js/ascii-core.js');
+
+/**
+ * ASCII Core Unit Tests
+ *
+ * Runs the DOM-free conversion core directly in Node (no browser page):
+ * - Luminance, braille and edge character mapping
+ * - Dithering on ImageData-shaped objects
+ * - Dimension calculation per charset
+ * - Text / ANSI / HTML / SVG export
+ */
+
+/**
+ * Build an ImageData-shaped object from a grayscale callback
+ */
+function grayImage(width, height, valueAt) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const v = valueAt(x, y);
+      data[idx] = v;
+      data[idx + 1] = v;
+      data[idx + 2] = v;
+      data[idx + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+test.describe('ASCII Core (headless)', () => {
+
+  test.describe('Character Mapping', () => {
+
+    test('luminance mapping picks ramp ends for black and white', () => {
+      const image = grayImage(4, 1, (x) => (x < 2 ? 0 : 255));
+      const lines = core.mapToCharacters(image, 'simple');
+
+      expect(lines).toEqual(['  @@']);
+    });
+
+    test('invert flips the luminance ramp', () => {
+      const image = grayImage(4, 1, (x) => (x < 2 ? 0 : 255));
+      const lines = core.mapToCharacters(image, 'simple', { invert: true });
+
+      expect(lines).toEqual(['@@  ']);
+    });
+
+    test('braille packs 2x4 pixels into one character', () => {
+      const image = grayImage(4, 4, (x) => (x < 2 ? 255 : 0));
+      const lines = core.mapToCharacters(image, 'braille');
+
+      // All 8 dots lit, then no dots
+      expect(lines).toEqual(['⣿⠀']);
+    });
+
+    test('encodeBraille respects the threshold', () => {
+      const image = grayImage(2, 4, () => 100);
+
+      expect(core.encodeBraille(image, 50)).toEqual(['⣿']);
+      expect(core.encodeBraille(image, 150)).toEqual(['⠀']);
+    });
+
+    test('contour mode draws a vertical edge with pipes', () => {
+      const image = grayImage(6, 3, (x) => (x < 3 ? 0 : 255));
+      const lines = core.mapToCharacters(image, 'contour');
+
+      expect(lines).toEqual(['  ||  ', '  ||  ', '  ||  ']);
+    });
+
+  });
+
+  test.describe('Dithering', () => {
+
+    test('returns ImageData-shaped output without a DOM', () => {
+      const image = grayImage(4, 4, () => 128);
+      const dithered = core.applyDithering(image, 'floyd-steinberg');
+
+      expect(dithered.width).toBe(4);
+      expect(dithered.height).toBe(4);
+      expect(dithered.data.length).toBe(64);
+      // Pure black/white after error diffusion
+      for (let i = 0; i < dithered.data.length; i += 4) {
+        expect([0, 255]).toContain(dithered.data[i]);
+      }
+    });
+
+    test('leaves the input untouched', () => {
+      const image = grayImage(4, 4, () => 128);
+      core.applyDithering(image, 'atkinson');
+
+      expect(image.data[0]).toBe(128);
+    });
+
+  });
+
+  test.describe('Charset Registry', () => {
+
+    /**
+     * Fake canvas factory: each glyph inks a fixed number of pixels
+     */
+    function fakeCanvas(inkByChar) {
+      return (width, height) => {
+        let drawn = '';
+        return {
+          getContext: () => ({
+            measureText: () => ({ width: width }),
+            clearRect: () => { drawn = ''; },
+            fillText: (char) => { drawn = char; },
+            getImageData: () => {
+              const data = new Uint8ClampedArray(width * height * 4);
+              for (let i = 0; i < (inkByChar[drawn] || 0); i++) data[i * 4 + 3] = 255;
+              return { width, height, data };
+            },
+          }),
+        };
+      };
+    }
+
+    test('sorts glyphs by measured ink coverage', () => {
+      const charset = core.registerCharset('test-ramp', '#. :', {
+        font: 'Satoshi',
+        createCanvas: fakeCanvas({ '#': 90, '.': 5, ':': 12 }),
+      });
+
+      expect(charset.characters).toBe(' .:#');
+      expect(charset.font).toBe('Satoshi');
+      expect(core.mapToCharacters(grayImage(2, 1, (x) => x * 255), 'test-ramp')).toEqual([' #']);
+    });
+
+    test('keeps the given order with sort: false', () => {
+      const charset = core.registerCharset('test-fixed', 'ab', { sort: false });
+
+      expect(charset.characters).toBe('ab');
+    });
+
+  });
+
+  test.describe('Palettes', () => {
+
+    test('median cut splits distinct colors into separate entries', () => {
+      const image = grayImage(4, 1, (x) => (x < 2 ? 0 : 200));
+      const palette = core.medianCutPalette(image, 2);
+
+      expect(palette).toEqual([[0, 0, 0], [200, 200, 200]]);
+    });
+
+    test('dithering against a duotone only produces its two colors', () => {
+      const image = grayImage(8, 8, (x, y) => (x + y) * 16);
+      const frame = core.processAsciiFrame(image, {
+        characterSet: 'simple',
+        dithering: 'floyd-steinberg',
+        colored: true,
+        palette: 'duotone',
+        duotoneColors: ['#102030', '#f0e0d0'],
+      });
+
+      const seen = new Set();
+      for (let i = 0; i < frame.colors.length; i += 3) {
+        seen.add(`${frame.colors[i]},${frame.colors[i + 1]},${frame.colors[i + 2]}`);
+      }
+      expect([...seen].sort()).toEqual(['16,32,48', '240,224,208']);
+    });
+
+    test('undithered colors snap to the brand palette', () => {
+      const frame = core.processAsciiFrame(grayImage(1, 1, () => 120), {
+        characterSet: 'simple',
+        colored: true,
+        palette: 'brand',
+      });
+
+      expect(Array.from(frame.colors)).toEqual([113, 113, 113]);
+    });
+
+  });
+
+  test.describe('Temporal Coherence', () => {
+
+    test('hysteresis holds glyphs until luminance moves past the delta', () => {
+      const state = {};
+      const options = { characterSet: 'simple', hysteresis: 40 };
+
+      const first = core.processAsciiFrame(grayImage(1, 1, () => 100), options, state);
+      const nudged = core.processAsciiFrame(grayImage(1, 1, () => 130), options, state);
+      const moved = core.processAsciiFrame(grayImage(1, 1, () => 200), options, state);
+
+      expect(first.lines).toEqual(['-']);
+      // 130 alone would map to '+'
+      expect(nudged.lines).toEqual(['-']);
+      expect(moved.lines).toEqual(['#']);
+    });
+
+    test('color smoothing blends toward the new color', () => {
+      const state = {};
+      const options = { characterSet: 'simple', colored: true, colorSmoothing: 0.5 };
+
+      core.processAsciiFrame(grayImage(1, 1, () => 0), options, state);
+      const next = core.processAsciiFrame(grayImage(1, 1, () => 200), options, state);
+
+      expect(Array.from(next.colors)).toEqual([100, 100, 100]);
+    });
+
+    test('resets history when the charset changes', () => {
+      const state = {};
+
+      core.processAsciiFrame(grayImage(1, 1, () => 100), { characterSet: 'simple', hysteresis: 255 }, state);
+      const next = core.processAsciiFrame(grayImage(1, 1, () => 100), { characterSet: 'blocks', hysteresis: 255 }, state);
+
+      expect(next.lines).toEqual(['\u2591']);
+    });
+
+  });
+
+  test.describe('Pointer Field', () => {
+
+    /**
+     * 2D context stub recording each fillText with its fill style
+     */
+    function recordingContext() {
+      const calls = [];
+      const ctx = {
+        fillStyle: '',
+        fillRect: () => {},
+        fillText: (char, x, y) => calls.push({ char, x, y, style: ctx.fillStyle }),
+      };
+      return { ctx, calls };
+    }
+
+    test('brighten lifts colors near the pointer only', () => {
+      const { ctx, calls } = recordingContext();
+      const colors = new Uint8ClampedArray([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+      core.drawAsciiFrame(ctx, ['....'], colors, {
+        fontSize: 10,
+        field: { x: 3, y: 5, radius: 6, effect: 'brighten' },
+      });
+
+      expect(calls[0].style).not.toBe('rgb(0,0,0)');
+      expect(calls[3].style).toBe('rgb(0,0,0)');
+    });
+
+    test('displace pushes glyphs away from the pointer', () => {
+      const { ctx, calls } = recordingContext();
+
+      core.drawAsciiFrame(ctx, ['..'], null, {
+        fontSize: 10,
+        field: { x: 0, y: 5, radius: 20, effect: 'displace' },
+      });
+
+      expect(calls[1].x).toBeGreaterThan(6);
+    });
+
+    test('charset swaps glyphs using per-cell luminance', () => {
+      const { ctx, calls } = recordingContext();
+
+      core.drawAsciiFrame(ctx, ['@@'], null, {
+        fontSize: 10,
+        luminance: new Float32Array([255, 255]),
+        field: { x: 3, y: 5, radius: 4, effect: 'charset', characters: ' x' },
+      });
+
+      expect(calls.map((c) => c.char)).toEqual(['x', '@']);
+    });
+
+  });
+
+  test.describe('Dimensions', () => {
+
+    test('snaps braille to 2x4 blocks and quadrants to 2x2', () => {
+      expect(core.calculateAsciiDimensions(1920, 1080, 121, 'braille')).toEqual({ width: 120, height: 32 });
+      expect(core.calculateAsciiDimensions(1920, 1080, 121, 'quadrants')).toEqual({ width: 120, height: 32 });
+      expect(core.calculateAsciiDimensions(1920, 1080, 120, 'simple')).toEqual({ width: 120, height: 34 });
+    });
+
+  });
+
+  test.describe('Export', () => {
+
+    const frame = {
+      lines: ['a<', 'bb'],
+      colors: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 0, 0, 255, 0, 255, 0]),
+    };
+
+    test('text joins lines', () => {
+      expect(core.exportAsciiFrame(frame, 'text')).toBe('a<\nbb');
+    });
+
+    test('ansi emits one 24-bit escape per color run', () => {
+      expect(core.exportAsciiFrame(frame, 'ansi')).toBe(
+        '\x1b[38;2;255;0;0ma<\x1b[0m\n' +
+        '\x1b[38;2;0;0;255mb\x1b[38;2;0;255;0mb\x1b[0m'
+      );
+    });
+
+    test('html is a standalone escaped document', () => {
+      const html = core.exportAsciiFrame(frame, 'html');
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<span style="color:rgb(255,0,0)">a&lt;</span>');
+    });
+
+    test('svg positions runs by character width', () => {
+      const svg = core.exportAsciiFrame(frame, 'svg', { fontSize: 10 });
+
+      expect(svg).toContain('width="12" height="20"');
+      expect(svg).toContain('<tspan x="6" fill="rgb(0,255,0)">b</tspan>');
+    });
+
+    test('rejects unknown formats', () => {
+      expect(() => core.exportAsciiFrame(frame, 'gif')).toThrow('Unknown ASCII export format');
+    });
+
+  });
+
+});
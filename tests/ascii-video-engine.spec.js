@@ -0,0 +1,358 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * AsciiVideoEngine Browser Tests
+ *
+ * Drives the engine with synthetic sources instead of the video playlist:
+ * - Canvas source rendering
+ * - MediaStream source (canvas.captureStream as a fake camera)
+ * - Switching sources at runtime
+ * - Adaptive quality stepping down and back up
+ * - DOM render mode
+ * - Worker mode matching the main thread, and falling back to it
+ */
+
+test.describe('AsciiVideoEngine Sources', () => {
+
+  test('renders frames from a canvas source', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine } = await import('/js/ascii-video-engine.js');
+
+      const source = document.createElement('canvas');
+      source.width = 160;
+      source.height = 80;
+      const ctx = source.getContext('2d');
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, 80, 80);
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(80, 0, 80, 80);
+
+      const engine = new AsciiVideoEngine({
+        source,
+        characterSet: 'simple',
+        width: 20,
+        colored: false,
+      });
+
+      const hasVideo = engine.video !== null;
+      const frame = await new Promise((resolve) => {
+        engine.onFrame = (lines) => resolve(lines);
+        engine.play();
+      });
+      engine.destroy();
+
+      return { frame, hasVideo };
+    });
+
+    expect(result.hasVideo).toBe(false);
+    expect(result.frame.length).toBe(5);
+    // Black left half, white right half (edge columns may blend when scaled)
+    expect(result.frame[0].length).toBe(20);
+    expect(result.frame[0].startsWith('        ')).toBe(true);
+    expect(result.frame[0].endsWith('@@@@@@@@')).toBe(true);
+  });
+
+  test('plays a MediaStream through a hidden video', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine } = await import('/js/ascii-video-engine.js');
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 32;
+      canvas.getContext('2d').fillRect(0, 0, 64, 32);
+      const stream = canvas.captureStream(10);
+
+      const engine = new AsciiVideoEngine({ source: stream, characterSet: 'simple', width: 16 });
+      const usesStream = engine.video.srcObject === stream;
+
+      engine.destroy();
+      const trackLive = stream.getVideoTracks()[0].readyState === 'live';
+
+      return { usesStream, trackLive };
+    });
+
+    expect(result.usesStream).toBe(true);
+    // The caller owns the stream; destroy() only detaches it
+    expect(result.trackLive).toBe(true);
+  });
+
+  test('setSource() switches between canvas and playlist', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine } = await import('/js/ascii-video-engine.js');
+
+      const engine = new AsciiVideoEngine({ playlist: ['assets/videos/dem-loop-08.mp4'] });
+      const startsWithVideo = engine.video !== null;
+
+      const canvas = document.createElement('canvas');
+      await engine.setSource(canvas);
+      const canvasActive = engine.video === null && engine.imageSource === canvas;
+
+      await engine.setSource(null);
+      const backToPlaylist = engine.video !== null && engine.video.src.endsWith('dem-loop-08.mp4');
+
+      engine.destroy();
+      return { startsWithVideo, canvasActive, backToPlaylist };
+    });
+
+    expect(result.startsWithVideo).toBe(true);
+    expect(result.canvasActive).toBe(true);
+    expect(result.backToPlaylist).toBe(true);
+  });
+
+});
+
+test.describe('AsciiVideoEngine Adaptive Quality', () => {
+
+  test('steps quality down under load and back up to the preferred settings', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine } = await import('/js/ascii-video-engine.js');
+
+      const events = [];
+      const engine = new AsciiVideoEngine({
+        source: document.createElement('canvas'),
+        width: 50,
+        minWidth: 40,
+        minFps: 12,
+        targetFps: 30,
+        dithering: 'atkinson',
+        adaptiveQuality: true,
+        qualityBudget: 10,
+        onQualityChange: (event) => events.push(event),
+      });
+
+      // Controlled clock: each batch lands after the one-second cooldown
+      let now = 10000;
+      performance.now = () => now;
+
+      const settings = () => ({ width: engine.width, dithering: engine.dithering, targetFps: engine.targetFps });
+      const steps = [];
+      // One sample window of frames, then wait out the cooldown (or not)
+      const feed = (processingTime, wait = 1100) => {
+        const before = events.length;
+        for (let i = 0; i < 10; i++) engine._governQuality(processingTime);
+        steps.push({ events: events.length - before, ...settings() });
+        now += wait;
+      };
+
+      for (let i = 0; i < 4; i++) feed(20); // Over the 10ms budget
+      feed(2, 0); // Under half of it
+      feed(2); // Same second: cooldown holds the next step
+      for (let i = 0; i < 4; i++) feed(2);
+
+      delete performance.now;
+      engine.destroy();
+
+      return {
+        steps,
+        events: events.map(({ direction, changes, width, dithering, targetFps, budget }) =>
+          ({ direction, changes, width, dithering, targetFps, budget })),
+      };
+    });
+
+    // Dithering goes first, then width, then fps...
+    expect(result.steps.slice(0, 4)).toEqual([
+      { events: 1, width: 50, dithering: 'none', targetFps: 30 },
+      { events: 1, width: 40, dithering: 'none', targetFps: 30 },
+      { events: 1, width: 40, dithering: 'none', targetFps: 26 },
+      { events: 1, width: 40, dithering: 'none', targetFps: 22 },
+    ]);
+
+    // ...and they come back in reverse, stopping at the preferred settings
+    expect(result.steps.slice(4)).toEqual([
+      { events: 1, width: 40, dithering: 'none', targetFps: 26 },
+      { events: 0, width: 40, dithering: 'none', targetFps: 26 },
+      { events: 1, width: 40, dithering: 'none', targetFps: 30 },
+      { events: 1, width: 50, dithering: 'none', targetFps: 30 },
+      { events: 1, width: 50, dithering: 'atkinson', targetFps: 30 },
+      { events: 0, width: 50, dithering: 'atkinson', targetFps: 30 },
+    ]);
+
+    // Each callback carries the change and the settings it produced
+    expect(result.events.map(e => e.direction)).toEqual(['down', 'down', 'down', 'down', 'up', 'up', 'up', 'up']);
+    expect(result.events[1]).toEqual({
+      direction: 'down',
+      changes: { width: 40 },
+      width: 40,
+      dithering: 'none',
+      targetFps: 30,
+      budget: 10,
+    });
+    expect(result.events[7].changes).toEqual({ dithering: 'atkinson' });
+  });
+
+});
+
+test.describe('AsciiVideoEngine Output', () => {
+
+  test('renders a frame as colored spans in DOM mode', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine } = await import('/js/ascii-video-engine.js');
+
+      const source = document.createElement('canvas');
+      source.width = 160;
+      source.height = 80;
+      const ctx = source.getContext('2d');
+      ctx.fillStyle = '#000';
+      ctx.fillRect(0, 0, 80, 80);
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(80, 0, 80, 80);
+
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+
+      const engine = new AsciiVideoEngine({
+        source,
+        container,
+        characterSet: 'simple',
+        width: 20,
+        colored: true,
+        renderMode: 'dom',
+      });
+
+      const frame = await new Promise((resolve) => {
+        engine.onFrame = (lines) => resolve(lines);
+        engine.play();
+      });
+
+      const pre = container.querySelector('pre');
+      const state = {
+        frame,
+        text: pre.textContent,
+        spans: pre.querySelectorAll('span').length,
+      };
+
+      engine.destroy();
+      container.remove();
+      return state;
+    });
+
+    expect(result.text).toBe(result.frame.map(line => line + '\n').join(''));
+    expect(result.spans).toBe(20 * result.frame.length);
+  });
+
+});
+
+test.describe('AsciiVideoEngine Worker', () => {
+
+  test('worker frames match the main thread, registered charsets included', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine, registerCharset } = await import('/js/ascii-video-engine.js');
+
+      // Only exists in the main thread's registry until the engine mirrors it
+      registerCharset('spec-ramp', '@%#*+=-:. ');
+
+      // One flat gray per column: 20 columns map 1:1 and rows only shrink,
+      // so browser resampling can't make the two pipelines differ
+      const source = document.createElement('canvas');
+      source.width = 20;
+      source.height = 10;
+      const ctx = source.getContext('2d');
+      for (let x = 0; x < 20; x++) {
+        const gray = Math.round((x * 255) / 19);
+        ctx.fillStyle = `rgb(${gray}, ${gray}, ${gray})`;
+        ctx.fillRect(x, 0, 1, 10);
+      }
+
+      const run = async (useWorker) => {
+        const engine = new AsciiVideoEngine({
+          source,
+          characterSet: 'spec-ramp',
+          width: 20,
+          colored: true,
+          useWorker,
+        });
+
+        const threaded = engine.worker !== null;
+        const lines = await new Promise((resolve) => {
+          engine.onFrame = (frame) => resolve(frame);
+          engine.play();
+        });
+        const colors = Array.from(engine.lastFrame.colors);
+        engine.destroy();
+
+        return { threaded, lines, colors };
+      };
+
+      return { main: await run(false), worker: await run(true) };
+    });
+
+    expect(result.main.threaded).toBe(false);
+    expect(result.worker.threaded).toBe(true);
+    // Sorted by ink, so black maps to the space and the gradient spans the ramp
+    expect(result.main.lines[0][0]).toBe(' ');
+    expect(new Set(result.main.lines[0]).size).toBeGreaterThan(5);
+    expect(result.worker.lines).toEqual(result.main.lines);
+    expect(result.worker.colors).toEqual(result.main.colors);
+  });
+
+  test('falls back to the main thread when the worker fails', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { AsciiVideoEngine } = await import('/js/ascii-video-engine.js');
+
+      const source = document.createElement('canvas');
+      source.width = 160;
+      source.height = 80;
+      const ctx = source.getContext('2d');
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(80, 0, 80, 80);
+
+      // A worker script that 404s, and one that throws on its first frame
+      const throwing = URL.createObjectURL(new Blob(
+        ["self.onmessage = (e) => { if (e.data.type === 'frame') throw new Error('boom'); };"],
+        { type: 'text/javascript' }
+      ));
+
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (...args) => warnings.push(args[0]);
+
+      const outcomes = [];
+      for (const workerUrl of ['/js/missing-ascii-worker.js', throwing]) {
+        const engine = new AsciiVideoEngine({
+          source,
+          characterSet: 'simple',
+          width: 20,
+          colored: false,
+          useWorker: true,
+          workerUrl,
+        });
+
+        const started = engine.worker !== null;
+        const frame = await new Promise((resolve) => {
+          engine.onFrame = (lines) => resolve(lines);
+          engine.play();
+        });
+        outcomes.push({ started, worker: engine.worker, rows: frame.length, right: frame[0].endsWith('@@@@') });
+        engine.destroy();
+      }
+
+      console.warn = warn;
+      URL.revokeObjectURL(throwing);
+
+      return { outcomes, warnings };
+    });
+
+    const fellBack = { started: true, worker: null, rows: 5, right: true };
+    expect(result.outcomes).toEqual([fellBack, fellBack]);
+    expect(result.warnings).toEqual([
+      'ASCII worker failed, using main thread:',
+      'ASCII worker failed, using main thread:'
+    ]);
+  });
+
+});
@@ -0,0 +1,231 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Brightness Driver Tests
+ *
+ * Pointer-free brightness for TextMaskedVideo:
+ * - Searchlight sweeps across and back
+ * - Scroll wave moves with scroll progress
+ * - Tilt steers the beam by screen orientation
+ * - Refused motion access stops tilt and switches TextMaskedVideo's mode
+ * - Factory modes
+ */
+
+test.describe('Brightness Drivers', () => {
+
+  test('searchlight sweeps across the letters and back', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { SearchlightDriver } = await import('/js/brightness-drivers.js');
+
+      let time = 0;
+      const driver = new SearchlightDriver({ period: 1000, radius: 100, now: () => time });
+      const rect = { width: 1000, height: 200, top: 0 };
+      const levels = [];
+
+      for (time of [0, 250, 500, 750]) {
+        driver.update(rect);
+        const level = (x) => Math.round(driver.getLevel({ centerX: x }) * 100) / 100;
+        levels.push({ left: level(0), middle: level(500) });
+      }
+
+      return levels;
+    });
+
+    expect(result.map(l => l.left)).toEqual([1, 0, 0, 0]);
+    expect(result.map(l => l.middle)).toEqual([0, 1, 0, 1]);
+  });
+
+  test('scroll wave crest follows scroll progress', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { ScrollWaveDriver } = await import('/js/brightness-drivers.js');
+
+      // One crest travelling one width: at progress p the crest sits at p * width
+      const driver = new ScrollWaveDriver({ waves: 1, speed: 1 });
+      const viewport = window.innerHeight;
+      const crestAt = (top) => {
+        driver.update({ width: 1000, height: 200, top });
+        const xs = [100, 300, 500, 700, 900];
+        const levels = xs.map(x => driver.getLevel({ centerX: x }));
+        return xs[levels.indexOf(Math.max(...levels))];
+      };
+
+      // Progress 0.3 and 0.7 of (viewport + height)
+      const total = viewport + 200;
+      return [crestAt(viewport - total * 0.3), crestAt(viewport - total * 0.7)];
+    });
+
+    expect(result).toEqual([300, 700]);
+  });
+
+  test('tilt driver sweeps like a searchlight until the first reading', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TiltDriver } = await import('/js/brightness-drivers.js');
+
+      const driver = new TiltDriver({ radius: 100, searchlight: { period: 1000, now: () => 0 } });
+      const rect = { width: 1000, height: 200, top: 0 };
+      const level = (x) => Math.round(driver.getLevel({ centerX: x }) * 100) / 100;
+
+      driver.update(rect);
+      const before = { left: level(0), middle: level(500) };
+
+      // Readings without angles (no sensor) are ignored
+      window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { alpha: null, beta: null, gamma: null }));
+      driver.update(rect);
+      const empty = { left: level(0), middle: level(500), tilt: driver.tilt };
+
+      window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 0, gamma: 0 }));
+      driver.update(rect);
+      const level0 = { left: level(0), middle: level(500), tilt: driver.tilt };
+
+      driver.destroy();
+      return { before, empty, level0 };
+    });
+
+    expect(result.before).toEqual({ left: 1, middle: 0 });
+    expect(result.empty).toEqual({ left: 1, middle: 0, tilt: null });
+    expect(result.level0).toEqual({ left: 0, middle: 1, tilt: 0 });
+  });
+
+  test('deviceorientation moves the beam with the left/right tilt', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TiltDriver } = await import('/js/brightness-drivers.js');
+
+      const driver = new TiltDriver({ maxTilt: 30, radius: 100 });
+      const rect = { width: 1000, height: 200, top: 0 };
+
+      // Beam position after one reading, with the screen rotated to angle
+      const beamAt = (angle, beta, gamma) => {
+        Object.defineProperty(screen, 'orientation', { value: { angle }, configurable: true });
+        window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta, gamma }));
+        driver.update(rect);
+        return driver.x;
+      };
+
+      const beams = {
+        // Portrait: gamma is left/right
+        portrait: beamAt(0, 20, 15),
+        // Landscape: beta is left/right, flipped on the other side
+        landscape: beamAt(90, 15, 20),
+        landscapeFlipped: beamAt(270, 15, 20),
+        // Past maxTilt the beam stops at the edge
+        clampedRight: beamAt(0, 0, 60),
+        clampedLeft: beamAt(0, 0, -90)
+      };
+
+      delete screen.orientation;
+      const lit = driver.getLevel({ centerX: 0 });
+      driver.destroy();
+
+      // Events after destroy() no longer move the beam
+      window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 0, gamma: 15 }));
+      driver.update(rect);
+
+      return { ...beams, lit, afterDestroy: driver.x };
+    });
+
+    expect(result.portrait).toBe(750);
+    expect(result.landscape).toBe(750);
+    expect(result.landscapeFlipped).toBe(250);
+    expect(result.clampedRight).toBe(1000);
+    expect(result.clampedLeft).toBe(0);
+    expect(result.lit).toBe(1);
+    expect(result.afterDestroy).toBe(0);
+  });
+
+  test('a refused motion permission stops the tilt driver listening', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TiltDriver } = await import('/js/brightness-drivers.js');
+
+      // iOS-style permission API, refused once and throwing the second time
+      const answers = [() => 'denied', () => { throw new Error('not a user gesture'); }];
+      DeviceOrientationEvent.requestPermission = async () => answers.shift()();
+
+      const outcomes = [];
+      for (let i = 0; i < 2; i++) {
+        let denied = 0;
+        const driver = new TiltDriver({ onDenied: () => denied++ });
+        const allowed = await driver.requestPermission();
+
+        window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 0, gamma: 15 }));
+        outcomes.push({ allowed, permission: driver.permission, denied, tilt: driver.tilt });
+        driver.destroy();
+      }
+
+      delete DeviceOrientationEvent.requestPermission;
+      return outcomes;
+    });
+
+    const refused = { allowed: false, permission: 'denied', denied: 1, tilt: null };
+    expect(result).toEqual([refused, refused]);
+  });
+
+  test('TextMaskedVideo leaves tilt mode when motion access is refused', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TextMaskedVideo } = await import('/js/text-masked-video.js');
+
+      DeviceOrientationEvent.requestPermission = async () => 'denied';
+
+      const container = document.createElement('div');
+      container.dataset.text = 'DEM';
+      container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 120px;';
+      document.body.appendChild(container);
+      const effect = new TextMaskedVideo(container, { brightnessMode: 'tilt' });
+      const before = effect.brightnessDriver.type;
+
+      // The first tap asks for permission
+      document.body.click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const state = {
+        before,
+        after: effect.brightnessDriver.type,
+        mode: effect.options.brightnessMode
+      };
+
+      effect.destroy();
+      container.remove();
+      delete DeviceOrientationEvent.requestPermission;
+      return state;
+    });
+
+    expect(result).toEqual({ before: 'tilt', after: 'searchlight', mode: 'searchlight' });
+  });
+
+  test('createBrightnessDriver maps modes to drivers', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { createBrightnessDriver } = await import('/js/brightness-drivers.js');
+
+      const types = {};
+      for (const mode of ['pointer', 'searchlight', 'scroll', 'tilt', 'unknown']) {
+        const driver = createBrightnessDriver(mode);
+        types[mode] = driver ? driver.type : null;
+        driver?.destroy();
+      }
+      return types;
+    });
+
+    expect(result).toEqual({
+      pointer: null,
+      searchlight: 'searchlight',
+      scroll: 'scroll',
+      tilt: 'tilt',
+      unknown: null
+    });
+  });
+
+});
@@ -0,0 +1,267 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Glyph Outline Tests
+ *
+ * Path helpers behind the vector letter masks:
+ * - Curves flatten within tolerance
+ * - Contour sampling is even by arc length
+ * - SVG serialization and outline-driven letter layout
+ * - Outline-sampled hero letter paths and the fitted S outline
+ */
+
+test.describe('Glyph Outlines', () => {
+
+  test('flattened circle stays on the radius', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { flattenContours } = await import('/js/glyph-outlines.js');
+
+      // Circle of radius 50 from four cubic quadrants
+      const k = 0.5523 * 50;
+      const commands = [
+        { type: 'M', x: 50, y: 0 },
+        { type: 'C', x1: 50, y1: k, x2: k, y2: 50, x: 0, y: 50 },
+        { type: 'C', x1: -k, y1: 50, x2: -50, y2: k, x: -50, y: 0 },
+        { type: 'C', x1: -50, y1: -k, x2: -k, y2: -50, x: 0, y: -50 },
+        { type: 'C', x1: k, y1: -50, x2: 50, y2: -k, x: 50, y: 0 },
+        { type: 'Z' }
+      ];
+
+      const contours = flattenContours(commands);
+      const errors = contours[0].map(p => Math.abs(Math.hypot(p.x, p.y) - 50));
+
+      return { contours: contours.length, maxError: Math.max(...errors) };
+    });
+
+    expect(result.contours).toBe(1);
+    expect(result.maxError).toBeLessThan(0.2);
+  });
+
+  test('samples are evenly spaced along each contour', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { sampleContours } = await import('/js/glyph-outlines.js');
+
+      // Outer square and inner hole, like an 'O'
+      const square = (x, y, size) => [
+        { type: 'M', x, y },
+        { type: 'L', x: x + size, y },
+        { type: 'L', x: x + size, y: y + size },
+        { type: 'L', x, y: y + size },
+        { type: 'Z' }
+      ];
+      const points = sampleContours([...square(0, 0, 100), ...square(25, 25, 50)], { spacing: 10 });
+
+      return {
+        outer: points.filter(p => p.contour === 0).length,
+        inner: points.filter(p => p.contour === 1).length,
+        gap: Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y)
+      };
+    });
+
+    expect(result.outer).toBe(40);
+    expect(result.inner).toBe(20);
+    expect(result.gap).toBeCloseTo(10, 5);
+  });
+
+  test('letters fill and sample from an outline source', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { GlyphOutlineSource, commandsToSvgPath } = await import('/js/glyph-outlines.js');
+      const { LetterMaskGenerator } = await import('/js/letter-mask-generator.js');
+
+      // Minimal font: every glyph is a box 0.5em wide and 0.7em tall
+      const outlines = new GlyphOutlineSource({
+        ascender: 800,
+        descender: -200,
+        unitsPerEm: 1000,
+        getAdvanceWidth: (text, size) => [...text].length * 0.6 * size,
+        getPath: (text, x, y, size) => ({
+          commands: [...text].flatMap((char, i) => {
+            if (char === ' ') return [];
+            const left = x + (i * 0.6 + 0.05) * size;
+            return [
+              { type: 'M', x: left, y },
+              { type: 'L', x: left + 0.5 * size, y },
+              { type: 'L', x: left + 0.5 * size, y: y - 0.7 * size },
+              { type: 'L', x: left, y: y - 0.7 * size },
+              { type: 'Z' }
+            ];
+          })
+        })
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 400;
+      canvas.height = 200;
+      const ctx = canvas.getContext('2d');
+
+      const generator = new LetterMaskGenerator('AB', { outlines });
+      // 400px wide -> 64px font
+      generator.init(ctx, 400, 200);
+      generator.drawLetter(ctx, 0);
+
+      const bounds = generator.getLetterBounds(0);
+      const points = generator.getLetterOutlinePoints(0, { count: 24 });
+
+      return {
+        svg: commandsToSvgPath(outlines.getCommands('A', 0, 0, 10)),
+        bounds,
+        inside: ctx.getImageData(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, 1, 1).data[3],
+        points: points.length,
+        onEdge: points.every(p =>
+          Math.abs(p.x - bounds.x) < 0.01 || Math.abs(p.x - bounds.x - bounds.width) < 0.01 ||
+          Math.abs(p.y - bounds.y) < 0.01 || Math.abs(p.y - bounds.y - bounds.height) < 0.01
+        )
+      };
+    });
+
+    expect(result.svg).toBe('M0.5 0L5.5 0L5.5 -7L0.5 -7Z');
+    expect(result.bounds.width).toBeCloseTo(32, 5);
+    expect(result.bounds.height).toBeCloseTo(44.8, 5);
+    expect(result.inside).toBe(255);
+    expect(result.points).toBe(24);
+    expect(result.onEdge).toBe(true);
+  });
+
+
+  test('hero letter paths sample outlines one grapheme per letter', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { GlyphOutlineSource } = await import('/js/glyph-outlines.js');
+      const { extractLetterPaths } = await import('/js/hero-emergence/letter-paths.js');
+
+      // Same box font as above
+      const outlines = new GlyphOutlineSource({
+        ascender: 800,
+        descender: -200,
+        unitsPerEm: 1000,
+        getAdvanceWidth: (text, size) => [...text].length * 0.6 * size,
+        getPath: (text, x, y, size) => ({
+          commands: [...text].flatMap((char, i) => {
+            if (char === ' ') return [];
+            const left = x + (i * 0.6 + 0.05) * size;
+            return [
+              { type: 'M', x: left, y },
+              { type: 'L', x: left + 0.5 * size, y },
+              { type: 'L', x: left + 0.5 * size, y: y - 0.7 * size },
+              { type: 'L', x: left, y: y - 0.7 * size },
+              { type: 'Z' }
+            ];
+          })
+        })
+      });
+
+      const container = document.createElement('div');
+      container.style.cssText = 'position: fixed; top: 0; left: 0; width: 800px; height: 200px;';
+      document.body.appendChild(container);
+
+      const data = await extractLetterPaths(container, {
+        text: 'A 👋🏽',
+        outlines,
+        minPointsPerLetter: 40,
+        maxPointsPerLetter: 60
+      });
+      container.remove();
+
+      const a = data.letterPathsData[0];
+      const xs = a.map(p => p.x);
+      const ys = a.map(p => p.y);
+
+      return {
+        chars: data.letterBoundaries.map(b => b.char),
+        spaces: data.letterBoundaries.map(b => b.isSpace),
+        sampled: Object.keys(data.letterPathsData),
+        points: a.length,
+        // 100px font: the A box is 50 x 70, vertically centered on the text middle
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys)
+      };
+    });
+
+    expect(result.chars).toEqual(['A', ' ', '👋🏽']);
+    expect(result.spaces).toEqual([false, true, false]);
+    expect(result.sampled).toEqual(['0', '2']);
+    expect(result.points).toBe(60);
+    expect(result.width).toBeCloseTo(50, 0);
+    expect(result.height).toBeCloseTo(70, 0);
+  });
+
+  test('hero letter paths fall back to pixels when the outline font fails', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { extractLetterPaths } = await import('/js/hero-emergence/letter-paths.js');
+
+      const container = document.createElement('div');
+      container.style.cssText = 'position: fixed; top: 0; left: 0; width: 800px; height: 200px;';
+      document.body.appendChild(container);
+
+      const data = await extractLetterPaths(container, {
+        text: 'AB',
+        outlineFont: '/assets/fonts/missing.otf',
+        minPointsPerLetter: 20,
+        maxPointsPerLetter: 40
+      });
+      container.remove();
+
+      return {
+        totalLetters: data.totalLetters,
+        sampled: Object.values(data.letterPathsData).every(points => points.length > 0)
+      };
+    });
+
+    expect(result.totalLetters).toBe(2);
+    expect(result.sampled).toBe(true);
+  });
+
+  test('S outline is fitted into the SVG viewBox', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { GlyphOutlineSource } = await import('/js/glyph-outlines.js');
+      const { createSOutline, S_BOUNDS } = await import('/js/s-path-data.js');
+
+      // Every glyph is a box 0.5em wide and 0.7em tall: the viewBox aspect exactly
+      const outlines = new GlyphOutlineSource({
+        ascender: 800,
+        descender: -200,
+        unitsPerEm: 1000,
+        getAdvanceWidth: (text, size) => [...text].length * 0.6 * size,
+        getPath: (text, x, y, size) => ({
+          commands: text === ' ' ? [] : [
+            { type: 'M', x: x + 0.05 * size, y },
+            { type: 'L', x: x + 0.55 * size, y },
+            { type: 'L', x: x + 0.55 * size, y: y - 0.7 * size },
+            { type: 'L', x: x + 0.05 * size, y: y - 0.7 * size },
+            { type: 'Z' }
+          ]
+        })
+      });
+
+      const outline = createSOutline(outlines, { samples: 24 });
+      const inBounds = outline.points.every(p =>
+        p.x >= S_BOUNDS.x - 1e-9 && p.x <= S_BOUNDS.x + S_BOUNDS.width + 1e-9 && p.z === 0
+      );
+
+      return {
+        d: outline.d,
+        points: outline.points.length,
+        inBounds,
+        blank: createSOutline(outlines, { char: ' ' })
+      };
+    });
+
+    expect(result.d).toBe('M0 140L100 140L100 0L0 0Z');
+    expect(result.points).toBe(24);
+    expect(result.inBounds).toBe(true);
+    expect(result.blank).toBeNull();
+  });
+
+});
@@ -325,6 +325,147 @@ test.describe('LetterMaskGenerator', () => {
     expect(result.letterCount).toBe(4);
   });
 
+  test('layout follows the shaped run (kerning) instead of summed widths', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { LetterMaskGenerator } = await import('/js/letter-mask-generator.js');
+      const generator = new LetterMaskGenerator('AVATAR');
+
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      generator.init(ctx, 800, 200);
+
+      const letters = generator.getAllLetterData();
+      const first = letters[0];
+      const last = letters[letters.length - 1];
+
+      return {
+        laidOutWidth: (last.x + last.width / 2) - (first.x - first.width / 2),
+        runWidth: ctx.measureText('AVATAR').width
+      };
+    });
+
+    expect(result.laidOutWidth).toBeCloseTo(result.runWidth, 3);
+  });
+
+  test('wraps onto multiple centered lines in narrow containers', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { LetterMaskGenerator } = await import('/js/letter-mask-generator.js');
+      const generator = new LetterMaskGenerator('DEM Systems');
+
+      const canvas = document.createElement('canvas');
+      generator.init(canvas.getContext('2d'), 320, 600);
+
+      const centers = Array.from({ length: generator.letterCount }, (_, i) => generator.getLetterCenter(i));
+      const line = generator.lines[1];
+      const lineLeft = generator.getAllLetterData()[line.start];
+
+      return {
+        lineCount: generator.lineCount,
+        firstLineY: centers[0].y,
+        secondLineY: centers[4].y,
+        secondLineLeft: lineLeft.x - lineLeft.width / 2,
+        secondLineWidth: line.width,
+        fitsWidth: generator.lines.every(l => l.width <= 320)
+      };
+    });
+
+    expect(result.lineCount).toBe(2);
+    expect(result.secondLineY).toBeGreaterThan(result.firstLineY);
+    // Block is centered vertically around height / 2
+    expect((result.firstLineY + result.secondLineY) / 2).toBeCloseTo(300, 3);
+    // Line is centered horizontally
+    expect(result.secondLineLeft).toBeCloseTo((320 - result.secondLineWidth) / 2, 3);
+    expect(result.fitsWidth).toBe(true);
+  });
+
+  test('getLetterBounds() returns tight ink bounds', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { LetterMaskGenerator } = await import('/js/letter-mask-generator.js');
+      const generator = new LetterMaskGenerator('A.');
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 400;
+      canvas.height = 200;
+      const ctx = canvas.getContext('2d');
+      generator.init(ctx, 400, 200);
+
+      // All ink drawn for the letter falls inside its bounds
+      const inkOutside = (index) => {
+        ctx.clearRect(0, 0, 400, 200);
+        generator.drawLetter(ctx, index);
+        const bounds = generator.getLetterBounds(index);
+        const data = ctx.getImageData(0, 0, 400, 200).data;
+        let outside = 0;
+        for (let y = 0; y < 200; y++) {
+          for (let x = 0; x < 400; x++) {
+            const inside = x >= Math.floor(bounds.x) - 1 && x <= Math.ceil(bounds.x + bounds.width) &&
+              y >= Math.floor(bounds.y) - 1 && y <= Math.ceil(bounds.y + bounds.height);
+            if (!inside && data[(y * 400 + x) * 4 + 3] > 0) outside++;
+          }
+        }
+        return outside;
+      };
+
+      return {
+        letterOutside: inkOutside(0),
+        periodOutside: inkOutside(1),
+        periodHeight: generator.getLetterBounds(1).height,
+        letterHeight: generator.getLetterBounds(0).height
+      };
+    });
+
+    expect(result.letterOutside).toBe(0);
+    expect(result.periodOutside).toBe(0);
+    // A period's ink is far shorter than a capital's
+    expect(result.periodHeight).toBeLessThan(result.letterHeight / 2);
+  });
+
+  test('getLetterSeeds() samples seeds inside the letter', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { LetterMaskGenerator } = await import('/js/letter-mask-generator.js');
+
+      const generator = new LetterMaskGenerator('O O');
+      const canvas = document.createElement('canvas');
+      canvas.width = 800;
+      canvas.height = 400;
+      const ctx = canvas.getContext('2d');
+      generator.init(ctx, 800, 400);
+
+      const seeds = generator.getLetterSeeds(0);
+      const capped = generator.getLetterSeeds(0, { maxSeeds: 3 });
+      const bounds = generator.getLetterBounds(0);
+
+      // Seed centers should land on ink
+      generator.drawLetter(ctx, 0);
+      const onInk = seeds.filter(s =>
+        ctx.getImageData(Math.floor(s.x), Math.floor(s.y), 1, 1).data[3] > 0
+      ).length;
+
+      const inBounds = seeds.every(s =>
+        s.x >= bounds.x && s.x <= bounds.x + bounds.width &&
+        Math.abs(s.y - generator.centerY) <= generator.fontSize
+      );
+
+      return {
+        count: seeds.length,
+        onInk,
+        inBounds,
+        cappedCount: capped.length,
+        cappedLarger: capped[0].radius > seeds[0].radius,
+        spaceSeeds: generator.getLetterSeeds(1).length,
+        invalidSeeds: generator.getLetterSeeds(99).length
+      };
+    });
+
+    expect(result.count).toBeGreaterThan(3);
+    expect(result.onInk).toBeGreaterThan(result.count * 0.8);
+    expect(result.inBounds).toBe(true);
+    expect(result.cappedCount).toBe(3);
+    expect(result.cappedLarger).toBe(true);
+    expect(result.spaceSeeds).toBe(0);
+    expect(result.invalidSeeds).toBe(0);
+  });
+
   test('handles out-of-bounds index gracefully', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const module = await import('/js/letter-mask-generator.js');
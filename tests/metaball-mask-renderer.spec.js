@@ -0,0 +1,138 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Metaball Mask Renderer Tests
+ *
+ * GPU and CPU masks for MetaballPhysics:
+ * - WebGL2 shader mask agrees with the CPU field
+ * - Canvas fallback fills the traced contours
+ * - Factory picks a renderer and falls back
+ */
+
+test.describe('Metaball Mask Renderers', () => {
+
+  test('WebGL mask matches the CPU field for every kernel', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { MetaballPhysics } = await import('/js/metaball-physics.js');
+      const { WebGLMetaballMask } = await import('/js/metaball-mask-renderer.js');
+
+      if (!WebGLMetaballMask.isSupported()) return { supported: false };
+
+      const mismatches = [];
+      for (const kernel of ['inverse-square', 'wyvill', 'polynomial', 'gaussian']) {
+        const physics = new MetaballPhysics({ kernel, baseRadius: 40 });
+        physics.init(200, 200);
+        physics.setPrimaryPosition(80, 100);
+        physics.addBlob(130, 100, 30);
+        physics.addAntiBlob(80, 100, 15);
+
+        const mask = new WebGLMetaballMask(physics, { pixelRatio: 1 });
+        const canvas = document.createElement('canvas');
+        canvas.width = 200;
+        canvas.height = 200;
+        const ctx = canvas.getContext('2d');
+        mask.drawMask(ctx, 200, 200);
+        const pixels = ctx.getImageData(0, 0, 200, 200).data;
+
+        // Skip samples right on the surface, where anti-aliasing blends
+        for (let y = 5; y < 200; y += 10) {
+          for (let x = 5; x < 200; x += 10) {
+            const field = physics.calculateField(x, y);
+            if (Math.abs(field - physics.threshold) < 0.1) continue;
+
+            const inside = pixels[(y * 200 + x) * 4 + 3] > 127;
+            if (inside !== field >= physics.threshold) mismatches.push({ kernel, x, y });
+          }
+        }
+
+        mask.destroy();
+      }
+
+      return { supported: true, mismatches };
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.mismatches).toEqual([]);
+  });
+
+  test('canvas mask fills the blob and leaves the rest clear', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { MetaballPhysics } = await import('/js/metaball-physics.js');
+      const { CanvasMetaballMask } = await import('/js/metaball-mask-renderer.js');
+
+      const physics = new MetaballPhysics({ baseRadius: 40 });
+      physics.init(200, 200);
+      physics.setPrimaryPosition(100, 100);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 200;
+      canvas.height = 200;
+      const ctx = canvas.getContext('2d');
+      const drawn = new CanvasMetaballMask(physics).drawMask(ctx, 200, 200);
+
+      return {
+        drawn,
+        center: ctx.getImageData(100, 100, 1, 1).data[3],
+        corner: ctx.getImageData(5, 5, 1, 1).data[3]
+      };
+    });
+
+    expect(result.drawn).toBe(true);
+    expect(result.center).toBe(255);
+    expect(result.corner).toBe(0);
+  });
+
+  test('createMetaballMask honors the requested renderer', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { MetaballPhysics } = await import('/js/metaball-physics.js');
+      const { createMetaballMask, WebGLMetaballMask } = await import('/js/metaball-mask-renderer.js');
+
+      const physics = new MetaballPhysics();
+      physics.init(100, 100);
+
+      const canvas = createMetaballMask(physics, 'canvas');
+      const auto = createMetaballMask(physics, 'auto');
+      const types = { canvas: canvas.type, auto: auto.type, supported: WebGLMetaballMask.isSupported() };
+      canvas.destroy();
+      auto.destroy();
+
+      return types;
+    });
+
+    expect(result.canvas).toBe('canvas');
+    expect(result.auto).toBe(result.supported ? 'webgl' : 'canvas');
+  });
+
+
+  test('destroy() releases the WebGL context', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { MetaballPhysics } = await import('/js/metaball-physics.js');
+      const { WebGLMetaballMask } = await import('/js/metaball-mask-renderer.js');
+
+      if (!WebGLMetaballMask.isSupported()) return { supported: false };
+
+      const physics = new MetaballPhysics();
+      physics.init(100, 100);
+
+      const mask = new WebGLMetaballMask(physics);
+      const before = mask.gl.isContextLost();
+      mask.destroy();
+
+      return { supported: true, before, after: mask.gl.isContextLost() };
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.before).toBe(false);
+    expect(result.after).toBe(true);
+  });
+
+});
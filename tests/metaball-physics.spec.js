@@ -178,6 +178,25 @@ test.describe('MetaballPhysics Class', () => {
       expect(result.isPrimary).toBe(true);
     });
 
+    test('clear() removes every blob and pointer', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics();
+        physics.init(800, 600);
+
+        physics.addBlob(100, 100, 50, true);
+        physics.setPointer(1, 200, 200);
+        physics.update(16, 400, 300, 0, 0);
+
+        physics.clear();
+        return { blobs: physics.getBlobs().length, pointers: physics.pointers.size, time: physics.time };
+      });
+
+      expect(result).toEqual({ blobs: 0, pointers: 0, time: 0 });
+    });
+
     test('getBlobs() returns all blob data', async ({ page }) => {
       await page.goto('/');
 
@@ -289,6 +308,109 @@ test.describe('MetaballPhysics Class', () => {
 
   });
 
+  test.describe('Kernels and Weights', () => {
+
+    test('every kernel puts a lone blob surface at its radius', async ({ page }) => {
+      await page.goto('/');
+
+      const fields = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+
+        return ['inverse-square', 'wyvill', 'polynomial', 'gaussian'].map(kernel => {
+          const physics = new MetaballPhysics({ kernel });
+          physics.init(400, 400);
+          physics.blobs = [];
+          physics.addBlob(200, 200, 80, true);
+
+          return {
+            kernel,
+            atRadius: physics.calculateField(280, 200),
+            inside: physics.calculateField(240, 200),
+            farAway: physics.calculateField(380, 200)
+          };
+        });
+      });
+
+      for (const field of fields) {
+        expect(field.atRadius).toBeCloseTo(1, 6);
+        expect(field.inside).toBeGreaterThan(1);
+        expect(field.farAway).toBeLessThan(0.25);
+      }
+      // Compact kernels vanish beyond twice the radius
+      expect(fields[1].farAway).toBe(0);
+      expect(fields[2].farAway).toBe(0);
+    });
+
+    test('weight scales a blob contribution', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ kernel: 'polynomial' });
+        physics.init(400, 400);
+        physics.blobs = [];
+        const blob = physics.addBlob(200, 200, 80, true);
+
+        const base = physics.calculateField(250, 200);
+        blob.weight = 2;
+        return { base, doubled: physics.calculateField(250, 200) };
+      });
+
+      expect(result.doubled).toBeCloseTo(result.base * 2, 6);
+    });
+
+    test('anti-blobs carve a hole and stay put', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ maxBlobs: 2 });
+        physics.init(400, 400);
+        physics.blobs = [];
+        physics.addBlob(200, 200, 100, true);
+        const hole = physics.addAntiBlob(200, 200, 40, 3);
+
+        for (let i = 0; i < 30; i++) {
+          physics.update(physics.timestep, 200, 200, 0, 0);
+        }
+
+        return {
+          centerInside: physics.isInsideSurface(200, 200),
+          ringInside: physics.isInsideSurface(260, 200),
+          contours: physics.traceContours().length,
+          holeMoved: hole.x !== 200 || hole.y !== 200,
+          holeAlive: physics.getBlobs().includes(hole),
+          // The first pointer adopts the primary, a second still gets a slot
+          pointerBlob: physics.setPointer(1, 50, 50) && physics.setPointer(2, 350, 50) !== null
+        };
+      });
+
+      expect(result.centerInside).toBe(false);
+      expect(result.ringInside).toBe(true);
+      expect(result.contours).toBe(2);
+      expect(result.holeMoved).toBe(false);
+      expect(result.holeAlive).toBe(true);
+      expect(result.pointerBlob).toBe(true);
+    });
+
+    test('rejects unknown kernels', async ({ page }) => {
+      await page.goto('/');
+
+      const error = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        try {
+          new MetaballPhysics({ kernel: 'cubic' });
+          return null;
+        } catch (e) {
+          return e.message;
+        }
+      });
+
+      expect(error).toContain('Unknown metaball kernel');
+    });
+
+  });
+
   test.describe('Marching Squares', () => {
 
     test('getMaskPath() returns a Path2D object', async ({ page }) => {
@@ -386,6 +508,164 @@ test.describe('MetaballPhysics Class', () => {
       expect(result.midpoint).toBe(true);
     });
 
+    test('getMaskPath() only samples the field near the blobs', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ gridResolution: 10 });
+        physics.init(3840, 2160);
+        physics.blobs = [];
+        physics.addBlob(400, 400, 80, true);
+
+        let samples = 0;
+        const calculateField = physics.calculateField.bind(physics);
+        physics.calculateField = (x, y) => {
+          samples++;
+          return calculateField(x, y);
+        };
+
+        physics.getMaskPath();
+
+        return {
+          samples,
+          gridPoints: (3840 / 10 + 1) * (2160 / 10 + 1)
+        };
+      });
+
+      expect(result.samples).toBeGreaterThan(0);
+      expect(result.samples).toBeLessThan(result.gridPoints / 20);
+    });
+
+    test('adaptive refinement traces the same surface', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ gridResolution: 20, refinement: 2 });
+        physics.init(400, 400);
+        physics.blobs = [];
+        physics.addBlob(200, 200, 80, true);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 400;
+        canvas.height = 400;
+        const ctx = canvas.getContext('2d');
+        ctx.lineWidth = 4;
+        ctx.stroke(physics.getMaskPath());
+
+        // Field r^2/d^2 reaches the threshold at d = radius
+        const alpha = (x, y) => ctx.getImageData(x, y, 1, 1).data[3];
+        return {
+          onSurface: alpha(280, 200) > 0,
+          center: alpha(200, 200) > 0
+        };
+      });
+
+      expect(result.onSurface).toBe(true);
+      expect(result.center).toBe(false);
+    });
+
+  });
+
+  test.describe('Contour Tracing', () => {
+
+    test('traceContours() stitches one closed loop per separate blob', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ gridResolution: 10 });
+        physics.init(400, 400);
+        physics.blobs = [];
+        physics.addBlob(100, 200, 50, true);
+        physics.addBlob(300, 200, 50, false);
+
+        return physics.traceContours().map(points => points.length);
+      });
+
+      expect(result.length).toBe(2);
+      expect(result[0]).toBeGreaterThan(8);
+      expect(result[1]).toBeGreaterThan(8);
+    });
+
+    test('contours touching the canvas edge are clamped and closed', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ gridResolution: 10 });
+        physics.init(400, 400);
+        physics.blobs = [];
+        physics.addBlob(0, 200, 60, true);
+
+        const contours = physics.traceContours();
+        return {
+          count: contours.length,
+          minX: Math.min(...contours[0].map(p => p.x))
+        };
+      });
+
+      expect(result.count).toBe(1);
+      expect(result.minX).toBe(0);
+    });
+
+    test('getContourPath() fills the blob interior', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ gridResolution: 10 });
+        physics.init(400, 400);
+        physics.blobs = [];
+        physics.addBlob(150, 200, 80, true);
+        physics.addBlob(250, 200, 80, false);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 400;
+        canvas.height = 400;
+        const ctx = canvas.getContext('2d');
+        ctx.fill(physics.getContourPath({ smoothing: 'chaikin' }), 'evenodd');
+
+        const alpha = (x, y) => ctx.getImageData(x, y, 1, 1).data[3];
+        return {
+          blob1: alpha(150, 200) > 0,
+          midpoint: alpha(200, 200) > 0,
+          outside: alpha(20, 20) > 0
+        };
+      });
+
+      expect(result.blob1).toBe(true);
+      expect(result.midpoint).toBe(true);
+      expect(result.outside).toBe(false);
+    });
+
+    test('getContourSvgPath() emits closed SVG path data', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ gridResolution: 10 });
+        physics.init(400, 400);
+        physics.blobs = [];
+        physics.addBlob(200, 200, 80, true);
+
+        const linear = physics.getContourSvgPath({ precision: 1 });
+        const curved = physics.getContourSvgPath({ smoothing: 'catmull-rom' });
+
+        return {
+          linear,
+          curved,
+          supported: CSS.supports('clip-path', `path(evenodd, "${linear}")`)
+        };
+      });
+
+      expect(result.linear).toMatch(/^M[\d.]+ [\d.]+(L[\d.]+ [\d.]+)+Z$/);
+      expect(result.curved.startsWith('M')).toBe(true);
+      expect(result.curved).toContain('C');
+      expect(result.supported).toBe(true);
+    });
+
   });
 
   test.describe('Spring Physics', () => {
@@ -429,8 +709,8 @@ test.describe('MetaballPhysics Class', () => {
         physics.init(800, 600);
         physics.addBlob(400, 300, 100, true);
 
-        // Update with high mouse velocity
-        physics.update(16, 500, 300, 50, 0);
+        // One fixed step toward a distant target
+        physics.update(physics.timestep, 500, 300, 50, 0);
 
         const blob = physics.getBlobs()[0];
         return {
@@ -477,6 +757,340 @@ test.describe('MetaballPhysics Class', () => {
 
   });
 
+  test.describe('Multiple Pointers', () => {
+
+    test('each pointer owns a primary blob that follows it', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics();
+        physics.init(800, 600);
+
+        const first = physics.setPointer(1, 100, 100);
+        const second = physics.setPointer(2, 700, 500);
+
+        for (let i = 0; i < 120; i++) {
+          physics.update(physics.timestep);
+        }
+
+        return {
+          adoptedDefault: first === physics.getBlobs()[0],
+          primaries: physics.getBlobs().filter(b => b.isPrimary).length,
+          first: { x: Math.round(first.x), y: Math.round(first.y) },
+          second: { x: Math.round(second.x), y: Math.round(second.y) }
+        };
+      });
+
+      expect(result.adoptedDefault).toBe(true);
+      expect(result.primaries).toBe(2);
+      expect(result.first).toEqual({ x: 100, y: 100 });
+      expect(result.second).toEqual({ x: 700, y: 500 });
+    });
+
+    test('releasing a pointer turns its blob into a secondary', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics();
+        physics.init(800, 600);
+
+        physics.setPointer(1, 300, 300);
+        const second = physics.setPointer(2, 400, 300);
+        physics.releasePointer(2);
+        const releasedIsSecondary = !second.isPrimary && second.pointerId === null;
+
+        // Last pointer keeps its blob as the default primary
+        physics.releasePointer(1);
+        const primary = physics.getPrimaryBlob();
+
+        return {
+          releasedIsSecondary,
+          primaryPointer: primary.pointerId,
+          pointers: physics.pointers.size
+        };
+      });
+
+      expect(result.releasedIsSecondary).toBe(true);
+      expect(result.primaryPointer).toBeNull();
+      expect(result.pointers).toBe(0);
+    });
+
+    test('setPointer() returns null when every slot holds a primary', async ({ page }) => {
+      await page.goto('/');
+
+      const blob = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ maxBlobs: 2 });
+        physics.init(800, 600);
+
+        physics.setPointer(1, 100, 100);
+        physics.setPointer(2, 200, 200);
+        return physics.setPointer(3, 300, 300);
+      });
+
+      expect(blob).toBeNull();
+    });
+
+  });
+
+  test.describe('Force Fields', () => {
+
+    test('attractor pulls secondary blobs toward its center', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics();
+        physics.init(800, 600);
+        physics.blobs = [];
+        physics.addBlob(400, 300, 100, true);
+        const secondary = physics.addBlob(400, 500, 30, false);
+
+        physics.addForce({ type: 'attractor', x: 700, y: 500, strength: 1, affects: 'secondary' });
+        for (let i = 0; i < 10; i++) {
+          physics.update(16, 400, 300, 0, 0);
+        }
+
+        return {
+          secondaryX: secondary.x,
+          primaryX: physics.getPrimaryBlob().x
+        };
+      });
+
+      expect(result.secondaryX).toBeGreaterThan(420);
+      expect(result.primaryX).toBeCloseTo(400, 0);
+    });
+
+    test('gravity accelerates every blob', async ({ page }) => {
+      await page.goto('/');
+
+      const y = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics();
+        physics.init(800, 600);
+
+        physics.addForce({ type: 'gravity', ay: 2 });
+        for (let i = 0; i < 30; i++) {
+          physics.update(16, 400, 300, 0, 0);
+        }
+
+        return physics.getPrimaryBlob().y;
+      });
+
+      expect(y).toBeGreaterThan(300);
+    });
+
+    test('bounds keep the blob inside and reflect its velocity', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ baseRadius: 100 });
+        physics.init(800, 600);
+        physics.addForce({ type: 'bounds', restitution: 0.5 });
+
+        const primary = physics.getPrimaryBlob();
+        let maxRight = 0;
+        let bounced = false;
+
+        // Cursor far outside the right edge
+        for (let i = 0; i < 60; i++) {
+          physics.update(16, 2000, 300, 0, 0);
+          maxRight = Math.max(maxRight, primary.x + primary.radius * primary.stretchX);
+          if (primary.vx < 0) bounced = true;
+        }
+
+        return { maxRight, bounced };
+      });
+
+      expect(result.maxRight).toBeLessThanOrEqual(800.001);
+      expect(result.bounced).toBe(true);
+    });
+
+    test('removeForce() detaches a force and unknown types throw', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics();
+        physics.init(800, 600);
+
+        const force = physics.addForce({ type: 'vortex', x: 0, y: 0 });
+        physics.removeForce(force);
+
+        let error = null;
+        try {
+          physics.addForce({ type: 'spring' });
+        } catch (e) {
+          error = e.message;
+        }
+
+        return { count: physics.forces.length, error };
+      });
+
+      expect(result.count).toBe(0);
+      expect(result.error).toContain('Unknown force type');
+    });
+
+  });
+
+  test.describe('Fixed Timestep', () => {
+
+    test('motion is identical at 30, 60 and 144 Hz', async ({ page }) => {
+      await page.goto('/');
+
+      const positions = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+
+        return [30, 60, 144].map(hz => {
+          const physics = new MetaballPhysics({ timestep: 1000 / 120 });
+          physics.init(800, 600);
+
+          // One simulated second of frames
+          const dt = 1000 / hz;
+          for (let t = 0; t < 1000 - 1e-9; t += dt) {
+            physics.update(dt, 700, 300, 0, 0);
+          }
+
+          return physics.getPrimaryBlob().x;
+        });
+      });
+
+      expect(positions[0]).toBeGreaterThan(600);
+      expect(positions[0]).toBeCloseTo(positions[1], 6);
+      expect(positions[2]).toBeCloseTo(positions[1], 6);
+    });
+
+    test('update() accumulates partial frames and interpolates', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ timestep: 10 });
+        physics.init(800, 600);
+
+        physics.update(4, 700, 300);
+        const afterPartial = { time: physics.time, x: physics.getPrimaryBlob().x };
+
+        physics.update(11, 700, 300);
+        const blob = physics.getPrimaryBlob();
+
+        return {
+          afterPartial,
+          time: physics.time,
+          alpha: physics.alpha,
+          renderX: physics.getRenderPosition(blob).x,
+          prevX: blob.px,
+          x: blob.x
+        };
+      });
+
+      expect(result.afterPartial).toEqual({ time: 0, x: 400 });
+      expect(result.time).toBe(10);
+      expect(result.alpha).toBeCloseTo(0.5, 6);
+      expect(result.renderX).toBeCloseTo((result.prevX + result.x) / 2, 6);
+    });
+
+    test('virtual clock makes runs deterministic', async ({ page }) => {
+      await page.goto('/');
+
+      const runs = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+
+        const run = () => {
+          const physics = new MetaballPhysics({ maxBlobs: 4 });
+          physics.init(800, 600);
+          for (let i = 0; i < 120; i++) {
+            physics.update(16, 400 + Math.sin(i / 5) * 300, 300, 0, 0);
+          }
+          return JSON.stringify(physics.getBlobs());
+        };
+
+        return [run(), run()];
+      });
+
+      expect(runs[0]).toBe(runs[1]);
+    });
+
+  });
+
+  test.describe('Snapshots and Replay', () => {
+
+    test('toJSON() / fromJSON() round-trips the full state', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ maxBlobs: 4, springK: 0.1 });
+        physics.init(800, 600);
+        physics.addForce({ type: 'attractor', x: 100, y: 100 });
+
+        for (let i = 0; i < 40; i++) {
+          physics.update(16, 400 + i * 12, 300, 0, 0);
+        }
+
+        const json = JSON.stringify(physics);
+        const restored = MetaballPhysics.fromJSON(json);
+
+        return {
+          same: JSON.stringify(restored) === json,
+          springK: restored.springK,
+          unlimitedRadius: restored.forces[0].radius === Infinity
+        };
+      });
+
+      expect(result.same).toBe(true);
+      expect(result.springK).toBe(0.1);
+      expect(result.unlimitedRadius).toBe(true);
+    });
+
+    test('replaying a recording reproduces the session exactly', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const physics = new MetaballPhysics({ maxBlobs: 4 });
+        physics.init(800, 600);
+
+        physics.startRecording();
+        for (let i = 0; i < 200; i++) {
+          if (i === 40) physics.setPointer(1, 100, 100);
+          if (i === 120) physics.releasePointer(1);
+          physics.update(8 + (i % 11), 400 + Math.sin(i / 6) * 350, 300, 0, 0);
+        }
+        const recording = JSON.stringify(physics.stopRecording());
+
+        const replayed = MetaballPhysics.replay(recording);
+        return {
+          same: JSON.stringify(replayed) === JSON.stringify(physics),
+          inputs: JSON.parse(recording).inputs.length
+        };
+      });
+
+      expect(result.same).toBe(true);
+      expect(result.inputs).toBe(202);
+    });
+
+    test('fromJSON() rejects unknown snapshot versions', async ({ page }) => {
+      await page.goto('/');
+
+      const error = await page.evaluate(async () => {
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        try {
+          MetaballPhysics.fromJSON({ version: 99 });
+          return null;
+        } catch (e) {
+          return e.message;
+        }
+      });
+
+      expect(error).toContain('Unsupported MetaballPhysics state version');
+    });
+
+  });
+
   test.describe('Blob Splitting and Merging', () => {
 
     test('fast movement causes blob splitting', async ({ page }) => {
@@ -0,0 +1,427 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Text Mask Compositor Tests
+ *
+ * WebGL path for TextMaskedVideo:
+ * - Signed distance field from an alpha mask, built over the text only
+ * - Video drawn through the mask at per-letter brightness
+ * - TextMaskedVideo canvas swap, context-loss fallback, resize and destroy
+ */
+
+test.describe('Text Mask Compositor', () => {
+
+  test('distance field is centered on the mask edge', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildSignedDistanceField } = await import('/js/text-mask-compositor.js');
+
+      // 20x10 filled rectangle in a 40x30 mask
+      const width = 40;
+      const alpha = new Uint8Array(width * 30);
+      for (let y = 10; y < 20; y++) {
+        for (let x = 10; x < 30; x++) alpha[y * width + x] = 255;
+      }
+
+      const field = buildSignedDistanceField(alpha, width, 30, 8);
+      const at = (x, y) => field[y * width + x];
+
+      return {
+        // Texels either side of the left edge
+        edge: (at(9, 15) + at(10, 15)) / 2,
+        inside: at(20, 15),
+        outside: at(0, 0)
+      };
+    });
+
+    expect(result.edge).toBeCloseTo(127.5, 0);
+    expect(result.inside).toBeGreaterThan(200);
+    expect(result.outside).toBe(0);
+  });
+
+  test('distance field reuses scratch buffers', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { buildSignedDistanceField } = await import('/js/text-mask-compositor.js');
+
+      const width = 40;
+      const alpha = new Uint8Array(width * 30);
+      for (let y = 10; y < 20; y++) {
+        for (let x = 10; x < 30; x++) alpha[y * width + x] = 255;
+      }
+
+      const scratch = {};
+      const large = buildSignedDistanceField(alpha, width, 30, 8, scratch);
+      const buffers = { outer: scratch.outer, field: scratch.field };
+
+      // A smaller mask fits in the buffers the first one grew
+      const small = buildSignedDistanceField(alpha.subarray(0, width * 20), width, 20, 8, scratch);
+      const fresh = buildSignedDistanceField(alpha.subarray(0, width * 20), width, 20, 8);
+
+      return {
+        lengths: [large.length, small.length],
+        reused: scratch.outer === buffers.outer && scratch.field === buffers.field && small.buffer === large.buffer,
+        same: small.every((value, i) => value === fresh[i])
+      };
+    });
+
+    expect(result).toEqual({ lengths: [1200, 800], reused: true, same: true });
+  });
+
+  test('mask covers the text, not the whole canvas, at a capped resolution', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+
+      if (!WebGLTextCompositor.isSupported()) return { supported: false };
+
+      const frame = document.createElement('canvas');
+      frame.width = 64;
+      frame.height = 64;
+      const frameCtx = frame.getContext('2d');
+      frameCtx.fillStyle = '#fff';
+      frameCtx.fillRect(0, 0, 64, 64);
+
+      // Small text in the middle of a large canvas
+      const letters = [{ char: 'H', x: 560, centerY: 300, currentBrightness: 0.5 }];
+      const compositor = new WebGLTextCompositor({ pixelRatio: 2 });
+      compositor.setMask(letters, '900 80px sans-serif', 1200, 600);
+      const small = compositor._maskCanvas.width * compositor._maskCanvas.height;
+      compositor.render(frame, { x: 0, y: 0, width: 1200, height: 600 }, letters, 0.15, 1);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 1200;
+      canvas.height = 600;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(compositor.canvas, 0, 0, 1200, 600);
+      const pixels = ctx.getImageData(0, 0, 1200, 600).data;
+
+      let solid = 0;
+      let strayX = 0;
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] === 255) solid++;
+        // Anything drawn well left of the letter
+        if (pixels[i + 3] > 0 && (i / 4) % 1200 < 400) strayX++;
+      }
+
+      compositor.destroy();
+
+      // Huge text on a dense screen is built below device resolution
+      const dense = new WebGLTextCompositor({ pixelRatio: 4 });
+      dense.setMask([{ char: 'H', x: 0, centerY: 300, currentBrightness: 0.5 }], '900 600px sans-serif', 1200, 600);
+      const capped = dense._maskCanvas.width * dense._maskCanvas.height;
+      dense.destroy();
+
+      return { supported: true, small, solid, strayX, capped };
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.small).toBeLessThan(2400 * 1200 / 20);
+    expect(result.solid).toBeGreaterThan(100);
+    expect(result.strayX).toBe(0);
+    expect(result.capped).toBeLessThan(2_200_000);
+  });
+
+  test('WebGL compositor applies letter brightness inside the mask', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+
+      if (!WebGLTextCompositor.isSupported()) return { supported: false };
+
+      // Solid white stand-in for a video frame
+      const frame = document.createElement('canvas');
+      frame.width = 64;
+      frame.height = 64;
+      const frameCtx = frame.getContext('2d');
+      frameCtx.fillStyle = '#fff';
+      frameCtx.fillRect(0, 0, 64, 64);
+
+      const letters = [{ char: 'H', x: 60, centerY: 50, currentBrightness: 0.5 }];
+      const compositor = new WebGLTextCompositor({ pixelRatio: 1 });
+      compositor.setMask(letters, '900 80px sans-serif', 200, 100);
+      compositor.render(frame, { x: 0, y: 0, width: 200, height: 100 }, letters, 0.15, 1);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 200;
+      canvas.height = 100;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(compositor.canvas, 0, 0);
+      const pixels = ctx.getImageData(0, 0, 200, 100).data;
+      compositor.destroy();
+
+      // Red of fully covered pixels (unpremultiplied by getImageData)
+      const solid = [];
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] === 255) solid.push(pixels[i]);
+      }
+      solid.sort((a, b) => a - b);
+
+      return {
+        supported: true,
+        solid: solid.length,
+        red: solid[Math.floor(solid.length / 2)],
+        corner: pixels[3]
+      };
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.solid).toBeGreaterThan(100);
+    expect(Math.abs(result.red - 128)).toBeLessThanOrEqual(3);
+    expect(result.corner).toBe(0);
+  });
+
+  test('a flat brightness range still draws the letters', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+
+      if (!WebGLTextCompositor.isSupported()) return { supported: false };
+
+      const frame = document.createElement('canvas');
+      frame.width = 64;
+      frame.height = 64;
+      const frameCtx = frame.getContext('2d');
+      frameCtx.fillStyle = '#fff';
+      frameCtx.fillRect(0, 0, 64, 64);
+
+      // minBrightness === maxBrightness would divide by zero in the shader
+      const letters = [{ char: 'H', x: 60, centerY: 50, currentBrightness: 0.5 }];
+      const compositor = new WebGLTextCompositor({ pixelRatio: 1 });
+      compositor.setMask(letters, '900 80px sans-serif', 200, 100);
+      compositor.render(frame, { x: 0, y: 0, width: 200, height: 100 }, letters, 0.5, 0.5);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 200;
+      canvas.height = 100;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(compositor.canvas, 0, 0);
+      const pixels = ctx.getImageData(0, 0, 200, 100).data;
+      compositor.destroy();
+
+      const solid = [];
+      for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] === 255) solid.push(pixels[i]);
+      }
+      solid.sort((a, b) => a - b);
+
+      return { supported: true, solid: solid.length, red: solid[Math.floor(solid.length / 2)] };
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.solid).toBeGreaterThan(100);
+    expect(Math.abs(result.red - 128)).toBeLessThanOrEqual(3);
+  });
+
+  test('support probe is cached and shared with the metaball mask', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+      const { WebGLMetaballMask } = await import('/js/metaball-mask-renderer.js');
+
+      const first = WebGLTextCompositor.isSupported();
+      const createElement = document.createElement;
+      let probes = 0;
+      document.createElement = function (...args) {
+        probes++;
+        return createElement.apply(this, args);
+      };
+
+      const again = [WebGLTextCompositor.isSupported(), WebGLMetaballMask.isSupported()];
+      document.createElement = createElement;
+
+      return { same: again.every(value => value === first), probes };
+    });
+
+    expect(result).toEqual({ same: true, probes: 0 });
+  });
+
+});
+
+test.describe('TextMaskedVideo Compositing', () => {
+
+  test('draws into the WebGL canvas, or the 2D canvas when asked', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TextMaskedVideo } = await import('/js/text-masked-video.js');
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+
+      const mount = async (options) => {
+        const container = document.createElement('div');
+        container.dataset.text = 'DEM';
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 120px;';
+        document.body.appendChild(container);
+        const effect = new TextMaskedVideo(container, options);
+
+        // init() waits for the font before adding its canvas
+        while (!container.querySelector('canvas')) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return { container, effect };
+      };
+
+      const auto = await mount({ renderer: 'auto' });
+      const flat = await mount({ renderer: '2d' });
+
+      const state = {
+        supported: WebGLTextCompositor.isSupported(),
+        autoUsesWebGL: auto.container.firstChild === auto.effect.compositor?.canvas,
+        flatUses2D: flat.container.firstChild === flat.effect.canvas,
+        flatCompositor: flat.effect.compositor
+      };
+
+      for (const { container, effect } of [auto, flat]) {
+        effect.destroy();
+        container.remove();
+      }
+      return state;
+    });
+
+    expect(result.flatUses2D).toBe(true);
+    expect(result.flatCompositor).toBeNull();
+    expect(result.autoUsesWebGL).toBe(result.supported);
+  });
+
+  test('a lost WebGL context swaps in the sized 2D canvas', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TextMaskedVideo } = await import('/js/text-masked-video.js');
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+
+      if (!WebGLTextCompositor.isSupported()) return { supported: false };
+
+      const container = document.createElement('div');
+      container.dataset.text = 'DEM';
+      container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 120px;';
+      document.body.appendChild(container);
+      const effect = new TextMaskedVideo(container);
+      while (!container.querySelector('canvas')) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      effect.compositor.gl.getExtension('WEBGL_lose_context').loseContext();
+      const drawn = effect.renderWithWebGL(0, 0, 400, 120);
+
+      const state = {
+        supported: true,
+        drawn,
+        compositor: effect.compositor,
+        uses2D: container.firstChild === effect.canvas,
+        canvases: container.querySelectorAll('canvas').length,
+        width: effect.canvas.width / (window.devicePixelRatio || 1)
+      };
+
+      effect.destroy();
+      container.remove();
+      return state;
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.drawn).toBe(false);
+    expect(result.compositor).toBeNull();
+    expect(result.uses2D).toBe(true);
+    expect(result.canvases).toBe(1);
+    expect(result.width).toBe(400);
+  });
+
+  test('a burst of resizes rebuilds the mask once', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TextMaskedVideo } = await import('/js/text-masked-video.js');
+      const { WebGLTextCompositor } = await import('/js/text-mask-compositor.js');
+
+      if (!WebGLTextCompositor.isSupported()) return { supported: false };
+
+      const container = document.createElement('div');
+      container.dataset.text = 'DEM';
+      container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 120px;';
+      document.body.appendChild(container);
+      const effect = new TextMaskedVideo(container);
+      while (!container.querySelector('canvas')) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      let rebuilds = 0;
+      const setMask = effect.compositor.setMask.bind(effect.compositor);
+      effect.compositor.setMask = (...args) => {
+        rebuilds++;
+        setMask(...args);
+      };
+      const settle = () => new Promise(resolve => setTimeout(resolve, 400));
+
+      container.style.width = '300px';
+      for (let i = 0; i < 5; i++) effect.resize();
+      const during = rebuilds;
+      await settle();
+      const after = rebuilds;
+
+      // Same layout again: nothing to rebuild
+      effect.resize();
+      await settle();
+
+      const state = {
+        supported: true,
+        during,
+        after,
+        unchanged: rebuilds,
+        // Untouched while the compositor draws (default canvas width)
+        canvasWidth: effect.canvas.width
+      };
+
+      effect.destroy();
+      container.remove();
+      return state;
+    });
+
+    test.skip(!result.supported, 'WebGL2 unavailable');
+    expect(result.during).toBe(0);
+    expect(result.after).toBe(1);
+    expect(result.unchanged).toBe(1);
+    expect(result.canvasWidth).toBe(300);
+  });
+
+  test('destroy() removes the canvas and releases the compositor and driver', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { TextMaskedVideo } = await import('/js/text-masked-video.js');
+
+      const container = document.createElement('div');
+      container.dataset.text = 'DEM';
+      container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 120px;';
+      document.body.appendChild(container);
+      const effect = new TextMaskedVideo(container, { brightnessMode: 'searchlight' });
+      while (!container.querySelector('canvas')) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      // A pending mask rebuild must not outlive destroy()
+      container.style.width = '300px';
+      effect.resize();
+      effect.destroy();
+      await new Promise(resolve => setTimeout(resolve, 400));
+
+      const state = {
+        canvases: container.querySelectorAll('canvas').length,
+        compositor: effect.compositor,
+        driver: effect.brightnessDriver,
+        destroyed: effect.isDestroyed
+      };
+      container.remove();
+      return state;
+    });
+
+    expect(result).toEqual({ canvases: 0, compositor: null, driver: null, destroyed: true });
+  });
+
+});
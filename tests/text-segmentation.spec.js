@@ -0,0 +1,77 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * Text Segmentation Tests
+ *
+ * Grapheme/word splitting shared by the letter-based effects:
+ * - Emoji, combining accents and Indic clusters stay whole
+ * - Word boundaries for scripts without spaces
+ * - DOM splitters and LetterMaskGenerator use graphemes
+ */
+
+test.describe('Text Segmentation', () => {
+
+  test('segmentGraphemes keeps emoji and accents whole', async ({ page }) => {
+    await page.goto('/');
+
+    const graphemes = await page.evaluate(async () => {
+      const { segmentGraphemes } = await import('/js/text-segmentation.js');
+      // Decomposed é (e + U+0301), ZWJ family, skin tone, flag
+      return segmentGraphemes('Cafe\u0301 👩‍👩‍👧👍🏽🇩🇪');
+    });
+
+    expect(graphemes).toEqual(['C', 'a', 'f', 'e\u0301', ' ', '👩‍👩‍👧', '👍🏽', '🇩🇪']);
+  });
+
+  test('segmentWords splits scripts written without spaces', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { segmentWords, getWordStarts, segmentGraphemes } = await import('/js/text-segmentation.js');
+      const text = '東京でのキャンペーン';
+      return {
+        words: segmentWords(text, 'ja').filter(w => w.isWordLike).length,
+        latin: segmentWords('DEM Systems').map(w => w.segment),
+        starts: [...getWordStarts(segmentGraphemes('DEM Systems'))]
+      };
+    });
+
+    expect(result.words).toBeGreaterThan(1);
+    expect(result.latin).toEqual(['DEM', ' ', 'Systems']);
+    expect(result.starts).toEqual([0, 4]);
+  });
+
+  test('letter splitters produce one letter per grapheme', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { splitTextIntoChars } = await import('/js/semantic-animations/utils.js');
+      const { LetterMaskGenerator } = await import('/js/letter-mask-generator.js');
+
+      const el = document.createElement('span');
+      el.textContent = 'Olá 👋🏽';
+      document.body.appendChild(el);
+      const split = splitTextIntoChars(el);
+      const chars = split.chars.map(c => c.textContent);
+      split.revert();
+      el.remove();
+
+      const generator = new LetterMaskGenerator('Olá 👋🏽');
+      const canvas = document.createElement('canvas');
+      generator.init(canvas.getContext('2d'), 800, 200);
+
+      return {
+        chars,
+        letterCount: generator.letterCount,
+        lastChar: generator.getAllLetterData()[4].char
+      };
+    });
+
+    // Spaces become non-breaking so inline-block spans keep their width
+    expect(result.chars).toEqual(['O', 'l', 'á', '\u00A0', '👋🏽']);
+    expect(result.letterCount).toBe(5);
+    expect(result.lastChar).toBe('👋🏽');
+  });
+
+});
@@ -0,0 +1,402 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+
+/**
+ * TypewriterMetaball Tests
+ *
+ * The phase machine on top of MetaballPhysics:
+ * - Transition table, events and hook order
+ * - Replays ignoring live input
+ * - Melt and exit morphs driven by seekMorph()
+ * - Touch pointers under the shared touch-action policy
+ */
+
+test.describe('TypewriterMetaball', () => {
+
+  test.describe('Phase Transitions', () => {
+
+    test('transitions missing from the table are ignored or thrown', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const container = document.createElement('div');
+
+        const ignoring = new TypewriterMetaball(container);
+        const ignored = await ignoring.transitionTo('melt');
+
+        const throwing = new TypewriterMetaball(container, { invalidTransition: 'throw' });
+        let error = null;
+        try {
+          throwing.transitionTo('melt');
+        } catch (err) {
+          error = err.message;
+        }
+
+        return {
+          ignored,
+          phase: ignoring.phase,
+          canMelt: ignoring.canTransitionTo('melt'),
+          canEnter: ignoring.canTransitionTo('entry'),
+          error,
+          throwingPhase: throwing.phase
+        };
+      });
+
+      expect(result.ignored).toBe(false);
+      expect(result.phase).toBe('idle');
+      expect(result.canMelt).toBe(false);
+      expect(result.canEnter).toBe(true);
+      expect(result.error).toBe('Invalid TypewriterMetaball transition: idle -> melt');
+      expect(result.throwingPhase).toBe('idle');
+    });
+
+    test('exit and enter events wrap the phase hooks in order', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const log = [];
+
+        const tw = new TypewriterMetaball(document.createElement('div'), {
+          phaseHooks: {
+            idle: { exit: () => { log.push('hook exit idle'); } },
+            interactive: { enter: () => { log.push('hook enter interactive'); } }
+          }
+        });
+        tw.on('phaseExit', ({ phase, to }) => log.push(`exit ${phase} -> ${to}`));
+        tw.on('phaseChange', ({ from, to }) => log.push(`change ${from} -> ${to}`));
+        tw.on('phaseEnter', ({ phase, from }) => log.push(`enter ${phase} <- ${from}`));
+
+        // Interactive has no built-in work, so no setup is needed
+        const entered = await tw.transitionTo('interactive', { force: true });
+        return { entered, log };
+      });
+
+      expect(result.entered).toBe(true);
+      expect(result.log).toEqual([
+        'exit idle -> interactive',
+        'hook exit idle',
+        'change idle -> interactive',
+        'enter interactive <- idle',
+        'hook enter interactive'
+      ]);
+    });
+
+    test('start() resolves when the entry timeline completes, then melts', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        document.body.appendChild(container);
+
+        let meltSignal = null;
+        const tw = new TypewriterMetaball(container, {
+          text: 'AB',
+          letterStagger: 10,
+          maskRenderer: 'canvas',
+          phaseHooks: { melt: { enter: (signal) => { meltSignal = signal; } } }
+        });
+
+        const started = await tw.start();
+        const state = {
+          started,
+          revealed: tw.letterMasks.revealedCount,
+          phase: tw.phase,
+          meltAborted: meltSignal.aborted
+        };
+
+        // Restarting mid-melt supersedes it
+        tw.restart();
+        state.restartedPhase = tw.phase;
+        state.meltAbortedAfterRestart = meltSignal.aborted;
+
+        tw.destroy();
+        container.remove();
+        return state;
+      });
+
+      expect(result.started).toBe(true);
+      expect(result.revealed).toBe(2);
+      expect(result.phase).toBe('melt');
+      expect(result.meltAborted).toBe(false);
+      expect(result.restartedPhase).toBe('entry');
+      expect(result.meltAbortedAfterRestart).toBe(true);
+    });
+
+    test('start() rejects when a phase hook fails', async ({ page }) => {
+      await page.goto('/');
+
+      const error = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        document.body.appendChild(container);
+
+        const tw = new TypewriterMetaball(container, {
+          maskRenderer: 'canvas',
+          phaseHooks: { entry: { enter: () => Promise.reject(new Error('hook failed')) } }
+        });
+
+        try {
+          await tw.start();
+          return null;
+        } catch (err) {
+          return err.message;
+        } finally {
+          tw.destroy();
+          container.remove();
+        }
+      });
+
+      expect(error).toBe('hook failed');
+    });
+
+    test('failures in phases entered on their own reach error listeners', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        document.body.appendChild(container);
+
+        const tw = new TypewriterMetaball(container, {
+          text: 'AB',
+          letterStagger: 10,
+          maskRenderer: 'canvas',
+          phaseHooks: {
+            melt: { enter: () => Promise.reject(new Error('melt failed')) },
+            interactive: { enter: () => Promise.reject(new Error('interactive failed')) }
+          }
+        });
+        const errors = [];
+        const failed = new Promise(resolve => tw.on('error', ({ error, phase }) => {
+          errors.push({ message: error.message, phase });
+          resolve();
+        }));
+
+        // Entry itself succeeds; the melt it advances to does not
+        const started = await tw.start();
+        await failed;
+
+        // Replays force the interactive phase without an awaiting caller too
+        const replayFailed = new Promise(resolve => tw.on('error', resolve));
+        tw.startRecording();
+        tw.metaball.update(16, 100, 100, 0, 0);
+        tw.replay(tw.stopRecording());
+        await replayFailed;
+
+        tw.destroy();
+        container.remove();
+        return { started, errors };
+      });
+
+      expect(result.started).toBe(true);
+      expect(result.errors).toEqual([
+        { message: 'melt failed', phase: 'melt' },
+        { message: 'interactive failed', phase: 'interactive' }
+      ]);
+    });
+
+  });
+
+  test.describe('Replay', () => {
+
+    test('touches during a replay do not change the recorded session', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const { MetaballPhysics } = await import('/js/metaball-physics.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        document.body.appendChild(container);
+
+        const tw = new TypewriterMetaball(container, { maskRenderer: 'canvas' });
+        await tw._setup();
+        tw._bindEvents();
+
+        tw.startRecording();
+        for (let i = 0; i < 30; i++) {
+          tw.metaball.update(16, 100 + i * 5, 100, 5, 0);
+        }
+        const recording = tw.stopRecording();
+        const expected = MetaballPhysics.replay(recording);
+
+        tw.replay(recording);
+        container.dispatchEvent(new PointerEvent('pointerdown', {
+          pointerId: 7,
+          pointerType: 'touch',
+          clientX: 300,
+          clientY: 150,
+          bubbles: true
+        }));
+
+        // Step the replay as the render loop would
+        while (tw._replay) tw._update(16);
+
+        const same = JSON.stringify(tw.metaball) === JSON.stringify(expected);
+        const blobs = tw.metaball.getBlobs().length;
+        tw.destroy();
+        container.remove();
+
+        return { same, blobs, expectedBlobs: expected.getBlobs().length };
+      });
+
+      expect(result.same).toBe(true);
+      expect(result.blobs).toBe(result.expectedBlobs);
+    });
+
+  });
+
+
+  test.describe('Morph', () => {
+
+    test('seeking the melt moves letter seeds into the blob', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        document.body.appendChild(container);
+
+        const tw = new TypewriterMetaball(container, {
+          text: 'AB',
+          maskRenderer: 'canvas',
+          morphAutoplay: false
+        });
+        await tw._setup();
+
+        const melting = tw.transitionTo('melt', { force: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const center = { x: 200, y: tw.letterMasks.centerY };
+        const pose = () => {
+          const { primary, seeds } = tw._morph;
+          return {
+            progress: tw._meltProgress,
+            atLetters: seeds.every(s => s.blob.x === s.from.x && s.blob.y === s.from.y),
+            distance: seeds.reduce((sum, s) => sum + Math.hypot(s.blob.x - center.x, s.blob.y - center.y), 0) / seeds.length,
+            primary: primary.radius / tw.metaball.baseRadius,
+            blobs: tw.metaball.getBlobs().length,
+            seeds: seeds.length
+          };
+        };
+
+        // Without autoplay the melt holds at 0 until seeked
+        const start = pose();
+        tw.seekMorph(0.5);
+        const half = pose();
+        tw.seekMorph(1);
+        const melted = await melting;
+
+        const blobs = tw.metaball.getBlobs();
+        const end = {
+          melted,
+          morph: tw._morph,
+          blobs: blobs.length,
+          primary: blobs[0].radius / tw.metaball.baseRadius,
+          isPrimary: blobs[0].isPrimary
+        };
+
+        tw.destroy();
+        container.remove();
+        return { start, half, end };
+      });
+
+      // Only seeds at first: the zero-radius primary is not drawn
+      expect(result.start.progress).toBe(0);
+      expect(result.start.seeds).toBeGreaterThan(0);
+      expect(result.start.atLetters).toBe(true);
+      expect(result.start.primary).toBe(0);
+      expect(result.start.blobs).toBe(result.start.seeds);
+
+      expect(result.half.progress).toBe(0.5);
+      expect(result.half.atLetters).toBe(false);
+      expect(result.half.distance).toBeLessThan(result.start.distance);
+      expect(result.half.primary).toBeCloseTo(0.316, 2);
+
+      expect(result.end).toEqual({ melted: true, morph: null, blobs: 1, primary: 1, isPrimary: true });
+    });
+
+    test('exit morph leaves no blobs behind', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        document.body.appendChild(container);
+
+        const tw = new TypewriterMetaball(container, {
+          text: 'AB',
+          maskRenderer: 'canvas',
+          morphAutoplay: false
+        });
+        await tw._setup();
+        await tw.transitionTo('interactive', { force: true });
+
+        const exiting = tw.transitionTo('exit');
+        tw.seekMorph(1);
+        const exited = await exiting;
+
+        const state = {
+          exited,
+          morph: tw._morph,
+          blobs: tw.metaball.getBlobs().length,
+          revealed: tw.letterMasks.revealedCount
+        };
+        tw.destroy();
+        container.remove();
+        return state;
+      });
+
+      expect(result).toEqual({ exited: true, morph: null, blobs: 0, revealed: 2 });
+    });
+
+  });
+
+
+  test.describe('Pointer Input', () => {
+
+    test('touch pointers use the shared touch-action and a cancelled pan releases its blob', async ({ page }) => {
+      await page.goto('/');
+
+      const result = await page.evaluate(async () => {
+        const { TypewriterMetaball } = await import('/js/typewriter-metaball.js');
+        const { POINTER_TOUCH_ACTION } = await import('/js/metaball-physics.js');
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; top: 0; left: 0; width: 400px; height: 200px;';
+        container.style.touchAction = 'manipulation';
+        document.body.appendChild(container);
+
+        const tw = new TypewriterMetaball(container, { text: 'A', letterStagger: 10, maskRenderer: 'canvas' });
+        await tw.start();
+        const touchAction = container.style.touchAction;
+
+        const touch = (type) => container.dispatchEvent(new PointerEvent(type, {
+          pointerId: 7, pointerType: 'touch', clientX: 100, clientY: 100, bubbles: true
+        }));
+        touch('pointerdown');
+        const pressed = tw.metaball.pointers.size;
+        // What the browser sends once a vertical drag turns into a page scroll
+        touch('pointercancel');
+        const cancelled = tw.metaball.pointers.size;
+
+        tw.destroy();
+        const restored = container.style.touchAction;
+        container.remove();
+
+        return { policy: POINTER_TOUCH_ACTION, touchAction, pressed, cancelled, restored };
+      });
+
+      expect(result).toEqual({ policy: 'pan-y', touchAction: 'pan-y', pressed: 1, cancelled: 0, restored: 'manipulation' });
+    });
+
+  });
+
+});